@@ -0,0 +1,92 @@
+// Local stand-in for Google and GitHub OAuth, for trying social login without real credentials.
+//
+//   npm run mock:oauth
+//
+// then start the API with, for example:
+//
+//   GOOGLE_CLIENT_ID=mock GOOGLE_CLIENT_SECRET=mock
+//   GOOGLE_AUTHORIZE_URL=http://localhost:5055/google/authorize
+//   GOOGLE_TOKEN_URL=http://localhost:5055/google/token
+//   GOOGLE_USERINFO_URL=http://localhost:5055/google/userinfo
+//
+//   GITHUB_CLIENT_ID=mock GITHUB_CLIENT_SECRET=mock
+//   GITHUB_AUTHORIZE_URL=http://localhost:5055/github/authorize
+//   GITHUB_TOKEN_URL=http://localhost:5055/github/token
+//   GITHUB_API_URL=http://localhost:5055/github
+//
+// Every authorization is approved at once for the user in MOCK_OAUTH_EMAIL / MOCK_OAUTH_NAME /
+// MOCK_OAUTH_ID (MOCK_OAUTH_EMAIL_VERIFIED=false to test unverified addresses). PKCE is checked.
+import crypto from 'crypto';
+import express from 'express';
+
+const PORT = process.env.MOCK_OAUTH_PORT || 5055;
+
+const profile = () => ({
+  id: process.env.MOCK_OAUTH_ID || '1000001',
+  email: process.env.MOCK_OAUTH_EMAIL || 'mock.user@example.com',
+  name: process.env.MOCK_OAUTH_NAME || 'Mock User',
+  verified: process.env.MOCK_OAUTH_EMAIL_VERIFIED !== 'false'
+});
+
+const codes = new Map();
+const accessTokens = new Set();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/:provider/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, code_challenge: challenge, code_challenge_method: method } = req.query;
+  if (!redirectUri || !state || !challenge || method !== 'S256') {
+    return res.status(400).send('redirect_uri, state and an S256 code_challenge are required');
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, { challenge, redirectUri });
+
+  const url = new URL(redirectUri);
+  url.searchParams.set('code', code);
+  url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+app.post('/:provider/token', (req, res) => {
+  const { code, code_verifier: verifier, redirect_uri: redirectUri } = req.body;
+  const pending = codes.get(code);
+  codes.delete(code);
+
+  const challenge = verifier && crypto.createHash('sha256').update(verifier).digest('base64url');
+  if (!pending || pending.redirectUri !== redirectUri || pending.challenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  accessTokens.add(accessToken);
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 3600 });
+});
+
+const requireToken = (req, res, next) => {
+  const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+  if (!accessTokens.has(token)) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  next();
+};
+
+app.get('/google/userinfo', requireToken, (req, res) => {
+  const user = profile();
+  res.json({ sub: user.id, email: user.email, email_verified: user.verified, name: user.name });
+});
+
+app.get('/github/user', requireToken, (req, res) => {
+  const user = profile();
+  res.json({ id: Number(user.id), login: user.email.split('@')[0], name: user.name, email: null });
+});
+
+app.get('/github/user/emails', requireToken, (req, res) => {
+  const user = profile();
+  res.json([{ email: user.email, primary: true, verified: user.verified }]);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OAuth server on http://localhost:${PORT} (google, github)`);
+});
@@ -0,0 +1,34 @@
+import { purgeDueUsers } from '../services/accountDeletionService.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+
+const tick = async () => {
+  try {
+    const { purged } = await purgeDueUsers();
+    if (purged > 0) {
+      logger.info('Scheduled account deletions completed', { purged });
+    }
+  } catch (error) {
+    logger.error('Account deletion job failed', { error: error.message });
+  }
+};
+
+export const startAccountDeletionJob = (intervalMs = parseInt(process.env.ACCOUNT_DELETION_JOB_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  logger.info('Account deletion job started', { intervalMs });
+};
+
+export const stopAccountDeletionJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
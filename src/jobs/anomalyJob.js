@@ -0,0 +1,41 @@
+import { runAnomalyScan } from '../services/anomalyService.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+const tick = async () => {
+  // A scan of every user can outlast a short interval
+  if (running) return;
+  running = true;
+
+  try {
+    const summary = await runAnomalyScan();
+    if (summary.created > 0 || summary.failed > 0) {
+      logger.info('Anomaly scan completed', summary);
+    }
+  } catch (error) {
+    logger.error('Anomaly job failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+export const startAnomalyJob = (intervalMs = parseInt(process.env.ANOMALY_JOB_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  logger.info('Anomaly scan started', { intervalMs });
+};
+
+export const stopAnomalyJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
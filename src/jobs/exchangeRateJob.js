@@ -0,0 +1,38 @@
+import { ExchangeRate } from '../models/ExchangeRate.js';
+import { refreshRates, pivotCurrency, toRateDay } from '../services/exchangeRateService.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+let timer = null;
+
+// Fetch today's pivot rates unless they are already stored
+const tick = async () => {
+  try {
+    const today = toRateDay();
+    const stored = await ExchangeRate.exists({ base: pivotCurrency(), date: today });
+    if (stored) return;
+
+    const result = await refreshRates({ date: today });
+    logger.info('Exchange rates refreshed', result);
+  } catch (error) {
+    logger.warn('Exchange rate job failed', { error: error.message });
+  }
+};
+
+export const startExchangeRateJob = (intervalMs = parseInt(process.env.EXCHANGE_RATE_JOB_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer || process.env.EXCHANGE_RATE_PROVIDER === 'none') return;
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  logger.info('Exchange rate refresh started', { intervalMs });
+};
+
+export const stopExchangeRateJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
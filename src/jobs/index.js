@@ -0,0 +1,28 @@
+// Background jobs run in-process alongside the API
+import { startRecurringJob, stopRecurringJob } from './recurringJob.js';
+import { startExchangeRateJob, stopExchangeRateJob } from './exchangeRateJob.js';
+import { startAccountDeletionJob, stopAccountDeletionJob } from './accountDeletionJob.js';
+import { startAnomalyJob, stopAnomalyJob } from './anomalyJob.js';
+import { startWebhookJob, stopWebhookJob } from './webhookJob.js';
+import { logger } from '../utils/logger.js';
+
+export const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    logger.info('Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+
+  startRecurringJob();
+  startExchangeRateJob();
+  startAccountDeletionJob();
+  startAnomalyJob();
+  startWebhookJob();
+};
+
+export const stopJobs = () => {
+  stopRecurringJob();
+  stopExchangeRateJob();
+  stopAccountDeletionJob();
+  stopAnomalyJob();
+  stopWebhookJob();
+};
@@ -0,0 +1,42 @@
+import { runDueRecurring } from '../services/recurringService.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+const tick = async () => {
+  // Skip overlapping runs when a catch-up takes longer than the interval
+  if (running) return;
+  running = true;
+
+  try {
+    const summary = await runDueRecurring();
+    if (summary.posted > 0 || summary.skipped > 0) {
+      logger.info('Recurring transactions posted', summary);
+    }
+  } catch (error) {
+    logger.error('Recurring job failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+// The first tick runs immediately so occurrences missed during downtime are backfilled on boot
+export const startRecurringJob = (intervalMs = parseInt(process.env.RECURRING_JOB_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  logger.info('Recurring transaction scheduler started', { intervalMs });
+};
+
+export const stopRecurringJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,42 @@
+import { runDueDeliveries } from '../services/webhookService.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+let timer = null;
+let running = false;
+
+const tick = async () => {
+  // Slow receivers can make a batch outlast the interval
+  if (running) return;
+  running = true;
+
+  try {
+    const summary = await runDueDeliveries();
+    if (summary.attempted > 0) {
+      logger.info('Webhook retries sent', summary);
+    }
+  } catch (error) {
+    logger.error('Webhook job failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Retries failed webhook deliveries once their backoff has passed
+export const startWebhookJob = (intervalMs = parseInt(process.env.WEBHOOK_JOB_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  logger.info('Webhook retry job started', { intervalMs });
+};
+
+export const stopWebhookJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
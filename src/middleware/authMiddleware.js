@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../models/User.js';
+import { findActiveSession } from '../services/sessionService.js';
 
 export const protect = async (req, res, next) => {
   let token;
@@ -13,7 +14,19 @@ export const protect = async (req, res, next) => {
   if (token) {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Tokens without a session predate refresh tokens and can't be revoked, so they are refused
+      const session = decoded.sid && await findActiveSession(decoded.id, decoded.sid);
+      if (!session) {
+        return res.status(401).json({ message: 'Not authorized, session expired or revoked' });
+      }
+
       req.user = await User.findById(decoded.id).select('-password');
+      if (!req.user) {
+        return res.status(401).json({ message: 'Not authorized, user not found' });
+      }
+
+      req.sessionId = session._id;
       next();
     } catch (error) {
       console.error(error);
@@ -23,3 +36,16 @@ export const protect = async (req, res, next) => {
     res.status(401).json({ message: 'Not authorized, no token' });
   }
 };
+
+// Use after `protect`. Admins have role "admin" or an email listed in ADMIN_EMAILS (comma-separated).
+export const admin = (req, res, next) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (req.user && (req.user.role === 'admin' || adminEmails.includes(req.user.email))) {
+    return next();
+  }
+  res.status(403).json({ message: 'Not authorized as an admin' });
+};
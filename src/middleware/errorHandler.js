@@ -49,6 +49,12 @@ export const errorHandler = (err, req, res, next) => {
     error.statusCode = 400;
   }
   
+  // Upload errors (file too large, unexpected field...)
+  if (err.name === 'MulterError') {
+    error.message = err.message;
+    error.statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+  }
+  
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     error.message = 'Invalid token';
@@ -60,6 +66,11 @@ export const errorHandler = (err, req, res, next) => {
     error.statusCode = 401;
   }
   
+  // Rate and quota limits tell the client when to try again
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+  
   // Send response
   const response = {
     success: false,
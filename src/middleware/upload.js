@@ -0,0 +1,51 @@
+// Multipart upload handling (files are kept in memory and handed to services)
+import multer from 'multer';
+import { AppError } from './errorHandler.js';
+
+const MB = 1024 * 1024;
+
+// Bank statement exports: a single text file in the "file" field
+export const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * MB, files: 1 }
+}).single('file');
+
+// Full JSON export archives, in the "file" field
+export const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * MB, files: 1 }
+}).single('file');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Profile pictures in the "avatar" field; resized by the profile service
+export const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * MB, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new AppError('Avatar must be a JPEG, PNG, WebP or GIF image', 400));
+  }
+}).single('avatar');
+
+export const ATTACHMENT_TYPES = [...IMAGE_TYPES, 'application/pdf'];
+
+// Receipts and invoices in the "file" field; the content is checked again by the attachment service
+export const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * MB, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new AppError('Attachments must be a JPEG, PNG, WebP or GIF image or a PDF', 400));
+  }
+}).single('file');
+
+// Receipt photos for AI parsing, in the "image" field
+export const receiptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * MB, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new AppError('Receipt must be a JPEG, PNG, WebP or GIF image', 400));
+  }
+}).single('image');
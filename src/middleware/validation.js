@@ -1,8 +1,14 @@
 // Request validation middleware
 import validator from 'validator';
+import { validateRule } from '../utils/recurrence.js';
+import { isValidCurrency, normalizeCurrency } from '../utils/currency.js';
+import { hasSplits, splitTotalError } from '../utils/splits.js';
+import { tagsError, normalizeTags } from '../utils/tags.js';
+import { RULE_FIELDS } from '../models/Rule.js';
+import { NOTIFICATION_EVENTS } from '../models/Notification.js';
 
 // Sanitize string to prevent XSS
-const sanitizeString = (str) => {
+export const sanitizeString = (str) => {
   if (typeof str !== 'string') return str;
   return validator.escape(str.trim());
 };
@@ -27,6 +33,27 @@ const sanitizeObject = (obj) => {
 };
 
 // Validation schemas
+// Shared password rules for registration and password changes
+export const passwordErrors = (password) => {
+  const errors = [];
+
+  if (!password || typeof password !== 'string' || password.length < 8) {
+    errors.push('Password must be at least 8 characters');
+  }
+
+  if (typeof password === 'string' && !validator.isStrongPassword(password, {
+    minLength: 8,
+    minLowercase: 1,
+    minUppercase: 1,
+    minNumbers: 1,
+    minSymbols: 0
+  })) {
+    errors.push('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+  }
+
+  return errors;
+};
+
 export const validateRegistration = (req, res, next) => {
   const { email, password, name } = req.body;
   
@@ -43,19 +70,7 @@ export const validateRegistration = (req, res, next) => {
   }
   
   // Password validation
-  if (!password || password.length < 8) {
-    errors.push('Password must be at least 8 characters');
-  }
-  
-  if (password && !validator.isStrongPassword(password, {
-    minLength: 8,
-    minLowercase: 1,
-    minUppercase: 1,
-    minNumbers: 1,
-    minSymbols: 0
-  })) {
-    errors.push('Password must contain at least one uppercase letter, one lowercase letter, and one number');
-  }
+  errors.push(...passwordErrors(password));
   
   if (errors.length > 0) {
     return res.status(400).json({ message: 'Validation failed', errors });
@@ -90,8 +105,87 @@ export const validateLogin = (req, res, next) => {
   next();
 };
 
+export const validateEmail = (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string' || !validator.isEmail(email)) {
+    return res.status(400).json({ message: 'Validation failed', errors: ['Valid email is required'] });
+  }
+
+  req.body.email = validator.normalizeEmail(email);
+  next();
+};
+
+export const validatePasswordReset = (req, res, next) => {
+  const { token, password } = req.body;
+
+  const errors = [];
+
+  if (!token || typeof token !== 'string') {
+    errors.push('Reset token is required');
+  }
+
+  errors.push(...passwordErrors(password));
+
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+
+  next();
+};
+
+const MAX_SPLITS = 50;
+
+// Shape of split lines; the total is checked against `amount` when one is given.
+// null or [] removes the splits.
+const splitErrors = (splits, amount) => {
+  if (splits === undefined || splits === null) return [];
+  if (!Array.isArray(splits)) return ['Splits must be an array'];
+  if (splits.length === 0) return [];
+
+  const errors = [];
+  if (splits.length < 2) {
+    errors.push('A split needs at least two lines');
+  } else if (splits.length > MAX_SPLITS) {
+    errors.push(`A transaction can have at most ${MAX_SPLITS} split lines`);
+  }
+
+  splits.forEach((line, i) => {
+    if (!line || typeof line.category !== 'string' || line.category.trim().length === 0) {
+      errors.push(`Split ${i + 1}: category is required`);
+    } else if (line.category.length > 50) {
+      errors.push(`Split ${i + 1}: category must be less than 50 characters`);
+    }
+    if (typeof line?.amount !== 'number' || line.amount <= 0) {
+      errors.push(`Split ${i + 1}: amount must be a positive number`);
+    }
+    if (line?.note !== undefined && line.note !== null && (typeof line.note !== 'string' || line.note.length > 200)) {
+      errors.push(`Split ${i + 1}: note must be less than 200 characters`);
+    }
+  });
+
+  if (errors.length === 0 && typeof amount === 'number') {
+    const totalError = splitTotalError(amount, splits);
+    if (totalError) errors.push(totalError);
+  }
+  return errors;
+};
+
+const sanitizeSplits = (splits) => {
+  if (!hasSplits(splits)) return [];
+  return splits.map(line => ({
+    category: sanitizeString(line.category),
+    amount: line.amount,
+    ...(line.note && { note: sanitizeString(line.note) })
+  }));
+};
+
+const sanitizeTags = (tags) => normalizeTags(tags.map(sanitizeString));
+
 export const validateTransaction = (req, res, next) => {
-  const { amount, type, category, accountId, description } = req.body;
+  const { amount, type, splits, tags, accountId, description } = req.body;
+  // A split transaction needs no category of its own; without one, categorization rules pick it
+  const category = req.body.category ?? (hasSplits(splits) ? 'Split' : undefined);
   
   const errors = [];
   
@@ -110,9 +204,9 @@ export const validateTransaction = (req, res, next) => {
   }
   
   // Category validation
-  if (!category || category.trim().length === 0) {
-    errors.push('Category is required');
-  } else if (category.length > 50) {
+  if (category !== undefined && (typeof category !== 'string' || category.trim().length === 0)) {
+    errors.push('Category cannot be empty');
+  } else if (category?.length > 50) {
     errors.push('Category must be less than 50 characters');
   }
   
@@ -126,6 +220,11 @@ export const validateTransaction = (req, res, next) => {
     errors.push('Invalid date format');
   }
 
+  errors.push(...splitErrors(splits, amount));
+
+  const tagError = tagsError(tags);
+  if (tagError) errors.push(tagError);
+
   if (errors.length > 0) {
     return res.status(400).json({ message: 'Validation failed', errors });
   }
@@ -135,12 +234,67 @@ export const validateTransaction = (req, res, next) => {
   if (description) {
     req.body.description = sanitizeString(description);
   }
+  if (splits !== undefined) {
+    req.body.splits = sanitizeSplits(splits);
+  }
+  if (tags !== undefined && tags !== null) {
+    req.body.tags = sanitizeTags(tags);
+  }
+  
+  next();
+};
+
+// Partial updates (PUT /transactions/:id): only the fields that are present are checked.
+// Whether splits still add up after the update is checked by the ledger against the stored amount.
+export const validateTransactionUpdate = (req, res, next) => {
+  const { amount, type, category, splits, tags, description } = req.body;
+  
+  const errors = [];
+  
+  if (amount !== undefined && (typeof amount !== 'number' || amount <= 0 || amount > 1000000000)) {
+    errors.push('Amount must be a positive number');
+  }
+  
+  if (type !== undefined && !['income', 'expense'].includes(type)) {
+    errors.push('Type must be either "income" or "expense"');
+  }
+  
+  if (category !== undefined && (typeof category !== 'string' || category.trim().length === 0 || category.length > 50)) {
+    errors.push('Category must be between 1 and 50 characters');
+  }
+  
+  if (req.body.date && !validator.isISO8601(String(req.body.date))) {
+    errors.push('Invalid date format');
+  }
+
+  errors.push(...splitErrors(splits, amount));
+
+  const tagError = tagsError(tags);
+  if (tagError) errors.push(tagError);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  
+  // Sanitize inputs
+  if (category !== undefined) {
+    req.body.category = sanitizeString(category);
+  }
+  if (description) {
+    req.body.description = sanitizeString(description);
+  }
+  if (splits !== undefined) {
+    req.body.splits = sanitizeSplits(splits);
+  }
+  if (tags !== undefined) {
+    req.body.tags = tags === null ? [] : sanitizeTags(tags);
+  }
   
   next();
 };
 
 export const validateAccount = (req, res, next) => {
-  const { name, balance, type } = req.body;
+  const { name, balance, type, currency } = req.body;
   
   const errors = [];
   
@@ -166,6 +320,11 @@ export const validateAccount = (req, res, next) => {
   if (!type || type.trim().length === 0) {
     errors.push('Account type is required');
   }
+
+  // Currency validation (optional, defaults to DEFAULT_CURRENCY)
+  if (currency !== undefined && !isValidCurrency(normalizeCurrency(currency))) {
+    errors.push('Currency must be an ISO 4217 code');
+  }
   
   if (errors.length > 0) {
     return res.status(400).json({ message: 'Validation failed', errors });
@@ -178,6 +337,483 @@ export const validateAccount = (req, res, next) => {
   next();
 };
 
+export const validateBudget = (req, res, next) => {
+  const { category, limit, accountId, note } = req.body;
+  
+  const errors = [];
+  
+  // Category validation
+  if (!category || typeof category !== 'string' || category.trim().length === 0) {
+    errors.push('Category is required');
+  } else if (category.length > 50) {
+    errors.push('Category must be less than 50 characters');
+  }
+  
+  // Limit validation
+  if (limit === undefined || limit === null) {
+    errors.push('Limit is required');
+  } else if (typeof limit !== 'number' || limit <= 0) {
+    errors.push('Limit must be a positive number');
+  } else if (limit > 1000000000) {
+    errors.push('Limit exceeds maximum allowed value');
+  }
+  
+  // Account scope is optional
+  if (accountId && !validator.isMongoId(String(accountId))) {
+    errors.push('Invalid account ID');
+  }
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  
+  // Sanitize inputs
+  req.body.category = sanitizeString(category);
+  req.body.accountId = accountId || null;
+  if (note) {
+    req.body.note = sanitizeString(note);
+  }
+  
+  next();
+};
+
+export const validateGoal = (req, res, next) => {
+  const { name, targetAmount, targetDate, currency, accountIds, note } = req.body;
+  
+  const errors = [];
+  
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    errors.push('Goal name is required');
+  } else if (name.length > 50) {
+    errors.push('Goal name must be less than 50 characters');
+  }
+  
+  if (targetAmount === undefined || targetAmount === null) {
+    errors.push('Target amount is required');
+  } else if (typeof targetAmount !== 'number' || targetAmount <= 0) {
+    errors.push('Target amount must be a positive number');
+  } else if (targetAmount > 1000000000) {
+    errors.push('Target amount exceeds maximum allowed value');
+  }
+  
+  if (!targetDate || !validator.isISO8601(String(targetDate))) {
+    errors.push('Valid target date is required');
+  }
+  
+  if (currency !== undefined && !isValidCurrency(normalizeCurrency(currency))) {
+    errors.push('Currency must be an ISO 4217 code');
+  }
+  
+  if (!Array.isArray(accountIds) || accountIds.length === 0) {
+    errors.push('At least one account is required');
+  } else if (accountIds.length > 20) {
+    errors.push('A goal can have at most 20 accounts');
+  } else if (!accountIds.every(id => validator.isMongoId(String(id)))) {
+    errors.push('Invalid account ID');
+  }
+  
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 200)) {
+    errors.push('Note must be less than 200 characters');
+  }
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  
+  // Sanitize inputs
+  req.body.name = sanitizeString(name);
+  req.body.accountIds = [...new Set(accountIds.map(String))];
+  if (currency !== undefined) {
+    req.body.currency = normalizeCurrency(currency);
+  }
+  if (note) {
+    req.body.note = sanitizeString(note);
+  }
+  
+  next();
+};
+
+const categoryErrors = ({ name, kind, parent, icon, color }, { partial }) => {
+  const errors = [];
+  
+  if (name === undefined) {
+    if (!partial) errors.push('Category name is required');
+  } else if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    errors.push('Category name is required');
+  } else if (name.length > 50) {
+    errors.push('Category name must be less than 50 characters');
+  }
+  
+  if (kind !== undefined && !['income', 'expense'].includes(kind)) {
+    errors.push('Kind must be either income or expense');
+  }
+  
+  if (parent !== undefined && parent !== null && !validator.isMongoId(String(parent))) {
+    errors.push('Invalid parent category ID');
+  }
+  
+  if (icon !== undefined && icon !== null && (typeof icon !== 'string' || icon.length > 50)) {
+    errors.push('Icon must be less than 50 characters');
+  }
+  
+  if (color !== undefined && color !== null && (typeof color !== 'string' || color.length > 30)) {
+    errors.push('Color must be less than 30 characters');
+  }
+  
+  return errors;
+};
+
+const sanitizeCategory = (body) => {
+  ['name', 'icon', 'color'].forEach((field) => {
+    if (body[field]) {
+      body[field] = sanitizeString(body[field]);
+    }
+  });
+};
+
+export const validateCategory = (req, res, next) => {
+  const errors = categoryErrors(req.body, { partial: false });
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  
+  sanitizeCategory(req.body);
+  next();
+};
+
+// Every field is optional when editing
+export const validateCategoryUpdate = (req, res, next) => {
+  const errors = categoryErrors(req.body, { partial: true });
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  
+  sanitizeCategory(req.body);
+  next();
+};
+
+const MAX_RULE_CONDITIONS = 10;
+
+// Categorization rules (routes/ruleRoutes.js). `partial` allows leaving fields out when editing.
+const ruleErrors = ({ name, priority, enabled, match, conditions, actions }, { partial }) => {
+  const errors = [];
+  
+  if (name === undefined) {
+    if (!partial) errors.push('Rule name is required');
+  } else if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    errors.push('Rule name must be between 1 and 100 characters');
+  }
+  
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    errors.push('Priority must be a whole number');
+  }
+  
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push('Enabled must be true or false');
+  }
+  
+  if (match !== undefined && !['all', 'any'].includes(match)) {
+    errors.push('Match must be "all" or "any"');
+  }
+  
+  if (conditions === undefined) {
+    if (!partial) errors.push('At least one condition is required');
+  } else if (!Array.isArray(conditions) || conditions.length === 0) {
+    errors.push('At least one condition is required');
+  } else if (conditions.length > MAX_RULE_CONDITIONS) {
+    errors.push(`A rule can have at most ${MAX_RULE_CONDITIONS} conditions`);
+  } else {
+    conditions.forEach((condition, i) => {
+      const operators = RULE_FIELDS[condition?.field];
+      if (!operators) {
+        errors.push(`Condition ${i + 1}: field must be one of ${Object.keys(RULE_FIELDS).join(', ')}`);
+      } else if (!operators.includes(condition.operator)) {
+        errors.push(`Condition ${i + 1}: operator must be one of ${operators.join(', ')}`);
+      } else if (condition.field === 'amount') {
+        if (typeof condition.value !== 'number' || condition.value < 0) {
+          errors.push(`Condition ${i + 1}: value must be a non-negative number`);
+        }
+      } else if (condition.field === 'accountId') {
+        if (!validator.isMongoId(String(condition.value))) {
+          errors.push(`Condition ${i + 1}: value must be an account ID`);
+        }
+      } else if (condition.field === 'type') {
+        if (!['income', 'expense'].includes(condition.value)) {
+          errors.push(`Condition ${i + 1}: value must be "income" or "expense"`);
+        }
+      } else if (typeof condition.value !== 'string' || condition.value.trim().length === 0 || condition.value.length > 200) {
+        errors.push(`Condition ${i + 1}: value must be between 1 and 200 characters`);
+      }
+    });
+  }
+  
+  if (actions === undefined) {
+    if (!partial) errors.push('A rule needs a category or tags to apply');
+  } else if (typeof actions !== 'object' || actions === null) {
+    errors.push('Actions must be an object');
+  } else {
+    const { category, tags, overrideCategory } = actions;
+    if (category !== undefined && category !== null &&
+        (typeof category !== 'string' || category.trim().length === 0 || category.length > 50)) {
+      errors.push('Category must be between 1 and 50 characters');
+    }
+    const tagError = tagsError(tags);
+    if (tagError) errors.push(tagError);
+    if (!category && !(Array.isArray(tags) && tags.length > 0)) {
+      errors.push('A rule needs a category or tags to apply');
+    }
+    if (overrideCategory !== undefined && typeof overrideCategory !== 'boolean') {
+      errors.push('overrideCategory must be true or false');
+    }
+  }
+  
+  return errors;
+};
+
+const sanitizeRule = (body) => {
+  if (body.name) {
+    body.name = sanitizeString(body.name);
+  }
+  if (Array.isArray(body.conditions)) {
+    body.conditions = body.conditions.map(({ field, operator, value }) => ({
+      field,
+      operator,
+      value: typeof value === 'string' ? sanitizeString(value) : value
+    }));
+  }
+  if (body.actions) {
+    const { category, tags, overrideCategory } = body.actions;
+    body.actions = {
+      ...(category && { category: sanitizeString(category) }),
+      ...(Array.isArray(tags) && { tags: sanitizeTags(tags) }),
+      overrideCategory: Boolean(overrideCategory)
+    };
+  }
+};
+
+export const validateCategoryRule = (req, res, next) => {
+  const errors = ruleErrors(req.body, { partial: false });
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  
+  sanitizeRule(req.body);
+  next();
+};
+
+export const validateCategoryRuleUpdate = (req, res, next) => {
+  const errors = ruleErrors(req.body, { partial: true });
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  
+  sanitizeRule(req.body);
+  next();
+};
+
+export const validateRecurringTransaction = (req, res, next) => {
+  const { amount, type, category, accountId, description, rule, startDate, endDate, catchUp } = req.body;
+  
+  const errors = [];
+  
+  // Amount validation
+  if (amount === undefined || amount === null) {
+    errors.push('Amount is required');
+  } else if (typeof amount !== 'number' || amount <= 0) {
+    errors.push('Amount must be a positive number');
+  } else if (amount > 1000000000) {
+    errors.push('Amount exceeds maximum allowed value');
+  }
+  
+  // Type validation
+  if (!type || !['income', 'expense'].includes(type)) {
+    errors.push('Type must be either "income" or "expense"');
+  }
+  
+  // Category validation
+  if (!category || category.trim().length === 0) {
+    errors.push('Category is required');
+  } else if (category.length > 50) {
+    errors.push('Category must be less than 50 characters');
+  }
+  
+  // Account ID validation
+  if (!accountId || !validator.isMongoId(String(accountId))) {
+    errors.push('Valid account ID is required');
+  }
+  
+  // Schedule validation
+  errors.push(...validateRule(rule));
+  
+  if (!startDate || !validator.isISO8601(String(startDate))) {
+    errors.push('Valid start date is required');
+  }
+  
+  if (endDate) {
+    if (!validator.isISO8601(String(endDate))) {
+      errors.push('Invalid end date format');
+    } else if (startDate && new Date(endDate) < new Date(startDate)) {
+      errors.push('End date must be after start date');
+    }
+  }
+  
+  if (catchUp && !['all', 'latest'].includes(catchUp)) {
+    errors.push('Catch-up mode must be either "all" or "latest"');
+  }
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  
+  // Sanitize inputs
+  req.body.category = sanitizeString(category);
+  if (description) {
+    req.body.description = sanitizeString(description);
+  }
+  
+  next();
+};
+
+export const validateImportProfile = (req, res, next) => {
+  const { name, columns, delimiter } = req.body;
+  
+  const errors = [];
+  
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    errors.push('Profile name is required');
+  } else if (name.length > 50) {
+    errors.push('Profile name must be less than 50 characters');
+  }
+  
+  if (!columns || typeof columns !== 'object') {
+    errors.push('Column mapping is required');
+  } else {
+    if (columns.date === undefined || columns.date === '') {
+      errors.push('Date column is required');
+    }
+    if (columns.amount === undefined && columns.debit === undefined && columns.credit === undefined) {
+      errors.push('An amount column or debit/credit columns are required');
+    }
+  }
+  
+  if (delimiter !== undefined && (typeof delimiter !== 'string' || delimiter.length !== 1)) {
+    errors.push('Delimiter must be a single character');
+  }
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  
+  req.body.name = sanitizeString(name);
+  
+  next();
+};
+
+const eventsError = (events, name) => {
+  if (!Array.isArray(events) || !events.every(event => NOTIFICATION_EVENTS.includes(event))) {
+    return `${name} must be a list of: ${NOTIFICATION_EVENTS.join(', ')}`;
+  }
+  return null;
+};
+
+// Webhooks (routes/webhookRoutes.js). `partial` allows leaving fields out when editing.
+const webhookErrors = ({ url, description, events, enabled }, { partial }) => {
+  const errors = [];
+  
+  if (url === undefined) {
+    if (!partial) errors.push('Webhook URL is required');
+  } else if (typeof url !== 'string' || url.length > 500 ||
+      !validator.isURL(url, { protocols: ['http', 'https'], require_protocol: true, require_tld: false })) {
+    errors.push('Webhook URL must be an http or https URL');
+  }
+  
+  if (description !== undefined && description !== null &&
+      (typeof description !== 'string' || description.length > 100)) {
+    errors.push('Description must be less than 100 characters');
+  }
+  
+  if (events !== undefined) {
+    const error = eventsError(events, 'Events');
+    if (error) errors.push(error);
+  }
+  
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push('Enabled must be true or false');
+  }
+  
+  return errors;
+};
+
+const sanitizeWebhook = (body) => {
+  if (body.description) {
+    body.description = sanitizeString(body.description);
+  }
+  if (Array.isArray(body.events)) {
+    body.events = [...new Set(body.events)];
+  }
+};
+
+export const validateWebhook = (req, res, next) => {
+  const errors = webhookErrors(req.body, { partial: false });
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  
+  sanitizeWebhook(req.body);
+  next();
+};
+
+export const validateWebhookUpdate = (req, res, next) => {
+  const errors = webhookErrors(req.body, { partial: true });
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  
+  sanitizeWebhook(req.body);
+  next();
+};
+
+export const validateNotificationSettings = (req, res, next) => {
+  const { email, muted, largeTransactionAmount, lowBalanceAmount } = req.body;
+  
+  const errors = [];
+  
+  if (email !== undefined && typeof email !== 'boolean') {
+    errors.push('Email must be true or false');
+  }
+  
+  if (muted !== undefined) {
+    const error = eventsError(muted, 'Muted events');
+    if (error) errors.push(error);
+  }
+  
+  if (largeTransactionAmount !== undefined &&
+      (typeof largeTransactionAmount !== 'number' || largeTransactionAmount < 0 || largeTransactionAmount > 1000000000)) {
+    errors.push('Large transaction amount must be a non-negative number');
+  }
+  
+  if (lowBalanceAmount !== undefined &&
+      (typeof lowBalanceAmount !== 'number' || Math.abs(lowBalanceAmount) > 1000000000)) {
+    errors.push('Low balance amount must be a number');
+  }
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  
+  if (Array.isArray(muted)) {
+    req.body.muted = [...new Set(muted)];
+  }
+  
+  next();
+};
+
 // General body sanitization middleware
 export const sanitizeBody = (req, res, next) => {
   if (req.body) {
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { defaultCurrency, isValidCurrency } from '../utils/currency.js';
 
 const accountSchema = new mongoose.Schema({
   user: { 
@@ -18,17 +19,48 @@ const accountSchema = new mongoose.Schema({
     required: [true, 'Balance is required'], 
     default: 0
   },
+  // Balance before the first transaction; reconciliation replays history from here
+  openingBalance: {
+    type: Number
+  },
   type: { 
     type: String, 
     required: [true, 'Account type is required'],
     trim: true
   },
+  // ISO 4217 code; balance and transactions are in this currency
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: defaultCurrency,
+    validate: {
+      validator: isValidCurrency,
+      message: props => `${props.value} is not an ISO 4217 currency code`
+    }
+  },
   color: { type: String },
   cardNumber: { type: String },
-  cardHolder: { type: String }
+  cardHolder: { type: String },
+  // Offline sync: device-generated ID, and when user-visible fields last changed (device clock for offline edits)
+  clientId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Client ID cannot exceed 100 characters']
+  },
+  lastModifiedAt: {
+    type: Date,
+    default: Date.now
+  }
 }, { timestamps: true });
 
 // Compound index for faster user-specific queries
 accountSchema.index({ user: 1, createdAt: -1 });
 
+// A client ID identifies one record per user
+accountSchema.index(
+  { user: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
 export const Account = mongoose.model('Account', accountSchema);
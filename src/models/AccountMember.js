@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// viewer: read only; contributor: also adds transactions and edits their own; admin: edits
+// any transaction and the account, and manages viewers and contributors
+export const MEMBER_ROLES = ['viewer', 'contributor', 'admin'];
+
+// Another user's access to an account. Starts as an invitation to `email` and becomes
+// active when that user accepts it. The account and its transactions stay owned by `owner`.
+const accountMemberSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true,
+    index: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  // Set on acceptance
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: {
+      values: MEMBER_ROLES,
+      message: `Role must be one of: ${MEMBER_ROLES.join(', ')}`
+    },
+    default: 'viewer'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: { type: Date },
+  // Unaccepted invitations are removed by MongoDB after this
+  expiresAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+accountMemberSchema.index({ account: 1, email: 1 }, { unique: true });
+accountMemberSchema.index({ user: 1, status: 1 });
+accountMemberSchema.index({ email: 1, status: 1 });
+accountMemberSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 0, partialFilterExpression: { status: 'pending' } }
+);
+
+export const AccountMember = mongoose.model('AccountMember', accountMemberSchema);
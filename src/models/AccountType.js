@@ -16,6 +16,16 @@ const accountTypeSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Theme color is required'],
     enum: ['blue', 'emerald', 'orange', 'purple', 'rose', 'slate', 'indigo']
+  },
+  // Offline sync: device-generated ID, and when user-visible fields last changed (device clock for offline edits)
+  clientId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Client ID cannot exceed 100 characters']
+  },
+  lastModifiedAt: {
+    type: Date,
+    default: Date.now
   }
 }, {
   timestamps: true
@@ -24,4 +34,10 @@ const accountTypeSchema = new mongoose.Schema({
 // Ensure a user can't duplicate labels
 accountTypeSchema.index({ user: 1, label: 1 }, { unique: true });
 
+// A client ID identifies one record per user
+accountTypeSchema.index(
+  { user: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
 export const AccountType = mongoose.model('AccountType', accountTypeSchema);
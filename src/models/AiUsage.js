@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+// AI requests per user and UTC day, for the daily quota (services/aiService.js)
+const aiUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // YYYY-MM-DD (UTC)
+  day: {
+    type: String,
+    required: true
+  },
+  requests: { type: Number, default: 0 },
+  // Provider errors; these don't count towards the quota
+  failures: { type: Number, default: 0 },
+  expiresAt: { type: Date, default: () => new Date(Date.now() + RETENTION_MS) }
+}, { timestamps: true });
+
+aiUsageSchema.index({ user: 1, day: 1 }, { unique: true });
+aiUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AiUsage = mongoose.model('AiUsage', aiUsageSchema);
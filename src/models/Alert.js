@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+export const ALERT_TYPES = ['unusual_amount', 'duplicate_charge', 'new_merchant', 'low_balance'];
+
+// Something the anomaly scan (services/anomalyService.js) found in the user's transactions.
+// `details` keeps the figures it was based on, so the alert still reads right after the
+// transaction is edited or deleted.
+const alertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ALERT_TYPES,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning'],
+    default: 'warning'
+  },
+  // One alert per finding, e.g. "duplicate_charge:<id>:<id>", so rescans don't repeat it
+  key: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+  // The other charge of a duplicate
+  relatedTransactions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }],
+  account: { type: mongoose.Schema.Types.ObjectId, ref: 'Account' },
+  details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  dismissedAt: { type: Date },
+  expiresAt: { type: Date, default: () => new Date(Date.now() + RETENTION_MS) }
+}, { timestamps: true });
+
+alertSchema.index({ user: 1, key: 1 }, { unique: true });
+alertSchema.index({ user: 1, dismissedAt: 1, createdAt: -1 });
+alertSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Alert = mongoose.model('Alert', alertSchema);
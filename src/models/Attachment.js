@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// A file (receipt photo, invoice PDF) attached to a transaction. The bytes live in the
+// storage adapter (services/storage.js) under `key`; images also get a small `thumbnailKey`.
+const attachmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    index: true
+  },
+  fileName: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'File name cannot exceed 200 characters']
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String
+  }
+}, { timestamps: true });
+
+export const Attachment = mongoose.model('Attachment', attachmentSchema);
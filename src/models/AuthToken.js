@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+export const TOKEN_PURPOSES = ['password-reset', 'email-verification', 'reauthentication'];
+
+// Single-use tokens sent by email. Only the SHA-256 hash is stored.
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: TOKEN_PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// Expired tokens are removed by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AuthToken = mongoose.model('AuthToken', authTokenSchema);
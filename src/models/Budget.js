@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const budgetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+  // Optional: limit the budget to a single account. null means all accounts.
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  limit: {
+    type: Number,
+    required: [true, 'Budget limit is required'],
+    min: [0.01, 'Budget limit must be positive']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  }
+}, { timestamps: true });
+
+// One budget per category (and account scope) per user
+budgetSchema.index({ user: 1, category: 1, accountId: 1 }, { unique: true });
+
+export const Budget = mongoose.model('Budget', budgetSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+export const CATEGORY_KINDS = ['income', 'expense'];
+
+// A user's category. Transactions store the category by name, so renames and merges rewrite them
+// (services/categoryService.js). Nesting is one level deep: a parent can't have a parent itself.
+const categorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  // Lowercased name; names are unique per user regardless of case
+  nameKey: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: {
+      values: CATEGORY_KINDS,
+      message: 'Kind must be either income or expense'
+    },
+    default: 'expense'
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Icon cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Color cannot exceed 30 characters']
+  }
+}, {
+  timestamps: true
+});
+
+export const categoryKey = (name) => String(name).trim().toLowerCase();
+
+categorySchema.pre('validate', function(next) {
+  if (this.name) this.nameKey = categoryKey(this.name);
+  next();
+});
+
+categorySchema.index({ user: 1, nameKey: 1 }, { unique: true });
+categorySchema.index({ user: 1, parent: 1 });
+
+export const Category = mongoose.model('Category', categorySchema);
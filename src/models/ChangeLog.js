@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const RETENTION_DAYS = parseInt(process.env.SYNC_CHANGELOG_RETENTION_DAYS) || 180;
+
+// Append-only, per-user log of record changes that offline clients pull with GET /sync/changes
+const changeLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Per-user sequence number; the sync cursor points at one of these
+  seq: { type: Number, required: true },
+  entity: {
+    type: String,
+    enum: ['account', 'accountType', 'transaction'],
+    required: true
+  },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  clientId: { type: String },
+  op: { type: String, enum: ['upsert', 'delete'], required: true },
+  // Snapshot of the record after the change (upserts only)
+  data: { type: mongoose.Schema.Types.Mixed },
+  // When the record was last modified (tombstone time for deletes)
+  modifiedAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now, expires: RETENTION_DAYS * 24 * 60 * 60 }
+});
+
+changeLogSchema.index({ user: 1, seq: 1 }, { unique: true });
+changeLogSchema.index({ user: 1, entity: 1, clientId: 1, op: 1 });
+
+export const ChangeLog = mongoose.model('ChangeLog', changeLogSchema);
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// A chat with the finance assistant (services/assistantService.js). Deleted CHAT_RETENTION_DAYS
+// after the last message.
+const citationSchema = new mongoose.Schema({
+  // Marker used in the answer text, e.g. "c1" for [c1]
+  id: { type: String, required: true },
+  tool: { type: String, required: true },
+  label: { type: String },
+  // Query parameters for GET /api/finance/transactions that show the underlying rows
+  filters: { type: mongoose.Schema.Types.Mixed, default: {} },
+  transactionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }]
+}, { _id: false });
+
+const messageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    // Escaped text, so up to six times the characters typed
+    maxlength: 20000
+  },
+  citations: { type: [citationSchema], default: undefined },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The first question, shortened
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  messages: [messageSchema],
+  lastMessageAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+conversationSchema.index({ user: 1, lastMessageAt: -1 });
+conversationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Conversation = mongoose.model('Conversation', conversationSchema);
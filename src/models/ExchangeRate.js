@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import { isValidCurrency } from '../utils/currency.js';
+
+const currencyField = (label) => ({
+  type: String,
+  required: [true, `${label} currency is required`],
+  uppercase: true,
+  trim: true,
+  validate: {
+    validator: isValidCurrency,
+    message: props => `${props.value} is not an ISO 4217 currency code`
+  }
+});
+
+// One unit of `base` buys `rate` units of `quote` on `date`
+const exchangeRateSchema = new mongoose.Schema({
+  base: currencyField('Base'),
+  quote: currencyField('Quote'),
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    validate: {
+      validator: value => value > 0 && Number.isFinite(value),
+      message: 'Rate must be a positive number'
+    }
+  },
+  // UTC midnight of the day the rate applies to
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  // "manual", "import" or the provider name
+  source: {
+    type: String,
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per pair and day; also serves "latest rate on or before" lookups
+exchangeRateSchema.index({ base: 1, quote: 1, date: -1 }, { unique: true });
+
+export const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
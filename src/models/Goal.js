@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import { defaultCurrency, isValidCurrency } from '../utils/currency.js';
+
+// A savings target. Progress is the combined balance of the linked accounts.
+const goalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Goal name is required'],
+    trim: true,
+    maxlength: [50, 'Goal name cannot exceed 50 characters']
+  },
+  targetAmount: {
+    type: Number,
+    required: [true, 'Target amount is required'],
+    min: [0.01, 'Target amount must be positive']
+  },
+  targetDate: {
+    type: Date,
+    required: [true, 'Target date is required']
+  },
+  // Target and progress are reported in this currency; linked accounts are converted
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: defaultCurrency,
+    validate: {
+      validator: isValidCurrency,
+      message: props => `${props.value} is not an ISO 4217 currency code`
+    }
+  },
+  accountIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Account' }],
+    validate: {
+      validator: ids => ids.length > 0,
+      message: 'A goal needs at least one account'
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  // First time progress reached the target
+  achievedAt: { type: Date }
+}, { timestamps: true });
+
+goalSchema.index({ user: 1, targetDate: 1 });
+
+export const Goal = mongoose.model('Goal', goalSchema);
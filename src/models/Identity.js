@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// A social login (Google, GitHub, ...) linked to a user
+const identitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's stable user id (not the email, which can change)
+  providerUserId: {
+    type: String,
+    required: true
+  },
+  email: { type: String, lowercase: true, trim: true },
+  name: { type: String },
+  lastLoginAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+identitySchema.index({ provider: 1, providerUserId: 1 }, { unique: true });
+
+export const Identity = mongoose.model('Identity', identitySchema);
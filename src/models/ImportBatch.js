@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+
+const importRowSchema = new mongoose.Schema({
+  index: { type: Number, required: true },
+  date: { type: Date, required: true },
+  amount: { type: Number, required: true },
+  type: { type: String, enum: ['income', 'expense'], required: true },
+  description: { type: String },
+  category: { type: String },
+  tags: { type: [String], default: undefined },
+  // Categorization rules that matched the row
+  rules: { type: [mongoose.Schema.Types.ObjectId], default: undefined },
+  externalId: { type: String },
+  // Existing transaction this row probably duplicates
+  duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+  duplicateReason: { type: String },
+  // Earlier row in the same file this one repeats
+  duplicateOfRow: { type: Number }
+}, { _id: false });
+
+// A parsed statement waiting for the user to review and commit it
+const importBatchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  format: { type: String, enum: ['csv', 'ofx', 'qif'], required: true },
+  fileName: { type: String },
+  profile: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportProfile' },
+  rows: [importRowSchema],
+  status: { type: String, enum: ['preview', 'committed'], default: 'preview' },
+  committedCount: { type: Number, default: 0 },
+  committedAt: { type: Date },
+  // Uncommitted previews expire on their own; cleared once committed
+  expiresAt: { type: Date, default: () => new Date(Date.now() + PREVIEW_TTL_MS) }
+}, { timestamps: true });
+
+importBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
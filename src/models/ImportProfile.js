@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Column mapping for one bank's CSV export. Columns are header names, or
+// 0-based column numbers when the file has no header row.
+const importProfileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Profile name is required'],
+    trim: true,
+    maxlength: [50, 'Profile name cannot exceed 50 characters']
+  },
+  delimiter: { type: String, default: ',' },
+  hasHeader: { type: Boolean, default: true },
+  // Rows to skip before the header (bank name, account summary...)
+  skipRows: { type: Number, default: 0, min: 0 },
+  dateFormat: {
+    type: String,
+    enum: ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'YYYY/MM/DD'],
+    default: 'YYYY-MM-DD'
+  },
+  decimalSeparator: { type: String, enum: ['.', ','], default: '.' },
+  columns: {
+    date: { type: mongoose.Schema.Types.Mixed, required: [true, 'Date column is required'] },
+    description: { type: mongoose.Schema.Types.Mixed },
+    // Either a signed amount column...
+    amount: { type: mongoose.Schema.Types.Mixed },
+    // ...or separate debit/credit columns
+    debit: { type: mongoose.Schema.Types.Mixed },
+    credit: { type: mongoose.Schema.Types.Mixed },
+    category: { type: mongoose.Schema.Types.Mixed }
+  },
+  // Some banks export expenses as positive numbers
+  invertSign: { type: Boolean, default: false }
+}, { timestamps: true });
+
+importProfileSchema.index({ user: 1, name: 1 }, { unique: true });
+
+export const ImportProfile = mongoose.model('ImportProfile', importProfileSchema);
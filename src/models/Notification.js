@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Finance events users can be notified about (services/financeEvents.js)
+export const NOTIFICATION_EVENTS = ['large_transaction', 'low_balance', 'budget_exceeded', 'transfer_completed', 'transaction_updated'];
+
+// In-app notification; the same event also goes to email and webhooks (services/notificationService.js)
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: NOTIFICATION_EVENTS,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: { type: String },
+  // Event payload, as sent to webhooks
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  readAt: { type: Date },
+  expiresAt: { type: Date, default: () => new Date(Date.now() + RETENTION_MS) }
+}, { timestamps: true });
+
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Notification = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// One pending OAuth authorization: the `state` sent to the provider (hashed), the nonce cookie
+// of the browser that started it (hashed) and the PKCE verifier needed to redeem the code.
+// Consumed by the callback, otherwise removed after `expiresAt`.
+const oauthStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonceHash: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  // Set when a signed-in user is linking another provider
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Web app path to return to afterwards
+  returnTo: { type: String },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
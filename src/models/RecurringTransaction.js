@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import { FREQUENCIES } from '../utils/recurrence.js';
+
+const ruleSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: {
+      values: FREQUENCIES,
+      message: 'Unsupported recurrence frequency'
+    },
+    required: [true, 'Frequency is required']
+  },
+  interval: { type: Number, default: 1, min: 1, max: 365 },
+  dayOfWeek: { type: Number, min: 0, max: 6 },
+  dayOfMonth: { type: Number, min: 1, max: 31 },
+  weekOfMonth: { type: Number, enum: [1, 2, 3, 4, -1] }
+}, { _id: false });
+
+const recurringTransactionSchema = new mongoose.Schema({
+  // The account owner; like transactions, schedules on a shared account belong to the owner
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Who set it up (a member, for shared accounts); copied to the transactions it posts
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Account is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be positive']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['income', 'expense'],
+      message: 'Type must be either income or expense'
+    },
+    required: [true, 'Transaction type is required']
+  },
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  rule: {
+    type: ruleSchema,
+    required: [true, 'Recurrence rule is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: { type: Date },
+  // What to do with occurrences missed while the server was down:
+  // 'all' backfills every one of them, 'latest' posts only the most recent
+  catchUp: {
+    type: String,
+    enum: ['all', 'latest'],
+    default: 'all'
+  },
+  active: { type: Boolean, default: true },
+  // Scheduler bookkeeping: index and date of the next occurrence to post (null once finished)
+  nextIndex: { type: Number, default: 0 },
+  nextRunAt: { type: Date },
+  lastOccurrenceAt: { type: Date },
+  lastRunAt: { type: Date },
+  lastError: { type: String }
+}, { timestamps: true });
+
+recurringTransactionSchema.index({ active: 1, nextRunAt: 1 });
+
+export const RecurringTransaction = mongoose.model('RecurringTransaction', recurringTransactionSchema);
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// Which operators each transaction field supports
+export const RULE_FIELDS = {
+  description: ['contains', 'equals', 'startsWith', 'endsWith'],
+  category: ['contains', 'equals', 'startsWith', 'endsWith'],
+  amount: ['equals', 'gt', 'gte', 'lt', 'lte'],
+  type: ['equals'],
+  accountId: ['equals']
+};
+
+const conditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: Object.keys(RULE_FIELDS),
+    required: [true, 'Condition field is required']
+  },
+  operator: {
+    type: String,
+    required: [true, 'Condition operator is required']
+  },
+  // Text is compared case-insensitively; amounts are numbers
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Condition value is required']
+  }
+}, { _id: false });
+
+// "description contains UBER -> category Transport, tag work". Rules run in `priority` order
+// (lowest first) on new transactions from the API, sync and statement imports (services/ruleService.js).
+const ruleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // 'all' conditions must hold, or 'any' of them
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  conditions: {
+    type: [conditionSchema],
+    validate: [conditions => conditions.length > 0, 'A rule needs at least one condition']
+  },
+  actions: {
+    category: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Category cannot exceed 50 characters']
+    },
+    tags: {
+      type: [{ type: String, trim: true, lowercase: true, maxlength: 30 }],
+      default: undefined
+    },
+    // Replace a category the transaction already has, not only fill in a missing one
+    overrideCategory: {
+      type: Boolean,
+      default: false
+    }
+  }
+}, { timestamps: true });
+
+ruleSchema.index({ user: 1, priority: 1, createdAt: 1 });
+
+export const Rule = mongoose.model('Rule', ruleSchema);
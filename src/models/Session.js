@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// One login on one device. The refresh token itself is never stored, only its SHA-256 hash.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hashes of refresh tokens already rotated out; presenting one again means it was stolen
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  userAgent: { type: String, maxlength: 500 },
+  device: { type: String },
+  ip: { type: String },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: { type: Date },
+  // "logout", "logout-all", "revoked", "reuse-detected", ...
+  revokedReason: { type: String }
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,24 @@
 import mongoose from 'mongoose';
+import { splitTotalError } from '../utils/splits.js';
+
+const splitSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Split category is required'],
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Split amount is required'],
+    min: [0.01, 'Split amount must be positive']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  }
+}, { _id: false });
 
 const transactionSchema = new mongoose.Schema({
   user: { 
@@ -13,6 +33,11 @@ const transactionSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Who entered it; differs from `user` (the account owner) for members of a shared account
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   amount: { 
     type: Number, 
     required: [true, 'Amount is required'],
@@ -45,12 +70,86 @@ const transactionSchema = new mongoose.Schema({
   balanceAt: {
     type: Number,
     required: false
+  },
+  // Optional breakdown across categories; the lines add up to `amount` and analytics,
+  // budgets and category search count each line on its own
+  splits: {
+    type: [splitSchema],
+    default: undefined
+  },
+  // Lowercase labels (utils/tags.js), set by the user or by categorization rules
+  tags: {
+    type: [{ type: String, trim: true, lowercase: true, maxlength: [30, 'Tags cannot exceed 30 characters'] }],
+    default: undefined
+  },
+  // Shared by the expense/income pair created by a transfer
+  transferId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  // Transfers between accounts in different currencies: both amounts and the rate used
+  exchange: {
+    type: new mongoose.Schema({
+      rate: Number,
+      fromCurrency: String,
+      fromAmount: Number,
+      toCurrency: String,
+      toAmount: Number
+    }, { _id: false }),
+    default: undefined
+  },
+  // Set when the transaction was posted by a recurring schedule
+  recurringId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringTransaction'
+  },
+  occurrenceDate: {
+    type: Date
+  },
+  // Bank reference (e.g. OFX FITID) and batch for imported statement lines
+  externalId: {
+    type: String,
+    trim: true
+  },
+  importBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch'
+  },
+  // Offline sync: device-generated ID, and when user-visible fields last changed (device clock for offline edits)
+  clientId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Client ID cannot exceed 100 characters']
+  },
+  lastModifiedAt: {
+    type: Date,
+    default: Date.now
   }
 }, { timestamps: true });
 
+transactionSchema.pre('validate', function(next) {
+  const error = splitTotalError(this.amount, this.splits);
+  if (error) this.invalidate('splits', error);
+  next();
+});
+
 // Compound indexes for efficient queries
 transactionSchema.index({ user: 1, date: -1 });
 transactionSchema.index({ accountId: 1, date: -1 });
 transactionSchema.index({ user: 1, type: 1, date: -1 });
+transactionSchema.index({ user: 1, amount: -1 });
+transactionSchema.index({ accountId: 1, externalId: 1 }, { sparse: true });
+
+// A recurring occurrence can only ever be posted once
+transactionSchema.index(
+  { recurringId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringId: { $exists: true } } }
+);
+
+// A client ID identifies one record per user
+transactionSchema.index(
+  { user: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
 
 export const Transaction = mongoose.model('Transaction', transactionSchema);
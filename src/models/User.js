@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { defaultCurrency, isValidCurrency } from '../utils/currency.js';
 
 const userSchema = new mongoose.Schema({
   email: { 
@@ -16,6 +17,8 @@ const userSchema = new mongoose.Schema({
     minlength: [8, 'Password must be at least 8 characters'],
     select: false // Don't return password by default
   },
+  // False for users created by a social login until they set a password through reset-password
+  hasPassword: { type: Boolean, default: true },
   name: { 
     type: String, 
     required: [true, 'Name is required'],
@@ -23,7 +26,59 @@ const userSchema = new mongoose.Schema({
     minlength: [2, 'Name must be at least 2 characters']
   },
   avatar: { type: String },
-  joinedAt: { type: Date, default: Date.now }
+  // Storage key of an uploaded avatar (services/storage.js)
+  avatarKey: { type: String },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+  // IANA timezone used for reporting periods (e.g. "Asia/Karachi")
+  timezone: { type: String, default: 'UTC' },
+  // ISO 4217 code totals and reports are converted to
+  baseCurrency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: defaultCurrency,
+    validate: {
+      validator: isValidCurrency,
+      message: props => `${props.value} is not an ISO 4217 currency code`
+    }
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Finance event notifications (services/financeEvents.js)
+  notificationSettings: {
+    email: { type: Boolean, default: false },
+    // Events that send nothing on any channel
+    muted: { type: [String], default: [] },
+    // In the user's base currency
+    largeTransactionAmount: { type: Number, default: 1000 },
+    // An account falling below this, in its own currency
+    lowBalanceAmount: { type: Number, default: 0 }
+  },
+  // TOTP secrets are encrypted (utils/encryption.js), recovery codes hashed; none of it is selected by default
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    // Set by setup, promoted to `secret` once a code from it is verified
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: {
+      type: [{ hash: String, usedAt: Date, _id: false }],
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be replayed
+    lastUsedStep: { type: Number, select: false }
+  },
+  joinedAt: { type: Date, default: Date.now },
+  // Set by DELETE /api/auth/me during the grace period; the purge job deletes the user after it
+  deletionScheduledFor: { type: Date, index: { sparse: true } },
+  // Last sequence number handed out in this user's sync change log
+  syncSeq: { type: Number, default: 0 },
+  // Transactions created after this haven't been checked for anomalies yet
+  alertsScannedAt: { type: Date }
 }, { 
   timestamps: true 
 });
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_EVENTS } from './Notification.js';
+
+// A URL the user's finance events are POSTed to, signed with the webhook's secret
+// (services/webhookService.js)
+const webhookSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [500, 'Webhook URL cannot exceed 500 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Description cannot exceed 100 characters']
+  },
+  // Events to send; empty means all of them
+  events: {
+    type: [{ type: String, enum: NOTIFICATION_EVENTS }],
+    default: []
+  },
+  enabled: { type: Boolean, default: true },
+  // HMAC signing secret, encrypted (utils/encryption.js); shown to the user once
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  lastDeliveryAt: { type: Date },
+  // HTTP status or error of the last attempt
+  lastStatus: { type: String }
+}, { timestamps: true });
+
+export const Webhook = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// One event sent to one webhook: the retry queue and the delivery log in one
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  // HTTP status; absent when the request itself failed
+  status: { type: Number },
+  error: { type: String },
+  durationMs: { type: Number }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // The exact JSON body, so retries are signed over the same bytes
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  // When a pending delivery is due; pushed ahead while an attempt is in flight
+  nextAttemptAt: { type: Date, default: Date.now },
+  attempts: { type: [attemptSchema], default: [] },
+  deliveredAt: { type: Date },
+  expiresAt: { type: Date, default: () => new Date(Date.now() + RETENTION_MS) }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
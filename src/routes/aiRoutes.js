@@ -0,0 +1,26 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { receiptUpload } from '../middleware/upload.js';
+import { parseTransactionText, parseReceipt, getUsage } from '../services/aiService.js';
+
+const router = express.Router();
+
+// "spent 1200 on groceries at Imtiaz yesterday from current account" -> draft transaction
+router.post('/parse', protect, asyncHandler(async (req, res) => {
+  const result = await parseTransactionText(req.user, req.body.text, { accountId: req.body.accountId });
+  res.json(result);
+}));
+
+// Multipart `image` of a receipt (optional `accountId`) -> draft with amount, merchant and date
+router.post('/parse-receipt', protect, receiptUpload, asyncHandler(async (req, res) => {
+  const result = await parseReceipt(req.user, req.file, { accountId: req.body.accountId });
+  res.json(result);
+}));
+
+// Today's requests against the daily quota
+router.get('/usage', protect, asyncHandler(async (req, res) => {
+  res.json(await getUsage(req.user._id));
+}));
+
+export default router;
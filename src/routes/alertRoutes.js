@@ -0,0 +1,29 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { listAlerts, scanUser, dismissAlert, dismissAlerts } from '../services/anomalyService.js';
+
+const router = express.Router();
+
+// ?status=active|dismissed|all (default active), ?type=, ?limit= (up to 200)
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const { status, type, limit } = req.query;
+  res.json(await listAlerts(req.user._id, { status, type, limit }));
+}));
+
+// Check new transactions now instead of waiting for the background scan
+router.post('/scan', protect, asyncHandler(async (req, res) => {
+  res.json(await scanUser(req.user));
+}));
+
+// { ids } to dismiss those alerts, or no body to dismiss every active one
+router.post('/dismiss', protect, asyncHandler(async (req, res) => {
+  const dismissed = await dismissAlerts(req.user._id, req.body.ids);
+  res.json({ dismissed });
+}));
+
+router.post('/:id/dismiss', protect, asyncHandler(async (req, res) => {
+  res.json(await dismissAlert(req.user._id, req.params.id));
+}));
+
+export default router;
@@ -0,0 +1,59 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  resolvePeriod,
+  spendingByCategory,
+  cashFlow,
+  totalsByTag,
+  topDescriptions,
+  netWorthHistory
+} from '../services/analyticsService.js';
+import { requireAccountAccess } from '../services/accountAccess.js';
+
+const router = express.Router();
+
+// Every endpoint accepts ?from=&to= (YYYY-MM-DD is read in the user's timezone) and ?tz=<IANA name>.
+// ?accountId= limits a report to one account, which may be one shared with the user; its
+// transactions belong to the owner, so the report runs as the owner for that account only.
+const reportScope = async (req) => {
+  const period = resolvePeriod(req.query, req.user);
+  if (!req.query.accountId) {
+    return { userId: req.user._id, period };
+  }
+
+  const { account } = await requireAccountAccess(req.user._id, req.query.accountId);
+  return { userId: account.user, period: { ...period, accountId: account._id } };
+};
+
+router.get('/categories', protect, asyncHandler(async (req, res) => {
+  const { userId, period } = await reportScope(req);
+  const result = await spendingByCategory(userId, period, req.query.type);
+  res.json({ from: period.start, to: period.end, timeZone: period.timeZone, ...result });
+}));
+
+router.get('/tags', protect, asyncHandler(async (req, res) => {
+  const { userId, period } = await reportScope(req);
+  const result = await totalsByTag(userId, period);
+  res.json({ from: period.start, to: period.end, timeZone: period.timeZone, ...result });
+}));
+
+router.get('/cash-flow', protect, asyncHandler(async (req, res) => {
+  const { userId, period } = await reportScope(req);
+  const result = await cashFlow(userId, period, req.query.interval);
+  res.json({ from: period.start, to: period.end, timeZone: period.timeZone, ...result });
+}));
+
+router.get('/merchants', protect, asyncHandler(async (req, res) => {
+  const { userId, period } = await reportScope(req);
+  const result = await topDescriptions(userId, period, { type: req.query.type, limit: req.query.limit });
+  res.json({ from: period.start, to: period.end, timeZone: period.timeZone, ...result });
+}));
+
+router.get('/net-worth', protect, asyncHandler(async (req, res) => {
+  const { userId, period } = await reportScope(req);
+  const result = await netWorthHistory(userId, period, req.query.interval);
+  res.json({ from: period.start, to: period.end, timeZone: period.timeZone, ...result });
+}));
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  chat,
+  listConversations,
+  getConversation,
+  deleteConversation
+} from '../services/assistantService.js';
+
+const router = express.Router();
+
+// { message, conversationId? } -> the answer with citations; omit conversationId to start a new one
+router.post('/chat', protect, asyncHandler(async (req, res) => {
+  const result = await chat(req.user, { message: req.body.message, conversationId: req.body.conversationId });
+  res.json(result);
+}));
+
+// Titles only, most recent first
+router.get('/conversations', protect, asyncHandler(async (req, res) => {
+  res.json(await listConversations(req.user._id));
+}));
+
+router.get('/conversations/:id', protect, asyncHandler(async (req, res) => {
+  res.json(await getConversation(req.user._id, req.params.id));
+}));
+
+router.delete('/conversations/:id', protect, asyncHandler(async (req, res) => {
+  await deleteConversation(req.user._id, req.params.id);
+  res.json({ message: 'Conversation deleted' });
+}));
+
+export default router;
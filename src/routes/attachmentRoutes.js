@@ -0,0 +1,57 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { attachmentUpload } from '../middleware/upload.js';
+import { getStorage } from '../services/storage.js';
+import {
+  addAttachment,
+  listAttachments,
+  findAttachment,
+  deleteAttachment
+} from '../services/attachmentService.js';
+
+const router = express.Router();
+
+// Attachments of a transaction the user can see, including those on shared accounts
+router.get('/', protect, asyncHandler(async (req, res) => {
+  res.json(await listAttachments(req.user._id, req.query.transactionId));
+}));
+
+// Multipart: `file` (image or PDF, up to 10 MB) and `transactionId`
+router.post('/', protect, attachmentUpload, asyncHandler(async (req, res) => {
+  const attachment = await addAttachment(req.user._id, req.body.transactionId, req.file);
+  res.status(201).json(attachment);
+}));
+
+const streamFile = (res, key, headers) => {
+  res.set({ ...headers, 'Cache-Control': 'private, max-age=3600', 'X-Content-Type-Options': 'nosniff' });
+  getStorage().get(key).on('error', () => res.destroy()).pipe(res);
+};
+
+router.get('/:id', protect, asyncHandler(async (req, res) => {
+  const attachment = await findAttachment(req.user._id, req.params.id);
+  const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+
+  streamFile(res, attachment.key, {
+    'Content-Type': attachment.contentType,
+    'Content-Length': attachment.size,
+    'Content-Disposition': `${disposition}; filename="${attachment.fileName || 'attachment'}"`
+  });
+}));
+
+// Small WebP preview; PDFs have none
+router.get('/:id/thumbnail', protect, asyncHandler(async (req, res) => {
+  const attachment = await findAttachment(req.user._id, req.params.id);
+  if (!attachment.thumbnailKey) {
+    return res.status(404).json({ message: 'This attachment has no thumbnail' });
+  }
+
+  streamFile(res, attachment.thumbnailKey, { 'Content-Type': 'image/webp' });
+}));
+
+router.delete('/:id', protect, asyncHandler(async (req, res) => {
+  await deleteAttachment(req.user._id, req.params.id);
+  res.json({ message: 'Attachment deleted' });
+}));
+
+export default router;
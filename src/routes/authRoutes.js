@@ -1,41 +1,71 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import { User } from '../models/User.js';
-import { Account } from '../models/Account.js';
-import { AccountType } from '../models/AccountType.js';
 import { protect } from '../middleware/authMiddleware.js';
 import { authLimiter } from '../middleware/rateLimiter.js';
-import { validateRegistration, validateLogin } from '../middleware/validation.js';
+import {
+  validateRegistration,
+  validateLogin,
+  validateEmail,
+  validatePasswordReset,
+  passwordErrors,
+  sanitizeString
+} from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+import { isValidCurrency, normalizeCurrency } from '../utils/currency.js';
+import {
+  accessTokenTtlMs,
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} from '../services/sessionService.js';
+import { consumeToken, recentlyIssued, revokeTokens } from '../services/authTokenService.js';
+import { sendPasswordResetEmail, sendVerificationEmail, sendReauthenticationEmail } from '../services/authEmails.js';
+import { signChallenge, challengeTtlSeconds, verifyChallenge, verifySecondFactor } from '../services/twoFactorService.js';
+import { confirmIdentity } from '../services/reauthService.js';
+import { replaceAvatar, removeAvatar, avatarKey } from '../services/profileService.js';
+import { requestDeletion, cancelDeletion } from '../services/accountDeletionService.js';
+import { getStorage } from '../services/storage.js';
+import { avatarUpload } from '../middleware/upload.js';
+import { seedDefaultData } from '../services/userSeed.js';
+import { setAuthCookies, clearAuthCookies } from '../utils/authCookies.js';
+import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '30d' });
-};
+// Start a session for a freshly authenticated user and send both tokens
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { accessToken, refreshToken } = await createSession(user._id, req);
 
-const sendTokenResponse = (user, statusCode, res) => {
-  const token = generateToken(user._id);
-
-  const options = {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production', // Set to true in production
-    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-    maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-  };
-
-  res.status(statusCode)
-    .cookie('token', token, options)
-    .json({
-      success: true,
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      avatar: user.avatar,
-      token // Optional: keep sending token in body for now, but cookie is primary
-    });
+  // Signing in during the deletion grace period keeps the account
+  const deletionCancelled = !!user.deletionScheduledFor;
+  if (deletionCancelled) {
+    await cancelDeletion(user._id);
+  }
+
+  setAuthCookies(res, { accessToken, refreshToken });
+  res.status(statusCode).json({
+    success: true,
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    avatar: user.avatar,
+    emailVerified: user.emailVerified,
+    ...(deletionCancelled && { deletionCancelled }),
+    // Cookies are primary; the body copies are for clients that can't use them
+    token: accessToken,
+    refreshToken,
+    expiresIn: Math.floor(accessTokenTtlMs() / 1000)
+  });
 };
 
+const refreshTokenFrom = (req) => req.cookies.refreshToken || req.body?.refreshToken;
+
 router.post('/register', authLimiter, validateRegistration, asyncHandler(async (req, res) => {
   const { name, email, password } = req.body;
 
@@ -46,66 +76,16 @@ router.post('/register', authLimiter, validateRegistration, asyncHandler(async (
 
   const user = await User.create({ name, email, password });
 
-  // Seed default data
-  try {
-    // 1. Create Default Account Types
-    const defaultTypes = [
-      { label: 'Family', theme: 'indigo' },
-      { label: 'Salary', theme: 'emerald' },
-      { label: 'Current', theme: 'blue' },
-      { label: 'Savings', theme: 'orange' }
-    ];
-
-    await AccountType.insertMany(
-      defaultTypes.map(t => ({ user: user._id, ...t }))
-    );
-
-    // 2. Create Default Accounts (Vaults)
-    const defaultAccounts = [
-      {
-        name: 'Family Vault',
-        type: 'Family', 
-        balance: 0,
-        cardNumber: '**** **** **** 1001',
-        cardHolder: name.toUpperCase(),
-        color: 'indigo'
-      },
-      {
-        name: 'Salary Account', 
-        type: 'Salary',
-        balance: 0,
-        cardNumber: '**** **** **** 2002',
-        cardHolder: name.toUpperCase(),
-        color: 'emerald'
-      },
-      {
-        name: 'Current Account',
-        type: 'Current',
-        balance: 0,
-        cardNumber: '**** **** **** 3003',
-        cardHolder: name.toUpperCase(),
-        color: 'blue'
-      },
-      {
-        name: 'Savings Goal',
-        type: 'Savings',
-        balance: 0,
-        cardNumber: '**** **** **** 4004',
-        cardHolder: name.toUpperCase(),
-        color: 'orange'
-      }
-    ];
-
-    await Account.insertMany(
-      defaultAccounts.map(a => ({ user: user._id, ...a }))
-    );
+  await seedDefaultData(user);
 
+  // A failed email shouldn't fail the signup; the user can ask for another one
+  try {
+    await sendVerificationEmail(user);
   } catch (error) {
-    console.error('Seeding error:', error);
-    // Non-blocking, proceed with registration response
+    logger.error('Verification email failed', { userId: user._id.toString(), error: error.message });
   }
 
-  sendTokenResponse(user, 201, res);
+  await sendTokenResponse(user, 201, req, res);
 }));
 
 router.post('/login', authLimiter, validateLogin, asyncHandler(async (req, res) => {
@@ -117,23 +97,304 @@ router.post('/login', authLimiter, validateLogin, asyncHandler(async (req, res)
     return res.status(401).json({ message: 'Invalid email or password' });
   }
 
-  sendTokenResponse(user, 200, res);
+  // With 2FA on, the password only earns a challenge to redeem at /login/2fa
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: signChallenge(user._id),
+      expiresIn: challengeTtlSeconds()
+    });
+  }
+
+  await sendTokenResponse(user, 200, req, res);
+}));
+
+// Second login step: challenge token plus an authenticator `code` or a `recoveryCode`
+router.post('/login/2fa', authLimiter, asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const userId = challengeToken && verifyChallenge(challengeToken);
+  if (!userId) {
+    return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+  }
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ message: 'A two-factor code is required' });
+  }
+
+  if (!(await verifySecondFactor(userId, { code, recoveryCode }))) {
+    return res.status(401).json({ message: 'Invalid two-factor code' });
+  }
+
+  const user = await User.findById(userId);
+  await sendTokenResponse(user, 200, req, res);
 }));
 
-router.post('/logout', (req, res) => {
-  // Must use the same options as when cookie was set for proper clearing
-  res.cookie('token', '', {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-    expires: new Date(0), // Expire immediately
-    maxAge: 0,
+// Exchange the refresh token (cookie, or body for non-browser clients) for a new token pair
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const { accessToken, refreshToken } = await rotateSession(refreshTokenFrom(req), req);
+
+  setAuthCookies(res, { accessToken, refreshToken });
+  res.json({
+    success: true,
+    token: accessToken,
+    refreshToken,
+    expiresIn: Math.floor(accessTokenTtlMs() / 1000)
   });
+}));
+
+// Ends the current session; works with an expired access token as long as the refresh token is sent
+router.post('/logout', asyncHandler(async (req, res) => {
+  const refreshToken = refreshTokenFrom(req);
+  let session = refreshToken ? await findSessionByRefreshToken(refreshToken) : null;
+
+  if (!session) {
+    const accessToken = req.cookies.token || req.headers.authorization?.split(' ')[1];
+    try {
+      const decoded = accessToken && jwt.verify(accessToken, process.env.JWT_SECRET);
+      if (decoded?.sid) session = { _id: decoded.sid, user: decoded.id };
+    } catch (error) {
+      // Nothing to revoke with an invalid token
+    }
+  }
+
+  if (session) {
+    await revokeSession(session.user, session._id, 'logout');
+  }
+
+  clearAuthCookies(res);
   res.status(200).json({ success: true, data: {} });
+}));
+
+// Log out everywhere, including this device
+router.post('/logout-all', protect, asyncHandler(async (req, res) => {
+  const revoked = await revokeAllSessions(req.user._id, { reason: 'logout-all' });
+  clearAuthCookies(res);
+  res.json({ success: true, revoked });
+}));
+
+router.get('/sessions', protect, asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.user._id);
+  res.json(sessions.map(session => ({
+    ...session,
+    current: session._id.equals(req.sessionId)
+  })));
+}));
+
+router.delete('/sessions/:id', protect, asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Session not found' });
+  }
+
+  const session = await revokeSession(req.user._id, req.params.id, 'revoked');
+  if (!session) {
+    return res.status(404).json({ message: 'Session not found' });
+  }
+
+  if (session._id.equals(req.sessionId)) {
+    clearAuthCookies(res);
+  }
+  res.json({ message: 'Session revoked' });
+}));
+
+/* ---------- Password reset & email verification ---------- */
+
+// Always answers the same way so the endpoint can't be used to find out who has an account
+router.post('/forgot-password', authLimiter, validateEmail, asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.body.email });
+
+  if (user && !(await recentlyIssued(user._id, 'password-reset'))) {
+    try {
+      await sendPasswordResetEmail(user);
+    } catch (error) {
+      logger.error('Password reset email failed', { userId: user._id.toString(), error: error.message });
+    }
+  }
+
+  res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+}));
+
+// Sets the new password and signs the user out everywhere
+router.post('/reset-password', authLimiter, validatePasswordReset, asyncHandler(async (req, res) => {
+  const token = await consumeToken(req.body.token, 'password-reset');
+  if (!token) {
+    return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+  }
+
+  const user = await User.findById(token.user);
+  if (!user) {
+    return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+  }
+
+  user.password = req.body.password;
+  user.hasPassword = true;
+  // Receiving the email proves the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  await Promise.all([
+    revokeTokens(user._id, 'password-reset'),
+    revokeAllSessions(user._id, { reason: 'password-reset' })
+  ]);
+
+  clearAuthCookies(res);
+  res.json({ message: 'Password has been reset, please log in' });
+}));
+
+// Token in the body (POST from the web app) or the query string (link opened directly)
+const verifyEmail = asyncHandler(async (req, res) => {
+  const token = await consumeToken(req.body?.token || req.query.token, 'email-verification');
+  if (!token) {
+    return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+  }
+
+  const user = await User.findByIdAndUpdate(
+    token.user,
+    { emailVerified: true, emailVerifiedAt: new Date() },
+    { new: true }
+  );
+  if (!user) {
+    return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+  }
+
+  res.json({ message: 'Email verified', emailVerified: true });
 });
 
+router.get('/verify-email', authLimiter, verifyEmail);
+router.post('/verify-email', authLimiter, verifyEmail);
+
+router.post('/resend-verification', authLimiter, protect, asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    return res.status(400).json({ message: 'Email is already verified' });
+  }
+  if (await recentlyIssued(req.user._id, 'email-verification')) {
+    return res.status(429).json({ message: 'A verification email was just sent, please wait a minute' });
+  }
+
+  await sendVerificationEmail(req.user);
+  res.json({ message: 'Verification email sent' });
+}));
+
 router.get('/me', protect, asyncHandler(async (req, res) => {
   res.json(req.user);
 }));
 
+/* ---------- Profile ---------- */
+
+// Name and avatar. JSON, or multipart with the image in "avatar"; removeAvatar=true clears it.
+router.put('/me', protect, avatarUpload, asyncHandler(async (req, res) => {
+  const { name, removeAvatar: remove } = req.body;
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 50) {
+      return res.status(400).json({ message: 'Validation failed', errors: ['Name must be between 2 and 50 characters'] });
+    }
+    req.user.name = sanitizeString(name);
+    await req.user.save();
+  }
+
+  if (req.file) {
+    await replaceAvatar(req.user, req.file.buffer);
+  } else if (remove === true || remove === 'true') {
+    await removeAvatar(req.user);
+  }
+
+  res.json(req.user);
+}));
+
+// Uploaded avatars; public so they work in <img> tags, file names are unguessable
+router.get('/avatars/:file', asyncHandler(async (req, res) => {
+  const storage = getStorage();
+  const key = avatarKey(req.params.file);
+
+  if (!/^[a-f0-9]{24}-[\w-]+\.webp$/.test(req.params.file) || !(await storage.exists(key))) {
+    return res.status(404).json({ message: 'Avatar not found' });
+  }
+
+  res.set({ 'Content-Type': 'image/webp', 'Cache-Control': 'public, max-age=31536000, immutable' });
+  storage.get(key).on('error', () => res.destroy()).pipe(res);
+}));
+
+// Other devices are signed out; this one stays logged in. Social-login users without a
+// password set their first one without `currentPassword`.
+router.put('/password', authLimiter, protect, asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (req.user.hasPassword && !currentPassword) {
+    return res.status(400).json({ message: 'Validation failed', errors: ['Current password is required'] });
+  }
+  const errors = passwordErrors(newPassword);
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+  if (user.hasPassword && !(await user.matchPassword(currentPassword))) {
+    return res.status(401).json({ message: 'Current password is incorrect' });
+  }
+
+  user.password = newPassword;
+  user.hasPassword = true;
+  await user.save();
+
+  const revoked = await revokeAllSessions(user._id, { reason: 'password-change', exceptSessionId: req.sessionId });
+  await revokeTokens(user._id, 'password-reset');
+
+  res.json({ message: 'Password updated', sessionsRevoked: revoked });
+}));
+
+// Needs the password, or the emailed confirmation token without one, plus a 2FA code when enabled
+// (see reauthService.js). With ACCOUNT_DELETION_GRACE_DAYS set the account is only scheduled for
+// deletion and logging in again cancels it.
+router.delete('/me', authLimiter, protect, asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode, token } = req.body;
+
+  const user = await confirmIdentity(req.user._id, { password, code, recoveryCode, token });
+
+  const result = await requestDeletion(user);
+  clearAuthCookies(res);
+
+  if (result.deleted) {
+    return res.json({ message: 'Account deleted' });
+  }
+  res.status(202).json({
+    message: 'Account scheduled for deletion; log in before then to cancel',
+    scheduledFor: result.scheduledFor
+  });
+}));
+
+// Emails the confirmation link social-login users need for DELETE /me and /2fa/disable
+router.post('/reauthenticate', authLimiter, protect, asyncHandler(async (req, res) => {
+  if (req.user.hasPassword) {
+    return res.status(400).json({ message: 'Confirm with your password instead' });
+  }
+  if (await recentlyIssued(req.user._id, 'reauthentication')) {
+    return res.status(429).json({ message: 'A confirmation email was just sent, please wait a minute' });
+  }
+
+  await sendReauthenticationEmail(req.user);
+  res.json({ message: 'Confirmation email sent' });
+}));
+
+// Reporting preferences: IANA timezone and the base currency totals are converted to
+router.put('/preferences', protect, asyncHandler(async (req, res) => {
+  const { timezone } = req.body;
+  const baseCurrency = normalizeCurrency(req.body.baseCurrency);
+
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    return res.status(400).json({ message: 'Invalid timezone' });
+  }
+  if (baseCurrency !== undefined && !isValidCurrency(baseCurrency)) {
+    return res.status(400).json({ message: 'Base currency must be an ISO 4217 code' });
+  }
+
+  if (timezone !== undefined) req.user.timezone = timezone;
+  if (baseCurrency !== undefined) req.user.baseCurrency = baseCurrency;
+  await req.user.save();
+
+  res.json(req.user);
+}));
+
 export default router;
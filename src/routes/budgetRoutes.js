@@ -0,0 +1,65 @@
+import express from 'express';
+import { Budget } from '../models/Budget.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validateBudget } from '../middleware/validation.js';
+import { getBudgetStatus } from '../services/budgetService.js';
+import { requireAccountAccess } from '../services/accountAccess.js';
+
+const router = express.Router();
+
+// A scoped budget needs an account the user can see: their own or one shared with them
+const checkBudgetAccount = async (accountId, userId) => {
+  if (accountId) await requireAccountAccess(userId, accountId, 'viewer');
+};
+
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const budgets = await Budget.find({ user: req.user._id }).sort({ category: 1 }).lean();
+  res.json(budgets);
+}));
+
+// Spent / remaining / projection for every budget in a month (?month=YYYY-MM, defaults to current)
+router.get('/status', protect, asyncHandler(async (req, res) => {
+  const status = await getBudgetStatus(req.user._id, req.query.month);
+  res.json(status);
+}));
+
+router.post('/', protect, validateBudget, asyncHandler(async (req, res) => {
+  const { category, limit, accountId, note } = req.body;
+
+  await checkBudgetAccount(accountId, req.user._id);
+
+  const exists = await Budget.findOne({ user: req.user._id, category, accountId });
+  if (exists) {
+    return res.status(400).json({ message: 'A budget for this category already exists' });
+  }
+
+  const budget = await Budget.create({ user: req.user._id, category, limit, accountId, note });
+  res.status(201).json(budget);
+}));
+
+router.put('/:id', protect, validateBudget, asyncHandler(async (req, res) => {
+  const { category, limit, accountId, note } = req.body;
+
+  await checkBudgetAccount(accountId, req.user._id);
+
+  const budget = await Budget.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id },
+    { category, limit, accountId, note },
+    { new: true, runValidators: true }
+  );
+  if (!budget) {
+    return res.status(404).json({ message: 'Budget not found' });
+  }
+  res.json(budget);
+}));
+
+router.delete('/:id', protect, asyncHandler(async (req, res) => {
+  const budget = await Budget.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+  if (!budget) {
+    return res.status(404).json({ message: 'Budget not found' });
+  }
+  res.json({ message: 'Budget deleted' });
+}));
+
+export default router;
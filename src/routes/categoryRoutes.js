@@ -0,0 +1,63 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validateCategory, validateCategoryUpdate } from '../middleware/validation.js';
+import {
+  listCategories,
+  createCategory,
+  updateCategory,
+  mergeCategories,
+  deleteCategory,
+  migrateCategories
+} from '../services/categoryService.js';
+import { suggestCategories } from '../services/categorySuggester.js';
+
+const router = express.Router();
+
+// Every category with how many transactions use it; `parent` links subcategories
+router.get('/', protect, asyncHandler(async (req, res) => {
+  res.json(await listCategories(req.user._id));
+}));
+
+// Likely categories for a description, learned from the user's past transactions
+router.get('/suggest', protect, asyncHandler(async (req, res) => {
+  const { description, type } = req.query;
+  if (typeof description !== 'string' || description.trim().length === 0) {
+    return res.status(400).json({ message: 'Description is required' });
+  }
+  if (type !== undefined && !['income', 'expense'].includes(type)) {
+    return res.status(400).json({ message: 'Type must be either "income" or "expense"' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 3, 1), 10);
+  const suggestions = await suggestCategories(req.user._id, { description: description.slice(0, 200), type, limit });
+  res.json({ suggestions });
+}));
+
+router.post('/', protect, validateCategory, asyncHandler(async (req, res) => {
+  const category = await createCategory(req.user._id, req.body);
+  res.status(201).json(category);
+}));
+
+// Turn the free-text categories on existing data into managed ones. ?dryRun=true previews it.
+router.post('/migrate', protect, asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+  res.json(await migrateCategories(req.user._id, { dryRun }));
+}));
+
+// A rename also renames the category on transactions, budgets and recurring transactions
+router.put('/:id', protect, validateCategoryUpdate, asyncHandler(async (req, res) => {
+  res.json(await updateCategory(req.user._id, req.params.id, req.body));
+}));
+
+router.post('/:id/merge', protect, asyncHandler(async (req, res) => {
+  res.json(await mergeCategories(req.user._id, req.params.id, req.body.targetId));
+}));
+
+// A category in use needs ?reassignTo=<category id> to move its transactions first
+router.delete('/:id', protect, asyncHandler(async (req, res) => {
+  const { rewritten } = await deleteCategory(req.user._id, req.params.id, req.query.reassignTo || req.body.reassignTo);
+  res.json({ message: 'Category deleted', rewritten });
+}));
+
+export default router;
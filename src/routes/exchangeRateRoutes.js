@@ -0,0 +1,124 @@
+import express from 'express';
+import { ExchangeRate } from '../models/ExchangeRate.js';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { statementUpload } from '../middleware/upload.js';
+import { parseCsv, detectDelimiter } from '../utils/csv.js';
+import { isValidCurrency, normalizeCurrency, roundAmount } from '../utils/currency.js';
+import {
+  pivotCurrency,
+  toRateDay,
+  getRate,
+  saveRates,
+  snapshotRows,
+  refreshRates
+} from '../services/exchangeRateService.js';
+
+const router = express.Router();
+
+// Latest rate per quote currency for a base (?base=, defaults to the user's base currency; ?date= for history)
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const base = normalizeCurrency(req.query.base) || req.user.baseCurrency;
+  const day = toRateDay(req.query.date);
+
+  if (!isValidCurrency(base)) {
+    return res.status(400).json({ message: 'Base must be an ISO 4217 code' });
+  }
+  if (!day) {
+    return res.status(400).json({ message: 'Invalid date' });
+  }
+
+  const rows = await ExchangeRate.aggregate([
+    { $match: { base, date: { $lte: day } } },
+    { $sort: { date: -1 } },
+    { $group: { _id: '$quote', rate: { $first: '$rate' }, date: { $first: '$date' }, source: { $first: '$source' } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  res.json({
+    base,
+    date: day,
+    rates: rows.map(row => ({ quote: row._id, rate: row.rate, date: row.date, source: row.source }))
+  });
+}));
+
+// ?amount=&from=&to=&date= (stored rates, cross rates via the pivot currency, providers as fallback)
+router.get('/convert', protect, asyncHandler(async (req, res) => {
+  const amount = Number(req.query.amount);
+  const from = normalizeCurrency(req.query.from);
+  const to = normalizeCurrency(req.query.to) || req.user.baseCurrency;
+  const day = toRateDay(req.query.date);
+
+  if (!Number.isFinite(amount)) {
+    return res.status(400).json({ message: 'Amount must be a number' });
+  }
+  if (!isValidCurrency(from) || !isValidCurrency(to)) {
+    return res.status(400).json({ message: 'From and to must be ISO 4217 codes' });
+  }
+  if (!day) {
+    return res.status(400).json({ message: 'Invalid date' });
+  }
+
+  const found = await getRate(from, to, day);
+  if (!found) {
+    return res.status(404).json({ message: `No exchange rate from ${from} to ${to}` });
+  }
+
+  res.json({ amount, from, to, rate: found.rate, rateDate: found.date, converted: roundAmount(amount * found.rate, to) });
+}));
+
+/* ---------- Admin ---------- */
+
+// JSON: { rates: [{ base, quote, rate, date }] } or a snapshot { base, date, rates: { EUR: 0.92 } }
+router.post('/', protect, admin, asyncHandler(async (req, res) => {
+  const { rates } = req.body;
+
+  let rows;
+  if (Array.isArray(rates)) {
+    rows = rates;
+  } else if (rates && typeof rates === 'object') {
+    rows = snapshotRows(req.body);
+  } else {
+    return res.status(400).json({ message: 'Rates are required' });
+  }
+
+  const result = await saveRates(rows, 'manual');
+  res.status(result.saved > 0 ? 201 : 400).json({ message: `${result.saved} rates saved`, ...result });
+}));
+
+// CSV upload (multipart "file") with a header row: base,quote,rate,date
+router.post('/import', protect, admin, statementUpload, asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'A CSV file is required' });
+  }
+
+  const content = req.file.buffer.toString('utf8');
+  const [header, ...lines] = parseCsv(content, { delimiter: detectDelimiter(content) })
+    .filter(row => row.some(cell => cell.trim() !== ''));
+  const columns = (header || []).map(cell => cell.trim().toLowerCase());
+
+  const missing = ['base', 'quote', 'rate', 'date'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return res.status(400).json({ message: `Missing columns: ${missing.join(', ')}` });
+  }
+
+  const rows = lines.map(line => Object.fromEntries(columns.map((column, i) => [column, line[i]])));
+  const result = await saveRates(rows, 'import');
+  res.status(result.saved > 0 ? 201 : 400).json({ message: `${result.saved} rates imported`, ...result });
+}));
+
+// Pull a day's rates from the configured provider (falls back to the local rates file)
+router.post('/refresh', protect, admin, asyncHandler(async (req, res) => {
+  const base = normalizeCurrency(req.body.base) || pivotCurrency();
+  if (!isValidCurrency(base)) {
+    return res.status(400).json({ message: 'Base must be an ISO 4217 code' });
+  }
+  if (!toRateDay(req.body.date)) {
+    return res.status(400).json({ message: 'Invalid date' });
+  }
+
+  const result = await refreshRates({ base, date: req.body.date });
+  res.json({ message: 'Exchange rates refreshed', ...result });
+}));
+
+export default router;
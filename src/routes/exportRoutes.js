@@ -0,0 +1,59 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import {
+  EXPORT_FORMATS,
+  resolveExportFilter,
+  streamJsonArchive,
+  streamCsv,
+  streamOfx
+} from '../services/exportService.js';
+import { sharedAccountIds } from '../services/accountAccess.js';
+
+const router = express.Router();
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv; charset=utf-8',
+  ofx: 'application/x-ofx'
+};
+
+// Stream the user's data. ?format=json|csv|ofx&from=&to=&accountId=
+// JSON is a full archive that POST /api/finance/import/archive can restore; OFX needs a single account.
+// Accounts shared with the user are included only when named in accountId.
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  // Validate everything before the first byte goes out, errors can't be reported mid-stream
+  const filter = resolveExportFilter(req.user._id, req.query, {
+    sharedAccountIds: await sharedAccountIds(req.user._id)
+  });
+  if (format === 'ofx' && filter.accountIds.length !== 1) {
+    return res.status(400).json({ message: 'OFX export needs exactly one accountId' });
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="citrus-export-${stamp}.${format}"`);
+
+  try {
+    if (format === 'json') {
+      await streamJsonArchive(res, req.user._id, filter);
+    } else if (format === 'csv') {
+      await streamCsv(res, req.user._id, filter);
+    } else {
+      await streamOfx(res, req.user._id, filter, req.query);
+    }
+  } catch (error) {
+    if (!res.headersSent) throw error;
+    // Too late for an error response; cut the download so the client sees it as incomplete
+    logger.error('Export stream failed', { error: error.message });
+    res.destroy(error);
+  }
+}));
+
+export default router;
@@ -1,34 +1,108 @@
 import express from 'express';
-import mongoose from 'mongoose';
 import { Account } from '../models/Account.js';
 import { Transaction } from '../models/Transaction.js';
 import { AccountType } from '../models/AccountType.js';
+import { Budget } from '../models/Budget.js';
+import { RecurringTransaction } from '../models/RecurringTransaction.js';
+import { AccountMember } from '../models/AccountMember.js';
+import { Goal } from '../models/Goal.js';
+import { Category } from '../models/Category.js';
+import { Conversation } from '../models/Conversation.js';
+import { Alert } from '../models/Alert.js';
+import { Notification } from '../models/Notification.js';
+import { Rule } from '../models/Rule.js';
+import { ImportProfile } from '../models/ImportProfile.js';
+import { ImportBatch } from '../models/ImportBatch.js';
+import { Webhook } from '../models/Webhook.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
 import { protect } from '../middleware/authMiddleware.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { validateTransaction, validateAccount } from '../middleware/validation.js';
+import { validateTransaction, validateTransactionUpdate, validateAccount } from '../middleware/validation.js';
+import {
+  postTransaction,
+  transferFunds,
+  updateTransaction,
+  deleteTransactions
+} from '../services/ledgerService.js';
+import { reconcileAccountById, reconcileAllAccounts } from '../services/reconciliationService.js';
+import { searchTransactions } from '../services/transactionSearch.js';
+import { categorize, loadRules } from '../services/ruleService.js';
+import { removeAttachments } from '../services/attachmentService.js';
+import { transactionPosted, transactionUpdated, transferCompleted } from '../services/financeEvents.js';
+import { recordChangesSafely, upsertChange, deleteChange, syncCursor } from '../services/changeLog.js';
+import { createAccountConverter } from '../services/exchangeRateService.js';
+import {
+  requireAccountAccess,
+  requireTransactionAccess,
+  sharedMemberships
+} from '../services/accountAccess.js';
+import { deleteAccounts } from '../services/accountService.js';
+import { defaultCurrency } from '../utils/currency.js';
 
 const router = express.Router();
 
+const round = (value) => Math.round(value * 100) / 100;
+
+// Balances per currency plus their sum in the base currency; accounts without a rate are left out of the sum
+const summarizeBalances = (accounts, converter) => {
+  const byCurrency = {};
+  let total = 0;
+
+  for (const account of accounts) {
+    const currency = account.currency || defaultCurrency();
+    byCurrency[currency] = round((byCurrency[currency] || 0) + account.balance);
+
+    const converted = converter.convert(account._id, account.balance);
+    if (converted !== null) total += converted;
+  }
+
+  return {
+    baseCurrency: converter.currency,
+    balance: round(total),
+    byCurrency,
+    rates: converter.rates,
+    missingRates: converter.missing
+  };
+};
+
 // Get Initial Data with pagination support
 router.get('/data', protect, asyncHandler(async (req, res) => {
   const { page = 1, limit = 100 } = req.query;
   const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  // Accounts other users shared with this one come with their transactions
+  const memberships = await sharedMemberships(req.user._id);
+  const sharedIds = memberships.map(m => m.account);
+  const transactionFilter = sharedIds.length > 0
+    ? { $or: [{ user: req.user._id }, { accountId: { $in: sharedIds } }] }
+    : { user: req.user._id };
   
-  const [accounts, transactions, totalTransactions, accountTypes] = await Promise.all([
+  const [accounts, sharedAccounts, transactions, totalTransactions, accountTypes, categories, converter] = await Promise.all([
     Account.find({ user: req.user._id }).sort({ createdAt: -1 }).lean(),
-    Transaction.find({ user: req.user._id })
+    sharedIds.length > 0 ? Account.find({ _id: { $in: sharedIds } }).sort({ createdAt: -1 }).lean() : [],
+    Transaction.find(transactionFilter)
       .sort({ date: -1 })
       .limit(parseInt(limit))
       .skip(skip)
       .lean(),
-    Transaction.countDocuments({ user: req.user._id }),
-    AccountType.find({ user: req.user._id }).sort({ label: 1 }).lean()
+    Transaction.countDocuments(transactionFilter),
+    AccountType.find({ user: req.user._id }).sort({ label: 1 }).lean(),
+    Category.find({ user: req.user._id }).sort({ kind: 1, name: 1 }).lean(),
+    createAccountConverter(req.user._id, { strict: false })
   ]);
+
+  const roles = new Map(memberships.map(m => [m.account.toString(), m.role]));
   
   res.json({ 
     accounts, 
+    // Not part of `totals`, which cover the user's own accounts
+    sharedAccounts: sharedAccounts.map(account => ({ ...account, role: roles.get(account._id.toString()) })),
     transactions,
     accountTypes: accountTypes || [],
+    categories,
+    totals: summarizeBalances(accounts, converter),
+    // Pass as `since` to GET /sync/changes to pick up edits made after this snapshot
+    syncCursor: syncCursor(req.user.syncSeq || 0),
     pagination: {
       currentPage: parseInt(page),
       totalPages: Math.ceil(totalTransactions / parseInt(limit)),
@@ -38,12 +112,15 @@ router.get('/data', protect, asyncHandler(async (req, res) => {
 }));
 
 // Sync Strategy: Import Local Data
+// Deprecated: blind one-way import kept for older clients. New clients use
+// GET /sync/changes and POST /sync/push (syncRoutes.js), which are idempotent.
 router.post('/sync', protect, async (req, res) => {
   const { accounts, transactions, accountTypes } = req.body;
   const userId = req.user._id;
 
   try {
     const accountMap = {}; // Map localId -> dbId
+    const changes = [];
 
     // 0. Sync Account Types (Prevent duplicates)
     if (accountTypes && Array.isArray(accountTypes)) {
@@ -53,11 +130,12 @@ router.post('/sync', protect, async (req, res) => {
         const exists = await AccountType.findOne({ user: userId, label: type.label });
         if (!exists) {
           try {
-             await AccountType.create({
+             const created = await AccountType.create({
                user: userId,
                label: type.label,
                theme: type.theme
              });
+             changes.push(upsertChange('accountType', created));
           } catch (e) {
              // Ignore duplicate key errors just in case race condition
              console.log("Skipping duplicate type:", type.label);
@@ -76,11 +154,13 @@ router.post('/sync', protect, async (req, res) => {
             user: userId,
             name: acc.name,
             balance: acc.balance,
+            currency: acc.currency,
             type: acc.type,
             color: acc.color,
             cardNumber: acc.cardNumber,
             cardHolder: acc.cardHolder
         });
+        changes.push(upsertChange('account', targetAccount));
       }
       // If it exists, we might optionally update it, but for sync we usually just want to map IDs.
       // We can update the balance/details if the local one is "newer", but simpler to just link.
@@ -89,6 +169,7 @@ router.post('/sync', protect, async (req, res) => {
     }
 
     // 2. Create Transactions with mapped Account IDs
+    const rules = await loadRules(userId);
     let newTransactionsCount = 0;
     for (const tx of transactions) {
       const realAccountId = accountMap[tx.accountId];
@@ -102,20 +183,32 @@ router.post('/sync', protect, async (req, res) => {
          // So likely the account duplication is the main annoyance.
          // We will skip transaction deduplication for now to keep it safe, unless requested.
          
-         await Transaction.create({
+         const { category, tags } = await categorize(userId, {
+           accountId: realAccountId.toString(),
+           amount: tx.amount,
+           type: tx.type,
+           category: tx.category,
+           description: tx.description
+         }, rules);
+
+         const created = await Transaction.create({
            user: userId,
            accountId: realAccountId,
            amount: tx.amount,
            type: tx.type,
-           category: tx.category,
+           category,
+           tags,
            description: tx.description,
            date: tx.date,
            balanceAt: tx.balanceAt
          });
+         changes.push(upsertChange('transaction', created));
          newTransactionsCount++;
       }
     }
 
+    await recordChangesSafely(changes);
+
     res.json({ message: 'Sync successful', syncedAccounts: Object.keys(accountMap).length, newTransactions: newTransactionsCount });
   } catch (error) {
     console.error(error);
@@ -142,11 +235,8 @@ router.delete('/accounts/cleanup', protect, asyncHandler(async (req, res) => {
     if (group.length > 1) {
       // Keep the first one (oldest), delete the rest
       const [keep, ...remove] = group;
-      const removeIds = remove.map(a => a._id);
-      
-      await Account.deleteMany({ _id: { $in: removeIds } });
-      await Transaction.deleteMany({ accountId: { $in: removeIds } }); // Cascade delete transactions of duplicates
-      
+      await deleteAccounts(userId, remove); // Cascade delete transactions of duplicates
+
       deletedCount += remove.length;
       deletedNames.push(name);
     }
@@ -161,290 +251,217 @@ router.delete('/accounts/cleanup', protect, asyncHandler(async (req, res) => {
 
 // Accounts CRUD
 router.post('/accounts', protect, validateAccount, asyncHandler(async (req, res) => {
-  const account = await Account.create({ ...req.body, user: req.user._id });
+  // clientId and lastModifiedAt belong to sync
+  const { clientId, lastModifiedAt, ...fields } = req.body;
+  const account = await Account.create({ ...fields, openingBalance: req.body.balance, user: req.user._id });
+  await recordChangesSafely([upsertChange('account', account)]);
   res.status(201).json(account);
 }));
 
+// Owner or admin members
 router.put('/accounts/:id', protect, validateAccount, asyncHandler(async (req, res) => {
+  const { account: existing } = await requireAccountAccess(req.user._id, req.params.id, 'admin');
+
+  // The owner and the sync identity can't be changed
+  const { openingBalance, lastModifiedAt, clientId, user, ...updates } = req.body;
+  updates.lastModifiedAt = new Date();
+
+  // Amounts are stored in the account's currency, so it is fixed once money has moved
+  if (updates.currency && updates.currency.toUpperCase() !== (existing.currency || defaultCurrency())) {
+    const hasTransactions = await Transaction.exists({ accountId: existing._id, user: existing.user });
+    if (hasTransactions) {
+      return res.status(400).json({ message: 'Currency cannot be changed once an account has transactions' });
+    }
+  }
+
+  // A manual balance edit is an adjustment to the opening balance, so reconciliation keeps it
+  if (typeof existing.openingBalance === 'number' && updates.balance !== existing.balance) {
+    updates.openingBalance = existing.openingBalance + (updates.balance - existing.balance);
+  }
+
   const account = await Account.findOneAndUpdate(
-    { _id: req.params.id, user: req.user._id },
-    req.body,
+    { _id: existing._id, user: existing.user },
+    updates,
     { new: true, runValidators: true }
   );
   if (!account) {
     return res.status(404).json({ message: 'Account not found' });
   }
+  await recordChangesSafely([upsertChange('account', account)]);
   res.json(account);
 }));
 
+// Reconcile all accounts: replay history and report (or with { apply: true } fix) balance drift
+router.post('/accounts/reconcile', protect, asyncHandler(async (req, res) => {
+  const result = await reconcileAllAccounts(req.user._id, { apply: req.body.apply === true });
+  res.json(result);
+}));
+
+// Reconcile one account; an explicit openingBalance overrides the stored one
+router.post('/accounts/:id/reconcile', protect, asyncHandler(async (req, res) => {
+  const { apply, openingBalance } = req.body;
+
+  if (openingBalance !== undefined && typeof openingBalance !== 'number') {
+    return res.status(400).json({ message: 'Opening balance must be a number' });
+  }
+
+  const { account } = await requireAccountAccess(req.user._id, req.params.id, 'admin');
+  const result = await reconcileAccountById(account.user, account._id, { apply: apply === true, openingBalance });
+  res.json(result);
+}));
+
 router.delete('/accounts/:id', protect, asyncHandler(async (req, res) => {
-  const account = await Account.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+  const account = await Account.findOne({ _id: req.params.id, user: req.user._id }).lean();
   if (!account) {
     return res.status(404).json({ message: 'Account not found' });
   }
-  await Transaction.deleteMany({ accountId: req.params.id, user: req.user._id });
+  await deleteAccounts(req.user._id, [account]);
   res.json({ message: 'Account deleted successfully' });
 }));
 
 // Transactions CRUD
-router.post('/transactions', protect, validateTransaction, asyncHandler(async (req, res) => {
-  // Verify account belongs to user
-  const account = await Account.findOne({ _id: req.body.accountId, user: req.user._id });
-  if (!account) {
-    return res.status(404).json({ message: 'Account not found' });
-  }
-  
-  // Create half-baked transaction first to get the amount/type
-  const transaction = new Transaction({ ...req.body, user: req.user._id });
-  
-  // Update Account Balance
-  if (transaction.type === 'income') {
-    account.balance += transaction.amount;
-  } else {
-    account.balance -= transaction.amount;
-  }
-  
-  // Set the captured balance
-  transaction.balanceAt = account.balance;
-  
-  await Promise.all([
-    transaction.save(),
-    account.save()
-  ]);
+// Search with filters (from, to, accountId, type, category, tag, minAmount, maxAmount, q),
+// sort (date_desc, date_asc, amount_desc, amount_asc) and cursor pagination
+// (also covers accounts shared with the user)
+router.get('/transactions', protect, asyncHandler(async (req, res) => {
+  const memberships = await sharedMemberships(req.user._id);
+  const result = await searchTransactions(req.user._id, req.query, {
+    sharedAccountIds: memberships.map(m => m.account)
+  });
+  res.json(result);
+}));
 
+// Shared accounts need contributor access; the transaction is owned by the account owner
+router.post('/transactions', protect, validateTransaction, asyncHandler(async (req, res) => {
+  const { account } = await requireAccountAccess(req.user._id, req.body.accountId, 'contributor');
+  // The account owner's rules, as the transaction is theirs
+  const categorized = await categorize(account.user, req.body);
+  const transaction = await postTransaction(account.user, categorized, { createdBy: req.user._id });
   res.status(201).json(transaction);
+  transactionPosted(account.user, transaction);
 }));
 
 // Transfer Funds - Create paired transactions
 router.post('/transfer', protect, asyncHandler(async (req, res) => {
-  const { sourceAccountId, targetAccountId, amount, date, description } = req.body;
+  const { sourceAccountId, targetAccountId, amount, targetAmount, rate } = req.body;
 
   if (!sourceAccountId || !targetAccountId || !amount || amount <= 0) {
     return res.status(400).json({ message: 'Invalid transfer details' });
   }
 
+  // Optional for transfers across currencies: the amount that arrived, or the rate applied
+  if (targetAmount !== undefined && (typeof targetAmount !== 'number' || targetAmount <= 0)) {
+    return res.status(400).json({ message: 'Target amount must be a positive number' });
+  }
+  if (rate !== undefined && (typeof rate !== 'number' || rate <= 0)) {
+    return res.status(400).json({ message: 'Rate must be a positive number' });
+  }
+
   if (sourceAccountId === targetAccountId) {
     return res.status(400).json({ message: 'Cannot transfer to the same account' });
   }
 
-  // Verify ownership
-  const [sourceAccount, targetAccount] = await Promise.all([
-    Account.findOne({ _id: sourceAccountId, user: req.user._id }),
-    Account.findOne({ _id: targetAccountId, user: req.user._id })
+  const [{ account: source }, { account: target }] = await Promise.all([
+    requireAccountAccess(req.user._id, sourceAccountId, 'contributor'),
+    requireAccountAccess(req.user._id, targetAccountId, 'contributor')
   ]);
 
-  if (!sourceAccount || !targetAccount) {
-    return res.status(404).json({ message: 'One or both accounts not found' });
-  }
-
-  // Update Balances
-  sourceAccount.balance -= Number(amount);
-  targetAccount.balance += Number(amount);
-
-  // Create Transactions with balance capture
-  const expenseTx = await Transaction.create({
-    user: req.user._id,
-    accountId: sourceAccountId,
-    amount,
-    type: 'expense',
-    category: 'Transfer',
-    description: description || `Transfer to ${targetAccount.name}`,
-    date: date || new Date(),
-    balanceAt: sourceAccount.balance
+  const transactions = await transferFunds(source.user, req.body, {
+    targetUserId: target.user,
+    createdBy: req.user._id
   });
 
-  const incomeTx = await Transaction.create({
-    user: req.user._id,
-    accountId: targetAccountId,
-    amount,
-    type: 'income',
-    category: 'Transfer',
-    description: description || `Transfer from ${sourceAccount.name}`,
-    date: date || new Date(),
-    balanceAt: targetAccount.balance
-  });
-
-  await Promise.all([sourceAccount.save(), targetAccount.save()]);
-
   res.status(201).json({ 
     message: 'Transfer successful',
-    transactions: [expenseTx, incomeTx]
+    transactions
   });
+  transferCompleted(transactions);
 }));
 
-router.put('/transactions/:id', protect, async (req, res) => {
-  // Updated transaction endpoint with proper validation
-  // Complex logic needed to revert balance and apply new. 
-  // For simplicity, we assume frontend handles balance calc? 
-  // No, backend should be source of truth.
-  // We'll implement robust update later or simple now.
-  // Reverting old balance:
-  try {
-    const oldTx = await Transaction.findOne({ _id: req.params.id, user: req.user._id });
-    if (!oldTx) return res.status(404).json({ message: 'Transaction not found' });
-
-    const account = await Account.findOne({ _id: oldTx.accountId, user: req.user._id });
-    
-    // Revert old effect
-    if (account) {
-        if (oldTx.type === 'income') account.balance -= oldTx.amount;
-        else account.balance += oldTx.amount;
-    }
+router.put('/transactions/:id', protect, validateTransactionUpdate, asyncHandler(async (req, res) => {
+  const { transaction } = await requireTransactionAccess(req.user._id, req.params.id);
 
-    // Update Tx
-    const updatedTx = await Transaction.findByIdAndUpdate(req.params.id, req.body, { new: true });
-
-    // Apply new effect (potentially to a new account if accountId changed, but simpler if same)
-    // Assuming same account for now or re-fetch if changed.
-    // If account changed, we need to handle that.
-    // Let's assume accountId can change.
-    
-    let targetAccount = account;
-    if (req.body.accountId && req.body.accountId !== oldTx.accountId.toString()) {
-        targetAccount = await Account.findOne({ _id: req.body.accountId, user: req.user._id });
+  if (req.body.accountId && String(req.body.accountId) !== transaction.accountId.toString()) {
+    const { account } = await requireAccountAccess(req.user._id, req.body.accountId, 'contributor');
+    if (!account.user.equals(transaction.user)) {
+      return res.status(400).json({ message: 'A transaction can only move between accounts of the same owner' });
     }
-
-    if (targetAccount) {
-        if (updatedTx.type === 'income') targetAccount.balance += updatedTx.amount;
-        else targetAccount.balance -= updatedTx.amount;
-        await targetAccount.save();
-        if (account && account.id !== targetAccount.id) await account.save();
-    } else if (account) {
-        await account.save(); // Just save the revert
-    }
-
-    res.json(updatedTx);
-  } catch (error) {
-    console.error('Transaction Update Error:', error);
-    res.status(400).json({ message: 'Error updating transaction', error: error.message });
   }
-});
-
-// Bulk Delete Transactions - MUST come before :id route
-router.delete('/transactions/bulk-delete', protect, async (req, res) => {
-  try {
-    const { ids } = req.body;
-    
-    if (!ids || !Array.isArray(ids) || ids.length === 0) {
-      return res.status(400).json({ message: 'Invalid transaction IDs' });
-    }
-
-    // Aggregate balance changes by account for efficient batch update
-    const transactions = await Transaction.find({ 
-      _id: { $in: ids }, 
-      user: req.user._id 
-    }).lean();
-
-    if (transactions.length === 0) {
-      return res.status(404).json({ message: 'No transactions found' });
-    }
-
-    // Calculate balance adjustments per account
-    const balanceAdjustments = {};
-    for (const tx of transactions) {
-      const accountId = tx.accountId.toString();
-      if (!balanceAdjustments[accountId]) {
-        balanceAdjustments[accountId] = 0;
-      }
-      // Revert the effect: income was +, so we -, expense was -, so we +
-      if (tx.type === 'income') {
-        balanceAdjustments[accountId] -= tx.amount;
-      } else {
-        balanceAdjustments[accountId] += tx.amount;
-      }
-    }
 
-    // Batch update all accounts at once
-    const bulkOps = Object.entries(balanceAdjustments).map(([accountId, adjustment]) => ({
-      updateOne: {
-        filter: { _id: new mongoose.Types.ObjectId(accountId), user: req.user._id },
-        update: { $inc: { balance: adjustment } }
-      }
-    }));
+  const updatedTx = await updateTransaction(transaction.user, transaction._id, req.body);
+  res.json(updatedTx);
+  transactionUpdated(transaction.user, transaction.toObject(), updatedTx.toObject(), req.user._id);
+}));
 
-    if (bulkOps.length > 0) {
-      await Account.bulkWrite(bulkOps);
-    }
+// Bulk Delete Transactions - MUST come before :id route
+router.delete('/transactions/bulk-delete', protect, asyncHandler(async (req, res) => {
+  const { ids } = req.body;
+  
+  if (!ids || !Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ message: 'Invalid transaction IDs' });
+  }
 
-    // Delete all transactions
-    await Transaction.deleteMany({ _id: { $in: ids }, user: req.user._id });
+  const deleted = await deleteTransactions(req.user._id, { _id: { $in: ids } });
 
-    res.json({ 
-      message: 'Transactions deleted successfully', 
-      deletedCount: transactions.length 
-    });
-  } catch (error) {
-    console.error('Bulk Delete Error:', error);
-    res.status(400).json({ message: 'Error deleting transactions', error: error.message });
+  if (deleted.length === 0) {
+    return res.status(404).json({ message: 'No transactions found' });
   }
-});
 
-// Delete All Transactions - MUST come before :id route
-router.delete('/transactions/delete-all', protect, async (req, res) => {
-  try {
-    // Find all user transactions
-    const transactions = await Transaction.find({ user: req.user._id }).lean();
-
-    if (transactions.length === 0) {
-      return res.json({ message: 'No transactions to delete', deletedCount: 0 });
-    }
+  res.json({ 
+    message: 'Transactions deleted successfully', 
+    deletedCount: deleted.length 
+  });
+}));
 
-    // Calculate balance adjustments per account
-    const balanceAdjustments = {};
-    for (const tx of transactions) {
-      const accountId = tx.accountId.toString();
-      if (!balanceAdjustments[accountId]) {
-        balanceAdjustments[accountId] = 0;
-      }
-      if (tx.type === 'income') {
-        balanceAdjustments[accountId] -= tx.amount;
-      } else {
-        balanceAdjustments[accountId] += tx.amount;
-      }
-    }
+// Delete All Transactions - MUST come before :id route
+router.delete('/transactions/delete-all', protect, asyncHandler(async (req, res) => {
+  const deleted = await deleteTransactions(req.user._id);
 
-    // Batch update all accounts at once
-    const bulkOps = Object.entries(balanceAdjustments).map(([accountId, adjustment]) => ({
-      updateOne: {
-        filter: { _id: new mongoose.Types.ObjectId(accountId), user: req.user._id },
-        update: { $inc: { balance: adjustment } }
-      }
-    }));
+  if (deleted.length === 0) {
+    return res.json({ message: 'No transactions to delete', deletedCount: 0 });
+  }
 
-    if (bulkOps.length > 0) {
-      await Account.bulkWrite(bulkOps);
-    }
+  res.json({ 
+    message: 'All transactions deleted successfully', 
+    deletedCount: deleted.length 
+  });
+}));
 
-    // Delete all transactions
-    const result = await Transaction.deleteMany({ user: req.user._id });
+// Reset Data - Clear all user data - MUST come before :id route
+// Accounts go through deleteAccounts (transactions, account budgets, schedules, memberships,
+// attachments); everything else the user owns is listed here. The login, sessions and AI
+// usage are kept.
+router.delete('/reset', protect, asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const [accounts, accountTypes] = await Promise.all([
+    Account.find({ user: userId }).select('user clientId').lean(),
+    AccountType.find({ user: userId }).select('user clientId').lean()
+  ]);
 
-    res.json({ 
-      message: 'All transactions deleted successfully', 
-      deletedCount: result.deletedCount 
-    });
-  } catch (error) {
-    console.error('Delete All Error:', error);
-    res.status(400).json({ message: 'Error deleting all transactions', error: error.message });
-  }
-});
+  await deleteAccounts(userId, accounts);
 
-// Reset Data - Clear all user data - MUST come before :id route
-router.delete('/reset', protect, async (req, res) => {
-  try {
-    const userId = req.user._id;
+  await Promise.all([
+    AccountType.deleteMany({ user: userId }),
+    Budget.deleteMany({ user: userId }),
+    RecurringTransaction.deleteMany({ user: userId }),
+    AccountMember.deleteMany({ owner: userId }),
+    Goal.deleteMany({ user: userId }),
+    Category.deleteMany({ user: userId }),
+    Rule.deleteMany({ user: userId }),
+    ImportProfile.deleteMany({ user: userId }),
+    ImportBatch.deleteMany({ user: userId }),
+    Webhook.deleteMany({ user: userId }),
+    WebhookDelivery.deleteMany({ user: userId }),
+    Conversation.deleteMany({ user: userId }),
+    Alert.deleteMany({ user: userId }),
+    Notification.deleteMany({ user: userId })
+  ]);
 
-    // Delete all data associated with the user
-    await Promise.all([
-      Transaction.deleteMany({ user: userId }),
-      Account.deleteMany({ user: userId })
-    ]);
+  await recordChangesSafely(accountTypes.map(type => deleteChange('accountType', type)));
+  await removeAttachments({ user: userId });
 
-    res.json({ message: 'All data reset successfully' });
-  } catch (error) {
-    console.error('Reset Data Error:', error);
-    res.status(400).json({ message: 'Error resetting data', error: error.message });
-  }
-});
+  res.json({ message: 'All data reset successfully' });
+}));
 
 // Delete single transaction by ID - MUST come after specific routes
 // Account Types CRUD
@@ -462,6 +479,7 @@ router.post('/account-types', protect, asyncHandler(async (req, res) => {
     label,
     theme
   });
+  await recordChangesSafely([upsertChange('accountType', accountType)]);
   
   res.status(201).json(accountType);
 }));
@@ -471,25 +489,14 @@ router.delete('/account-types/:id', protect, asyncHandler(async (req, res) => {
   if (!result) {
     return res.status(404).json({ message: 'Account type not found' });
   }
+  await recordChangesSafely([deleteChange('accountType', result)]);
   res.json({ message: 'Account type deleted' });
 }));
 
-router.delete('/transactions/:id', protect, async (req, res) => {
-  try {
-    const tx = await Transaction.findOneAndDelete({ _id: req.params.id, user: req.user._id });
-    if (tx) {
-        const account = await Account.findOne({ _id: tx.accountId, user: req.user._id });
-        if (account) {
-            if (tx.type === 'income') account.balance -= tx.amount;
-            else account.balance += tx.amount;
-            await account.save();
-        }
-    }
-    res.json({ message: 'Transaction deleted' });
-  } catch (error) {
-    console.error('Transaction Delete Error:', error);
-    res.status(400).json({ message: 'Error deleting transaction', error: error.message });
-  }
-});
+router.delete('/transactions/:id', protect, asyncHandler(async (req, res) => {
+  const { transaction } = await requireTransactionAccess(req.user._id, req.params.id);
+  await deleteTransactions(transaction.user, { _id: transaction._id });
+  res.json({ message: 'Transaction deleted' });
+}));
 
 export default router;
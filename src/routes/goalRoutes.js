@@ -0,0 +1,77 @@
+import express from 'express';
+import { Goal } from '../models/Goal.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validateGoal } from '../middleware/validation.js';
+import { assertOwnAccounts, getGoalsProgress, contributeToGoal } from '../services/goalService.js';
+
+const router = express.Router();
+
+// Every goal with its progress, monthly contribution needed and on-track status
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const goals = await getGoalsProgress(req.user._id);
+  res.json(goals);
+}));
+
+router.get('/:id', protect, asyncHandler(async (req, res) => {
+  const [goal] = await getGoalsProgress(req.user._id, { goalId: req.params.id });
+  res.json(goal);
+}));
+
+router.post('/', protect, validateGoal, asyncHandler(async (req, res) => {
+  const { name, targetAmount, targetDate, currency, accountIds, note } = req.body;
+
+  await assertOwnAccounts(req.user._id, accountIds);
+
+  const goal = await Goal.create({
+    user: req.user._id,
+    name,
+    targetAmount,
+    targetDate,
+    currency: currency || req.user.baseCurrency,
+    accountIds,
+    note
+  });
+  res.status(201).json(goal);
+}));
+
+router.put('/:id', protect, validateGoal, asyncHandler(async (req, res) => {
+  const { name, targetAmount, targetDate, currency, accountIds, note } = req.body;
+
+  await assertOwnAccounts(req.user._id, accountIds);
+
+  const updates = { name, targetAmount, targetDate, accountIds, note };
+  if (currency) updates.currency = currency;
+
+  const goal = await Goal.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id },
+    { $set: updates, $unset: { achievedAt: '' } },
+    { new: true, runValidators: true }
+  );
+  if (!goal) {
+    return res.status(404).json({ message: 'Goal not found' });
+  }
+  res.json(goal);
+}));
+
+router.delete('/:id', protect, asyncHandler(async (req, res) => {
+  const goal = await Goal.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+  if (!goal) {
+    return res.status(404).json({ message: 'Goal not found' });
+  }
+  res.json({ message: 'Goal deleted' });
+}));
+
+// Transfer from `sourceAccountId` into the goal (`targetAccountId`, default its first account)
+router.post('/:id/contribute', protect, asyncHandler(async (req, res) => {
+  const transactions = await contributeToGoal(req.user._id, req.params.id, req.body);
+  const [progress] = await getGoalsProgress(req.user._id, { goalId: req.params.id });
+
+  res.status(201).json({
+    message: 'Contribution added',
+    transactions,
+    progress
+  });
+}));
+
+export default router;
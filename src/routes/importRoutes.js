@@ -0,0 +1,141 @@
+import express from 'express';
+import { ImportProfile } from '../models/ImportProfile.js';
+import { ImportBatch } from '../models/ImportBatch.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validateImportProfile } from '../middleware/validation.js';
+import { statementUpload, archiveUpload } from '../middleware/upload.js';
+import { createPreview, commitBatch } from '../services/importService.js';
+import { restoreArchive } from '../services/exportService.js';
+
+const router = express.Router();
+
+const PROFILE_FIELDS = ['name', 'delimiter', 'hasHeader', 'skipRows', 'dateFormat', 'decimalSeparator', 'columns', 'invertSign'];
+
+const pickProfile = (body) => PROFILE_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+// Multipart fields arrive as strings
+const parseJsonField = (value) => {
+  if (!value || typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/* ---------- Column mapping profiles ---------- */
+
+router.get('/profiles', protect, asyncHandler(async (req, res) => {
+  const profiles = await ImportProfile.find({ user: req.user._id }).sort({ name: 1 }).lean();
+  res.json(profiles);
+}));
+
+router.post('/profiles', protect, validateImportProfile, asyncHandler(async (req, res) => {
+  const profile = await ImportProfile.create({ ...pickProfile(req.body), user: req.user._id });
+  res.status(201).json(profile);
+}));
+
+router.put('/profiles/:id', protect, validateImportProfile, asyncHandler(async (req, res) => {
+  const profile = await ImportProfile.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id },
+    pickProfile(req.body),
+    { new: true, runValidators: true }
+  );
+  if (!profile) {
+    return res.status(404).json({ message: 'Import profile not found' });
+  }
+  res.json(profile);
+}));
+
+router.delete('/profiles/:id', protect, asyncHandler(async (req, res) => {
+  const profile = await ImportProfile.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+  if (!profile) {
+    return res.status(404).json({ message: 'Import profile not found' });
+  }
+  res.json({ message: 'Import profile deleted' });
+}));
+
+/* ---------- Archive restore ---------- */
+
+// Restore a JSON archive from GET /api/finance/export (multipart "file" or the archive as the JSON body).
+// Safe to repeat: records that were already restored are skipped.
+router.post('/archive', protect, archiveUpload, asyncHandler(async (req, res) => {
+  let archive = req.body;
+  if (req.file) {
+    try {
+      archive = JSON.parse(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({ message: 'Archive file is not valid JSON' });
+    }
+  }
+
+  const summary = await restoreArchive(req.user._id, archive);
+  res.status(201).json({ message: 'Archive restored', ...summary });
+}));
+
+/* ---------- Statement import ---------- */
+
+// Upload a statement (multipart "file", or JSON "content") and get a preview with likely duplicates marked.
+// Fields: accountId, format (csv|ofx|qif, detected when omitted), profileId or mapping (CSV only).
+router.post('/preview', protect, statementUpload, asyncHandler(async (req, res) => {
+  const { accountId, format, profileId } = req.body;
+
+  const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+  if (!content || typeof content !== 'string') {
+    return res.status(400).json({ message: 'A statement file is required' });
+  }
+  if (!accountId) {
+    return res.status(400).json({ message: 'Account ID is required' });
+  }
+
+  let profile = null;
+  if (profileId) {
+    profile = await ImportProfile.findOne({ _id: profileId, user: req.user._id }).lean();
+    if (!profile) {
+      return res.status(404).json({ message: 'Import profile not found' });
+    }
+  } else if (req.body.mapping) {
+    profile = parseJsonField(req.body.mapping);
+    if (!profile) {
+      return res.status(400).json({ message: 'Mapping must be valid JSON' });
+    }
+  }
+
+  const preview = await createPreview(req.user._id, {
+    accountId,
+    format,
+    content,
+    fileName: req.file ? req.file.originalname : req.body.fileName,
+    profile
+  });
+
+  res.status(201).json(preview);
+}));
+
+router.get('/:batchId', protect, asyncHandler(async (req, res) => {
+  const batch = await ImportBatch.findOne({ _id: req.params.batchId, user: req.user._id }).lean();
+  if (!batch) {
+    return res.status(404).json({ message: 'Import not found or expired' });
+  }
+  res.json(batch);
+}));
+
+// Body: { include?: [rowIndex], exclude?: [rowIndex] } to override the default duplicate skipping
+router.post('/:batchId/commit', protect, asyncHandler(async (req, res) => {
+  const result = await commitBatch(req.user._id, req.params.batchId, req.body);
+  res.json({ message: 'Import committed', ...result });
+}));
+
+router.delete('/:batchId', protect, asyncHandler(async (req, res) => {
+  const batch = await ImportBatch.findOneAndDelete({ _id: req.params.batchId, user: req.user._id, status: 'preview' });
+  if (!batch) {
+    return res.status(404).json({ message: 'Import not found or expired' });
+  }
+  res.json({ message: 'Import discarded' });
+}));
+
+export default router;
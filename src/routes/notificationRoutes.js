@@ -0,0 +1,45 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validateNotificationSettings } from '../middleware/validation.js';
+import {
+  listNotifications,
+  markRead,
+  deleteNotification,
+  getSettings,
+  updateSettings
+} from '../services/notificationService.js';
+
+const router = express.Router();
+
+// Newest first with the unread count; ?unread=true for unread only, ?limit= (up to 200)
+router.get('/', protect, asyncHandler(async (req, res) => {
+  res.json(await listNotifications(req.user._id, { unread: req.query.unread, limit: req.query.limit }));
+}));
+
+// Email opt-in, muted events and the large transaction / low balance thresholds
+router.get('/settings', protect, asyncHandler(async (req, res) => {
+  res.json(await getSettings(req.user._id));
+}));
+
+router.put('/settings', protect, validateNotificationSettings, asyncHandler(async (req, res) => {
+  res.json(await updateSettings(req.user._id, req.body));
+}));
+
+// { ids } to mark those notifications read, or no body for all of them
+router.post('/read', protect, asyncHandler(async (req, res) => {
+  const updated = await markRead(req.user._id, req.body.ids);
+  res.json({ updated });
+}));
+
+router.post('/:id/read', protect, asyncHandler(async (req, res) => {
+  const updated = await markRead(req.user._id, [req.params.id]);
+  res.json({ updated });
+}));
+
+router.delete('/:id', protect, asyncHandler(async (req, res) => {
+  await deleteNotification(req.user._id, req.params.id);
+  res.json({ message: 'Notification deleted' });
+}));
+
+export default router;
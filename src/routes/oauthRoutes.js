@@ -0,0 +1,108 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { protect } from '../middleware/authMiddleware.js';
+import { authLimiter } from '../middleware/rateLimiter.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { listOAuthProviders } from '../services/oauthProviders.js';
+import {
+  beginAuthorization,
+  completeAuthorization,
+  stateTtlMs,
+  listIdentities,
+  unlinkIdentity
+} from '../services/oauthService.js';
+import { createSession } from '../services/sessionService.js';
+import { signChallenge } from '../services/twoFactorService.js';
+import { cancelDeletion } from '../services/accountDeletionService.js';
+import { clientUrl } from '../services/mailer.js';
+import { setAuthCookies, setOAuthNonceCookie, clearOAuthNonceCookie } from '../utils/authCookies.js';
+
+const router = express.Router();
+
+// Must match the redirect URI registered with the provider; set OAUTH_CALLBACK_BASE_URL behind a proxy
+const redirectUriFor = (req) => {
+  const base = process.env.OAUTH_CALLBACK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}${req.baseUrl}/${req.params.provider}/callback`;
+};
+
+router.get('/', (req, res) => {
+  res.json({ providers: listOAuthProviders() });
+});
+
+router.get('/identities', protect, asyncHandler(async (req, res) => {
+  res.json({
+    hasPassword: req.user.hasPassword,
+    identities: await listIdentities(req.user._id)
+  });
+}));
+
+router.delete('/identities/:id', protect, asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Linked account not found' });
+  }
+
+  const identity = await unlinkIdentity(req.user, req.params.id);
+  res.json({ message: `${identity.provider} account unlinked` });
+}));
+
+// Browser navigation: redirects to the provider's consent screen
+router.get('/:provider', authLimiter, asyncHandler(async (req, res) => {
+  const { url, nonce } = await beginAuthorization(req.params.provider, {
+    redirectUri: redirectUriFor(req),
+    returnTo: req.query.returnTo
+  });
+  setOAuthNonceCookie(res, nonce, stateTtlMs());
+  res.redirect(url);
+}));
+
+// Linking from a signed-in session; the web app navigates to the returned URL
+router.post('/:provider/link', authLimiter, protect, asyncHandler(async (req, res) => {
+  const { url, nonce } = await beginAuthorization(req.params.provider, {
+    redirectUri: redirectUriFor(req),
+    userId: req.user._id,
+    returnTo: req.body.returnTo
+  });
+  setOAuthNonceCookie(res, nonce, stateTtlMs(), { crossSite: true });
+  res.json({ url });
+}));
+
+// The provider sends the browser back here; the result is passed on to the web app
+router.get('/:provider/callback', authLimiter, asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+  const nonce = req.cookies.oauthNonce;
+  clearOAuthNonceCookie(res);
+
+  if (req.query.error) {
+    return res.redirect(clientUrl('/login', { error: `${provider} sign-in was cancelled` }));
+  }
+
+  let result;
+  try {
+    result = await completeAuthorization(provider, { state: req.query.state, code: req.query.code, nonce });
+  } catch (error) {
+    const message = error.isOperational ? error.message : `Could not sign in with ${provider}`;
+    return res.redirect(clientUrl('/login', { error: message }));
+  }
+
+  const { user, created, linking, returnTo } = result;
+
+  if (linking) {
+    return res.redirect(clientUrl(returnTo || '/settings', { linked: provider }));
+  }
+
+  // Same second step as a password login; the fragment keeps the token out of server logs
+  if (user.twoFactor?.enabled) {
+    const challengeToken = signChallenge(user._id);
+    return res.redirect(`${clientUrl('/login', { twoFactorRequired: 'true' })}#challengeToken=${challengeToken}`);
+  }
+
+  if (user.deletionScheduledFor) {
+    await cancelDeletion(user._id);
+  }
+
+  const tokens = await createSession(user._id, req);
+  setAuthCookies(res, tokens);
+  res.redirect(clientUrl(returnTo || '/', created ? { welcome: 'true' } : {}));
+}));
+
+export default router;
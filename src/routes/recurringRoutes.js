@@ -0,0 +1,111 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { RecurringTransaction } from '../models/RecurringTransaction.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { validateRecurringTransaction } from '../middleware/validation.js';
+import { computeSchedule, upcomingOccurrences, runDueRecurring } from '../services/recurringService.js';
+import { requireAccountAccess, requireEditAccess, sharedAccountIds } from '../services/accountAccess.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['accountId', 'amount', 'type', 'category', 'description', 'rule', 'startDate', 'endDate', 'catchUp', 'active'];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+const withUpcoming = (recurring) => ({
+  ...recurring,
+  upcoming: upcomingOccurrences(recurring)
+});
+
+const NOT_FOUND = 'Recurring transaction not found';
+
+const findSchedule = async (id) => {
+  const recurring = mongoose.isValidObjectId(id) && await RecurringTransaction.findById(id);
+  if (!recurring) {
+    throw new AppError(NOT_FOUND, 404);
+  }
+  return recurring;
+};
+
+// Schedules on shared accounts belong to the owner, like their transactions, so the same
+// access rules apply: viewers see them, contributors change the ones they set up
+const findEditable = async (userId, id) => {
+  const recurring = await findSchedule(id);
+  await requireEditAccess(userId, recurring, { notFound: NOT_FOUND, kind: 'recurring transactions' });
+  return recurring;
+};
+
+// The user's own schedules and those on accounts shared with them
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const shared = await sharedAccountIds(req.user._id);
+  const filter = shared.length > 0
+    ? { $or: [{ user: req.user._id }, { accountId: { $in: shared } }] }
+    : { user: req.user._id };
+  const schedules = await RecurringTransaction.find(filter).sort({ createdAt: -1 }).lean();
+  res.json(schedules.map(withUpcoming));
+}));
+
+// Post any due occurrences for this user right away (same catch-up the scheduler runs),
+// including schedules on accounts they can add to
+router.post('/run', protect, asyncHandler(async (req, res) => {
+  const summary = await runDueRecurring({
+    userId: req.user._id,
+    sharedAccountIds: await sharedAccountIds(req.user._id, 'contributor')
+  });
+  res.json({ message: 'Recurring transactions processed', ...summary });
+}));
+
+router.get('/:id', protect, asyncHandler(async (req, res) => {
+  const recurring = await findSchedule(req.params.id);
+  if (!recurring.user.equals(req.user._id)) {
+    await requireAccountAccess(req.user._id, recurring.accountId).catch((error) => {
+      throw error.statusCode === 404 ? new AppError(NOT_FOUND, 404) : error;
+    });
+  }
+  res.json(withUpcoming(recurring.toObject()));
+}));
+
+// Shared accounts need contributor access; the schedule is owned by the account owner
+router.post('/', protect, validateRecurringTransaction, asyncHandler(async (req, res) => {
+  const { account } = await requireAccountAccess(req.user._id, req.body.accountId, 'contributor');
+
+  const recurring = new RecurringTransaction({ ...pickEditable(req.body), user: account.user, createdBy: req.user._id });
+  Object.assign(recurring, computeSchedule(recurring));
+  await recurring.save();
+
+  res.status(201).json(withUpcoming(recurring.toObject()));
+}));
+
+router.put('/:id', protect, validateRecurringTransaction, asyncHandler(async (req, res) => {
+  const recurring = await findEditable(req.user._id, req.params.id);
+
+  if (String(req.body.accountId) !== recurring.accountId.toString()) {
+    const { account } = await requireAccountAccess(req.user._id, req.body.accountId, 'contributor');
+    if (!account.user.equals(recurring.user)) {
+      return res.status(400).json({ message: 'A recurring transaction can only move between accounts of the same owner' });
+    }
+  }
+
+  recurring.set(pickEditable(req.body));
+  if (req.body.endDate === null) recurring.endDate = undefined;
+
+  // Already-posted occurrences stay posted; the schedule resumes after the last one
+  Object.assign(recurring, computeSchedule(recurring));
+  recurring.lastError = undefined;
+  await recurring.save();
+
+  res.json(withUpcoming(recurring.toObject()));
+}));
+
+// Deleting a schedule keeps the transactions it already posted
+router.delete('/:id', protect, asyncHandler(async (req, res) => {
+  const recurring = await findEditable(req.user._id, req.params.id);
+  await recurring.deleteOne();
+  res.json({ message: 'Recurring transaction deleted' });
+}));
+
+export default router;
@@ -0,0 +1,57 @@
+import express from 'express';
+import { Rule } from '../models/Rule.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validateCategoryRule, validateCategoryRuleUpdate } from '../middleware/validation.js';
+import { findRule, previewRule, applyRules } from '../services/ruleService.js';
+
+const router = express.Router();
+
+const RULE_FIELDS = ['name', 'priority', 'enabled', 'match', 'conditions', 'actions'];
+
+const pickRule = (body) => RULE_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+// Rules in the order they run
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const rules = await Rule.find({ user: req.user._id }).sort({ priority: 1, createdAt: 1 }).lean();
+  res.json(rules);
+}));
+
+router.post('/', protect, validateCategoryRule, asyncHandler(async (req, res) => {
+  const rule = await Rule.create({ ...pickRule(req.body), user: req.user._id });
+  res.status(201).json(rule);
+}));
+
+// Which recent transactions an unsaved rule would match, and what it would change
+router.post('/preview', protect, validateCategoryRule, asyncHandler(async (req, res) => {
+  res.json(await previewRule(req.user._id, pickRule(req.body)));
+}));
+
+// Run the rules over existing transactions; dryRun=true lists the changes without making them
+router.post('/apply', protect, asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+  res.json(await applyRules(req.user._id, { ruleIds: req.body.ruleIds, dryRun }));
+}));
+
+router.get('/:id/preview', protect, asyncHandler(async (req, res) => {
+  const rule = await findRule(req.user._id, req.params.id);
+  res.json(await previewRule(req.user._id, rule));
+}));
+
+router.put('/:id', protect, validateCategoryRuleUpdate, asyncHandler(async (req, res) => {
+  const rule = await findRule(req.user._id, req.params.id);
+  rule.set(pickRule(req.body));
+  await rule.save();
+  res.json(rule);
+}));
+
+router.delete('/:id', protect, asyncHandler(async (req, res) => {
+  const rule = await findRule(req.user._id, req.params.id);
+  await rule.deleteOne();
+  res.json({ message: 'Rule deleted' });
+}));
+
+export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  inviteMember,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  listInvitations,
+  acceptInvitation,
+  declineInvitation
+} from '../services/sharingService.js';
+
+const router = express.Router();
+
+router.get('/accounts/:id/members', protect, asyncHandler(async (req, res) => {
+  res.json(await listMembers(req.user._id, req.params.id));
+}));
+
+// Invite by email with a role (viewer, contributor or admin)
+router.post('/accounts/:id/members', protect, asyncHandler(async (req, res) => {
+  const member = await inviteMember(req.user, req.params.id, req.body);
+  res.status(201).json(member);
+}));
+
+router.put('/accounts/:id/members/:memberId', protect, asyncHandler(async (req, res) => {
+  const member = await updateMemberRole(req.user._id, req.params.id, req.params.memberId, req.body.role);
+  res.json(member);
+}));
+
+// Revoke an invitation, remove a member, or leave the account
+router.delete('/accounts/:id/members/:memberId', protect, asyncHandler(async (req, res) => {
+  const member = await removeMember(req.user._id, req.params.id, req.params.memberId);
+  res.json({ message: member.status === 'pending' ? 'Invitation revoked' : 'Member removed' });
+}));
+
+// Invitations addressed to the current user
+router.get('/invitations', protect, asyncHandler(async (req, res) => {
+  res.json(await listInvitations(req.user));
+}));
+
+router.post('/invitations/:id/accept', protect, asyncHandler(async (req, res) => {
+  const member = await acceptInvitation(req.user, req.params.id);
+  res.json({ message: 'Invitation accepted', account: member.account, role: member.role });
+}));
+
+router.post('/invitations/:id/decline', protect, asyncHandler(async (req, res) => {
+  await declineInvitation(req.user, req.params.id);
+  res.json({ message: 'Invitation declined' });
+}));
+
+export default router;
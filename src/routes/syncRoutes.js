@@ -0,0 +1,37 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { decodeCursor } from '../utils/cursor.js';
+import { listChanges } from '../services/changeLog.js';
+import { pushChanges } from '../services/syncService.js';
+
+const router = express.Router();
+
+// Pull: everything that changed after ?since=<cursor> (omit for the full retained log)
+router.get('/changes', protect, asyncHandler(async (req, res) => {
+  let since = 0;
+  if (req.query.since) {
+    const cursor = decodeCursor(req.query.since);
+    if (!cursor || !Number.isInteger(cursor.seq) || cursor.seq < 0) {
+      return res.status(400).json({ message: 'Invalid sync cursor' });
+    }
+    since = cursor.seq;
+  }
+
+  const result = await listChanges(req.user._id, since, req.query.limit);
+  res.json(result);
+}));
+
+// Push: { strategy: 'lww' | 'reject', changes: [{ entity, op, clientId, id?, updatedAt, baseUpdatedAt?, data }] }
+// Responds 200 with one result per change, in request order; safe to retry
+router.post('/push', protect, asyncHandler(async (req, res) => {
+  const { changes, strategy } = req.body;
+  const outcome = await pushChanges(req.user._id, changes, strategy);
+
+  if (outcome.error) {
+    return res.status(400).json({ message: outcome.error });
+  }
+  res.json(outcome);
+}));
+
+export default router;
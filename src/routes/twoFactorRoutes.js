@@ -0,0 +1,60 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { authLimiter } from '../middleware/rateLimiter.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  beginSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  twoFactorStatus,
+  verifySecondFactor
+} from '../services/twoFactorService.js';
+import { confirmIdentity } from '../services/reauthService.js';
+
+const router = express.Router();
+
+router.get('/', protect, asyncHandler(async (req, res) => {
+  res.json(await twoFactorStatus(req.user._id));
+}));
+
+// Step 1: get a secret and an otpauth:// URI to show as a QR code
+router.post('/setup', protect, asyncHandler(async (req, res) => {
+  const setup = await beginSetup(req.user);
+  res.json(setup);
+}));
+
+// Step 2: confirm a code from the authenticator app; returns the recovery codes once
+router.post('/enable', authLimiter, protect, asyncHandler(async (req, res) => {
+  const recoveryCodes = await enableTwoFactor(req.user._id, req.body.code);
+  res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+}));
+
+// Requires a current code (or a recovery code) and the password, when the user has one
+router.post('/disable', authLimiter, protect, asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!req.user.twoFactor?.enabled) {
+    return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+  }
+
+  const user = await confirmIdentity(req.user._id, { password, code, recoveryCode });
+
+  await disableTwoFactor(user._id);
+  res.json({ message: 'Two-factor authentication disabled' });
+}));
+
+// Replace all recovery codes; needs a current authenticator code
+router.post('/recovery-codes', authLimiter, protect, asyncHandler(async (req, res) => {
+  if (!req.user.twoFactor?.enabled) {
+    return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+  }
+  if (!(await verifySecondFactor(req.user._id, { code: req.body.code }))) {
+    return res.status(401).json({ message: 'Invalid two-factor code' });
+  }
+
+  const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
+  res.json({ recoveryCodes });
+}));
+
+export default router;
@@ -0,0 +1,57 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validateWebhook, validateWebhookUpdate } from '../middleware/validation.js';
+import {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateSecret,
+  sendTestEvent,
+  listDeliveries,
+  redeliver
+} from '../services/webhookService.js';
+
+const router = express.Router();
+
+router.get('/', protect, asyncHandler(async (req, res) => {
+  res.json(await listWebhooks(req.user._id));
+}));
+
+// { url, description?, events? }; the response carries the signing secret, shown only once
+router.post('/', protect, validateWebhook, asyncHandler(async (req, res) => {
+  const webhook = await createWebhook(req.user._id, req.body);
+  res.status(201).json(webhook);
+}));
+
+router.put('/:id', protect, validateWebhookUpdate, asyncHandler(async (req, res) => {
+  res.json(await updateWebhook(req.user._id, req.params.id, req.body));
+}));
+
+router.delete('/:id', protect, asyncHandler(async (req, res) => {
+  await deleteWebhook(req.user._id, req.params.id);
+  res.json({ message: 'Webhook deleted' });
+}));
+
+// New signing secret; the old one stops working immediately
+router.post('/:id/rotate-secret', protect, asyncHandler(async (req, res) => {
+  res.json(await rotateSecret(req.user._id, req.params.id));
+}));
+
+// Send a `ping` event
+router.post('/:id/test', protect, asyncHandler(async (req, res) => {
+  const delivery = await sendTestEvent(req.user._id, req.params.id);
+  res.status(202).json(delivery);
+}));
+
+// Delivery log with every attempt, newest first (?limit=, up to 200)
+router.get('/:id/deliveries', protect, asyncHandler(async (req, res) => {
+  res.json(await listDeliveries(req.user._id, req.params.id, { limit: req.query.limit }));
+}));
+
+router.post('/:id/deliveries/:deliveryId/redeliver', protect, asyncHandler(async (req, res) => {
+  res.json(await redeliver(req.user._id, req.params.id, req.params.deliveryId));
+}));
+
+export default router;
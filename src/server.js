@@ -9,6 +9,7 @@ import compression from 'compression';
 import { logger } from './utils/logger.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { apiLimiter } from './middleware/rateLimiter.js';
+import { startJobs, stopJobs } from './jobs/index.js';
 
 dotenv.config();
 
@@ -89,7 +90,10 @@ mongoose
     serverSelectionTimeoutMS: 5000,
     socketTimeoutMS: 45000,
   })
-  .then(() => logger.info('✓ MongoDB Connected Successfully'))
+  .then(() => {
+    logger.info('✓ MongoDB Connected Successfully');
+    startJobs();
+  })
   .catch((err) => {
     logger.error('MongoDB Connection Error:', { error: err.message });
     process.exit(1);
@@ -108,6 +112,7 @@ mongoose.connection.on('disconnected', () => {
 });
 
 process.on('SIGINT', async () => {
+  stopJobs();
   await mongoose.connection.close();
   logger.info('Mongoose connection closed due to application termination');
   process.exit(0);
@@ -123,9 +128,47 @@ process.on('unhandledRejection', (err) => {
 ================================ */
 
 import authRoutes from './routes/authRoutes.js';
+import twoFactorRoutes from './routes/twoFactorRoutes.js';
+import oauthRoutes from './routes/oauthRoutes.js';
 import financeRoutes from './routes/financeRoutes.js';
-
+import budgetRoutes from './routes/budgetRoutes.js';
+import recurringRoutes from './routes/recurringRoutes.js';
+import analyticsRoutes from './routes/analyticsRoutes.js';
+import importRoutes from './routes/importRoutes.js';
+import exportRoutes from './routes/exportRoutes.js';
+import syncRoutes from './routes/syncRoutes.js';
+import exchangeRateRoutes from './routes/exchangeRateRoutes.js';
+import sharingRoutes from './routes/sharingRoutes.js';
+import goalRoutes from './routes/goalRoutes.js';
+import categoryRoutes from './routes/categoryRoutes.js';
+import ruleRoutes from './routes/ruleRoutes.js';
+import attachmentRoutes from './routes/attachmentRoutes.js';
+import aiRoutes from './routes/aiRoutes.js';
+import assistantRoutes from './routes/assistantRoutes.js';
+import alertRoutes from './routes/alertRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/oauth', oauthRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/finance/budgets', budgetRoutes);
+app.use('/api/finance/recurring', recurringRoutes);
+app.use('/api/finance/analytics', analyticsRoutes);
+app.use('/api/finance/import', importRoutes);
+app.use('/api/finance/export', exportRoutes);
+app.use('/api/finance/sync', syncRoutes);
+app.use('/api/finance/exchange-rates', exchangeRateRoutes);
+app.use('/api/finance/sharing', sharingRoutes);
+app.use('/api/finance/goals', goalRoutes);
+app.use('/api/finance/categories', categoryRoutes);
+app.use('/api/finance/rules', ruleRoutes);
+app.use('/api/finance/attachments', attachmentRoutes);
+app.use('/api/finance/ai', aiRoutes);
+app.use('/api/finance/assistant', assistantRoutes);
+app.use('/api/finance/alerts', alertRoutes);
+app.use('/api/finance/notifications', notificationRoutes);
+app.use('/api/finance/webhooks', webhookRoutes);
 app.use('/api/finance', financeRoutes);
 
 /* ================================
@@ -0,0 +1,78 @@
+// Who may do what with an account: its owner, or a member with a role (AccountMember).
+// Shared accounts and their transactions stay owned by the owner, so writes on behalf of a
+// member go through the ledger as the owner, with `createdBy` set to the member.
+import mongoose from 'mongoose';
+import { Account } from '../models/Account.js';
+import { AccountMember } from '../models/AccountMember.js';
+import { Transaction } from '../models/Transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const RANK = { viewer: 1, contributor: 2, admin: 3, owner: 4 };
+
+export const hasRole = (role, required) => (RANK[role] || 0) >= RANK[required];
+
+// 'owner', the member's role, or null
+export const accountRole = async (userId, account) => {
+  if (account.user.equals(userId)) return 'owner';
+
+  const membership = await AccountMember.findOne({ account: account._id, user: userId, status: 'active' })
+    .select('role')
+    .lean();
+  return membership?.role || null;
+};
+
+// Resolves to { account, role }. Accounts the user can't see are reported as not found.
+export const requireAccountAccess = async (userId, accountId, required = 'viewer') => {
+  const account = mongoose.isValidObjectId(accountId) && await Account.findById(accountId);
+  if (!account) {
+    throw new AppError('Account not found', 404);
+  }
+
+  const role = await accountRole(userId, account);
+  if (!role) {
+    throw new AppError('Account not found', 404);
+  }
+  if (!hasRole(role, required)) {
+    throw new AppError(`This needs ${required} access to the account`, 403);
+  }
+
+  return { account, role };
+};
+
+// Contributors may change the records they entered (`createdBy`), admins and the owner any of
+// them. `notFound` is reported when the user can't see the record's account at all.
+export const requireEditAccess = async (userId, record, { notFound, kind }) => {
+  const { account, role } = await requireAccountAccess(userId, record.accountId, 'contributor')
+    .catch((error) => {
+      throw error.statusCode === 404 ? new AppError(notFound, 404) : error;
+    });
+
+  if (role === 'contributor' && !record.createdBy?.equals(userId)) {
+    throw new AppError(`Contributors can only change ${kind} they added`, 403);
+  }
+
+  return { account, role };
+};
+
+export const requireTransactionAccess = async (userId, transactionId) => {
+  const transaction = mongoose.isValidObjectId(transactionId) && await Transaction.findById(transactionId);
+  if (!transaction) {
+    throw new AppError('Transaction not found', 404);
+  }
+
+  const { account, role } = await requireEditAccess(userId, transaction, {
+    notFound: 'Transaction not found',
+    kind: 'transactions'
+  });
+  return { transaction, account, role };
+};
+
+// Other users' accounts shared with this user: { account, role, owner } per membership
+export const sharedMemberships = (userId) =>
+  AccountMember.find({ user: userId, status: 'active' }).select('account role owner').lean();
+
+// IDs of the accounts shared with the user, optionally only those with at least `required` access
+export const sharedAccountIds = async (userId, required = 'viewer') =>
+  (await sharedMemberships(userId))
+    .filter(membership => hasRole(membership.role, required))
+    .map(membership => membership.account);
@@ -0,0 +1,113 @@
+// Deleting a user and everything they own, immediately or after a grace period
+import { User } from '../models/User.js';
+import { Account } from '../models/Account.js';
+import { AccountType } from '../models/AccountType.js';
+import { Transaction } from '../models/Transaction.js';
+import { Budget } from '../models/Budget.js';
+import { RecurringTransaction } from '../models/RecurringTransaction.js';
+import { ImportProfile } from '../models/ImportProfile.js';
+import { ImportBatch } from '../models/ImportBatch.js';
+import { ChangeLog } from '../models/ChangeLog.js';
+import { Session } from '../models/Session.js';
+import { AuthToken } from '../models/AuthToken.js';
+import { Identity } from '../models/Identity.js';
+import { OAuthState } from '../models/OAuthState.js';
+import { AccountMember } from '../models/AccountMember.js';
+import { Goal } from '../models/Goal.js';
+import { Category } from '../models/Category.js';
+import { Rule } from '../models/Rule.js';
+import { Attachment } from '../models/Attachment.js';
+import { AiUsage } from '../models/AiUsage.js';
+import { Conversation } from '../models/Conversation.js';
+import { Alert } from '../models/Alert.js';
+import { Notification } from '../models/Notification.js';
+import { Webhook } from '../models/Webhook.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { removeAttachments } from './attachmentService.js';
+import { deleteAvatarFile } from './profileService.js';
+import { revokeAllSessions } from './sessionService.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every collection keyed by `user`; add new per-user models here
+const USER_OWNED_MODELS = [
+  Transaction,
+  Account,
+  AccountType,
+  Budget,
+  RecurringTransaction,
+  ImportProfile,
+  ImportBatch,
+  ChangeLog,
+  AuthToken,
+  Session,
+  Identity,
+  OAuthState,
+  AccountMember,
+  Goal,
+  Category,
+  Rule,
+  Attachment,
+  AiUsage,
+  Conversation,
+  Alert,
+  Notification,
+  Webhook,
+  WebhookDelivery
+];
+
+export const deletionGraceDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 0;
+
+// Remove the user's data, files and finally the user
+export const purgeUser = async (userId) => {
+  const user = await User.findById(userId).select('avatarKey').lean();
+  if (!user) return false;
+
+  // Files first, while the records pointing at them still exist
+  await removeAttachments({ user: userId });
+  for (const Model of USER_OWNED_MODELS) {
+    await Model.deleteMany({ user: userId });
+  }
+  // Members of the user's own accounts lose access with them
+  await AccountMember.deleteMany({ owner: userId });
+  await deleteAvatarFile(user.avatarKey);
+  await User.deleteOne({ _id: userId });
+
+  logger.info('User purged', { userId: userId.toString() });
+  return true;
+};
+
+// With a grace period the user is signed out and the data kept until the purge job runs;
+// logging in again before then cancels the deletion
+export const requestDeletion = async (user) => {
+  const graceDays = deletionGraceDays();
+
+  if (graceDays === 0) {
+    await purgeUser(user._id);
+    return { deleted: true };
+  }
+
+  const scheduledFor = new Date(Date.now() + graceDays * DAY_MS);
+  await User.updateOne({ _id: user._id }, { deletionScheduledFor: scheduledFor });
+  await revokeAllSessions(user._id, { reason: 'account-deletion' });
+
+  return { deleted: false, scheduledFor };
+};
+
+export const cancelDeletion = (userId) =>
+  User.updateOne({ _id: userId }, { $unset: { deletionScheduledFor: '' } });
+
+export const purgeDueUsers = async (now = new Date()) => {
+  const due = await User.find({ deletionScheduledFor: { $lte: now } }).select('_id').lean();
+
+  let purged = 0;
+  for (const user of due) {
+    try {
+      if (await purgeUser(user._id)) purged++;
+    } catch (error) {
+      logger.error('Failed to purge user', { userId: user._id.toString(), error: error.message });
+    }
+  }
+  return { purged };
+};
@@ -0,0 +1,35 @@
+// Removing accounts with everything that hangs off them
+import { Account } from '../models/Account.js';
+import { Transaction } from '../models/Transaction.js';
+import { Budget } from '../models/Budget.js';
+import { RecurringTransaction } from '../models/RecurringTransaction.js';
+import { AccountMember } from '../models/AccountMember.js';
+import { Goal } from '../models/Goal.js';
+import { removeAttachments } from './attachmentService.js';
+import { recordChangesSafely, deleteChange } from './changeLog.js';
+
+// Delete the user's `accounts` (documents with `_id` and `clientId`) with their transactions,
+// budgets (members' included), recurring schedules, memberships and attachments, and take them
+// out of goals.
+// Shared by DELETE /accounts/:id, the duplicate cleanup and sync deletes.
+export const deleteAccounts = async (userId, accounts) => {
+  const ids = accounts.map(account => account._id);
+  const removedTransactions = await Transaction.find({ accountId: { $in: ids }, user: userId })
+    .select('user clientId')
+    .lean();
+
+  await Promise.all([
+    Account.deleteMany({ _id: { $in: ids }, user: userId }),
+    Transaction.deleteMany({ accountId: { $in: ids }, user: userId }),
+    // Members' budgets scoped to the accounts go too
+    Budget.deleteMany({ accountId: { $in: ids } }),
+    RecurringTransaction.deleteMany({ accountId: { $in: ids }, user: userId }),
+    AccountMember.deleteMany({ account: { $in: ids } }),
+    Goal.updateMany({ user: userId }, { $pull: { accountIds: { $in: ids } } })
+  ]);
+  await recordChangesSafely([
+    ...removedTransactions.map(tx => deleteChange('transaction', tx)),
+    ...accounts.map(account => deleteChange('account', account))
+  ]);
+  await removeAttachments({ transaction: { $in: removedTransactions.map(tx => tx._id) } });
+};
@@ -0,0 +1,287 @@
+// Language model providers for turning free text or a receipt photo into transaction fields.
+// A provider is { name, parseText(text, context), parseReceipt({ image, mimeType }, context) },
+// both resolving to an extraction:
+//   { amount, type, category, merchant, description, date: 'YYYY-MM-DD', account, currency, confidence }
+// where any field may be null. `context` is { today, currency, accounts: [{ name, type, currency }],
+// categories: [{ name, kind }] }; matching the names to records is up to aiService.
+//
+// Providers may also implement chat(messages, context, callTool) for the finance assistant:
+// `messages` is the conversation so far ([{ role: 'user' | 'assistant', content }], the question
+// last), `context` is { today, currency, tools } and callTool(name, args) runs one of the
+// tools for the user, resolving to its result with a `citation` marker. Resolves to the answer.
+import { GoogleGenAI, Type, FunctionCallingConfigMode } from '@google/genai';
+
+const REQUEST_TIMEOUT_MS = 20000;
+// Tool-calling rounds before the model has to answer with what it has
+const MAX_TOOL_ROUNDS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXTRACTION_SCHEMA = {
+  type: Type.OBJECT,
+  properties: {
+    amount: { type: Type.NUMBER, nullable: true, description: 'Total amount as a positive number' },
+    type: { type: Type.STRING, enum: ['income', 'expense'], nullable: true },
+    category: { type: Type.STRING, nullable: true, description: 'One of the given category names' },
+    merchant: { type: Type.STRING, nullable: true, description: 'Shop, payee or payer' },
+    description: { type: Type.STRING, nullable: true, description: 'Short description, at most 100 characters' },
+    date: { type: Type.STRING, nullable: true, description: 'YYYY-MM-DD' },
+    account: { type: Type.STRING, nullable: true, description: 'One of the given account names' },
+    currency: { type: Type.STRING, nullable: true, description: 'ISO 4217 code' },
+    confidence: { type: Type.NUMBER, description: 'How sure you are, from 0 to 1' }
+  },
+  required: ['confidence']
+};
+
+const instructions = (context) => [
+  'You extract one personal finance transaction and answer with JSON only.',
+  `Today is ${context.today}; resolve relative dates such as "yesterday" against it.`,
+  `Amounts are in ${context.currency} unless another currency is stated.`,
+  'Pick the account and category from these lists when one fits, otherwise use null:',
+  JSON.stringify({ accounts: context.accounts, categories: context.categories }),
+  'Use null for anything that is not stated. Never invent amounts.'
+].join('\n');
+
+const chatInstructions = (context) => [
+  'You answer questions about the user\'s own finances, using only the given tools for figures.',
+  `Today is ${context.today}; amounts are in ${context.currency} unless a result says otherwise.`,
+  'Call a tool whenever the answer depends on the user\'s data, and never guess numbers.',
+  'Each tool result has a citation such as "c1"; put it in brackets, like [c1], after every figure taken from it.',
+  'Answer briefly in plain text. If the tools cannot answer the question, say so.'
+].join('\n');
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error('AI provider returned invalid JSON');
+  }
+};
+
+// Google Gemini through @google/genai (GEMINI_API_KEY, GEMINI_MODEL)
+export const geminiProvider = {
+  name: 'gemini',
+  client: null,
+
+  configured: () => Boolean(process.env.GEMINI_API_KEY),
+
+  models() {
+    if (!this.client) {
+      this.client = new GoogleGenAI({
+        apiKey: process.env.GEMINI_API_KEY,
+        httpOptions: { timeout: REQUEST_TIMEOUT_MS }
+      });
+    }
+    return this.client.models;
+  },
+
+  async generate(contents, context) {
+    const response = await this.models().generateContent({
+      model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+      contents,
+      config: {
+        systemInstruction: instructions(context),
+        responseMimeType: 'application/json',
+        responseSchema: EXTRACTION_SCHEMA,
+        temperature: 0
+      }
+    });
+    return parseJson(response.text);
+  },
+
+  parseText(text, context) {
+    return this.generate(text, context);
+  },
+
+  parseReceipt({ image, mimeType }, context) {
+    return this.generate([
+      { inlineData: { mimeType, data: image.toString('base64') } },
+      { text: 'This is a photo of a receipt. Extract the total paid, the merchant and the purchase date. It is an expense.' }
+    ], context);
+  },
+
+  async chat(messages, context, callTool) {
+    const contents = messages.map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }]
+    }));
+    const functionDeclarations = context.tools.map(({ name, description, parameters }) =>
+      ({ name, description, parametersJsonSchema: parameters }));
+
+    for (let round = 0; ; round++) {
+      const response = await this.models().generateContent({
+        model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+        contents,
+        config: {
+          systemInstruction: chatInstructions(context),
+          tools: [{ functionDeclarations }],
+          // Out of rounds: answer from the results so far
+          toolConfig: round >= MAX_TOOL_ROUNDS
+            ? { functionCallingConfig: { mode: FunctionCallingConfigMode.NONE } }
+            : undefined,
+          temperature: 0.2
+        }
+      });
+
+      const calls = response.functionCalls || [];
+      if (calls.length === 0) {
+        return response.text || '';
+      }
+
+      contents.push(response.candidates[0].content);
+      const parts = [];
+      for (const call of calls) {
+        const result = await callTool(call.name, call.args || {});
+        parts.push({ functionResponse: { id: call.id, name: call.name, response: result } });
+      }
+      contents.push({ role: 'user', parts });
+    }
+  }
+};
+
+/* ---------- deterministic stub ---------- */
+
+const INCOME_WORDS = /\b(received|earned|salary|got paid|paid me|income|refund(ed)?|deposit(ed)?|sold)\b/i;
+const MERCHANT_STOP_WORDS = new Set(['from', 'on', 'for', 'yesterday', 'today', 'with', 'using', 'via', 'in', 'to', 'by']);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const containsWord = (text, phrase) => new RegExp(`\\b${escapeRegex(phrase)}\\b`, 'i').test(text);
+
+const shiftDay = (day, days) => new Date(Date.parse(day) + days * DAY_MS).toISOString().slice(0, 10);
+
+const stubDate = (text, today) => {
+  const iso = /\b(\d{4}-\d{2}-\d{2})\b/.exec(text);
+  if (iso) return iso[1];
+  if (/\byesterday\b/i.test(text)) return shiftDay(today, -1);
+  const ago = /\b(\d{1,2}) days? ago\b/i.exec(text);
+  if (ago) return shiftDay(today, -parseInt(ago[1]));
+  return today;
+};
+
+// "1,200", "1200.50", "2.5k"; dates are taken out first so their digits aren't read as amounts
+const stubAmount = (text) => {
+  const match = /(?:^|[^\w.,-])(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?(k)?\b/i.exec(
+    text.replace(/\b\d{4}-\d{2}-\d{2}\b|\b\d{1,2} days? ago\b/gi, ' ')
+  );
+  if (!match) return null;
+  const amount = parseFloat(match[1].replace(/,/g, '') + (match[2] || ''));
+  return match[3] ? amount * 1000 : amount;
+};
+
+const stubMerchant = (text) => {
+  const match = /\bat\s+(.+)$/i.exec(text);
+  if (!match) return null;
+
+  const words = [];
+  for (const word of match[1].split(/\s+/)) {
+    if (MERCHANT_STOP_WORDS.has(word.toLowerCase())) break;
+    words.push(word.replace(/[,.;!]+$/, ''));
+  }
+  return words.join(' ') || null;
+};
+
+// The account with the most name words in the text ("current" finds "Current Account")
+const stubAccount = (text, accounts) => {
+  let best = null;
+  let bestScore = 0;
+  for (const account of accounts) {
+    const words = account.name.toLowerCase().split(/\s+/).filter(word => word !== 'account');
+    const score = words.filter(word => containsWord(text, word)).length;
+    if (score > bestScore) {
+      best = account.name;
+      bestScore = score;
+    }
+  }
+  return best;
+};
+
+// First matching keyword picks the tool the stub calls; anything else is a spending question
+const STUB_CHAT_TOOLS = [
+  [/\b(balances?|net worth|how much (money )?do i have)\b/i, 'account_balances'],
+  [/\bbudgets?\b/i, 'budget_status'],
+  [/\btags?\b/i, 'totals_by_tag'],
+  [/\b(merchants?|shops?|stores?|where)\b/i, 'top_merchants'],
+  [/\b(cash flow|income|earn(ed)?|sav(e|ed|ing))\b/i, 'cash_flow'],
+  [/\b(transactions?|largest|biggest|payments?)\b/i, 'find_transactions']
+];
+
+const monthStart = (day, months = 0) => {
+  const [year, month] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + months, 1)).toISOString().slice(0, 10);
+};
+
+const stubPeriod = (text, today) => {
+  if (/\blast month\b/i.test(text)) {
+    return { from: monthStart(today, -1), to: shiftDay(monthStart(today), -1) };
+  }
+  if (/\bthis month\b/i.test(text)) {
+    return { from: monthStart(today), to: today };
+  }
+  return {};
+};
+
+// Keyword rules instead of a model, so tests and offline development give repeatable results
+export const stubProvider = {
+  name: 'stub',
+  configured: () => true,
+
+  async parseText(text, context) {
+    const category = [...context.categories]
+      .sort((a, b) => b.name.length - a.name.length)
+      .find(candidate => containsWord(text, candidate.name));
+    const merchant = stubMerchant(text);
+    const extraction = {
+      amount: stubAmount(text),
+      type: INCOME_WORDS.test(text) ? 'income' : 'expense',
+      category: category ? category.name : null,
+      merchant,
+      description: merchant || text.trim().slice(0, 100),
+      date: stubDate(text, context.today),
+      account: stubAccount(text, context.accounts),
+      currency: null
+    };
+
+    const found = ['amount', 'category', 'account'].filter(field => extraction[field] !== null).length;
+    return { ...extraction, confidence: Math.round((found / 3) * 100) / 100 };
+  },
+
+  // A fixed receipt, whatever the image
+  async parseReceipt(image, context) {
+    return {
+      amount: 12.5,
+      type: 'expense',
+      category: null,
+      merchant: 'Stub Store',
+      description: 'Stub Store',
+      date: context.today,
+      account: null,
+      currency: null,
+      confidence: 1
+    };
+  },
+
+  // One tool call picked from the question, answered with its raw result
+  async chat(messages, context, callTool) {
+    const question = messages[messages.length - 1].content;
+    const [, tool] = STUB_CHAT_TOOLS.find(([pattern]) => pattern.test(question)) || [null, 'spending_by_category'];
+    const { citation, ...result } = await callTool(tool, stubPeriod(question, context.today));
+    return `${tool} [${citation}]: ${JSON.stringify(result).slice(0, 1000)}`;
+  }
+};
+
+const providers = new Map([
+  [geminiProvider.name, geminiProvider],
+  [stubProvider.name, stubProvider]
+]);
+
+// Extension point for other models (a self-hosted one, another vendor, ...)
+export const registerAiProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// AI_PROVIDER picks the provider (default gemini); null when it is unknown or not configured
+export const getAiProvider = () => {
+  const provider = providers.get(process.env.AI_PROVIDER || 'gemini');
+  return provider && (!provider.configured || provider.configured()) ? provider : null;
+};
@@ -0,0 +1,222 @@
+// Natural-language and receipt-photo transaction entry. The provider (services/aiProviders.js)
+// extracts fields; here they are matched to the user's accounts and categories and returned
+// as a draft for POST /transactions. Nothing is saved. Each user has a daily request quota.
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import { Account } from '../models/Account.js';
+import { Category, categoryKey } from '../models/Category.js';
+import { AiUsage } from '../models/AiUsage.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { sanitizeString } from '../middleware/validation.js';
+import { getAiProvider } from './aiProviders.js';
+import { sharedMemberships, hasRole } from './accountAccess.js';
+import { loadRules, evaluateRules, UNCATEGORIZED } from './ruleService.js';
+import { suggestCategories } from './categorySuggester.js';
+import { localDateString } from '../utils/timezone.js';
+import { isValidCurrency, normalizeCurrency } from '../utils/currency.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TEXT_LENGTH = 500;
+const RECEIPT_MAX_SIZE = 1600;
+// A suggested category is only used when the model is at least this sure
+const SUGGESTION_CONFIDENCE = 0.5;
+
+export const dailyQuota = () => parseInt(process.env.AI_DAILY_QUOTA) || 50;
+
+export class AiQuotaError extends AppError {
+  constructor(retryAfter) {
+    super(`Daily AI limit of ${dailyQuota()} requests reached, try again tomorrow`, 429);
+    this.code = 'AI_QUOTA_EXCEEDED';
+    this.retryAfter = retryAfter;
+  }
+}
+
+const utcDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const secondsUntilTomorrow = (now = new Date()) =>
+  Math.ceil((Date.parse(utcDay(now)) + DAY_MS - now.getTime()) / 1000);
+
+export const getUsage = async (userId) => {
+  const usage = await AiUsage.findOne({ user: userId, day: utcDay() }).lean();
+  const used = usage?.requests || 0;
+  return { limit: dailyQuota(), used, remaining: Math.max(dailyQuota() - used, 0), resetsIn: secondsUntilTomorrow() };
+};
+
+// Count a request against today's quota. The filter only matches while under the limit, so at
+// the limit the upsert tries to insert a second document for the day and hits the unique index.
+// The assistant (assistantService.js) draws from the same quota.
+export const claimQuota = async (userId) => {
+  const limit = dailyQuota();
+  try {
+    const usage = await AiUsage.findOneAndUpdate(
+      { user: userId, day: utcDay(), requests: { $lt: limit } },
+      { $inc: { requests: 1 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    return { limit, used: usage.requests, remaining: Math.max(limit - usage.requests, 0) };
+  } catch (error) {
+    if (error.code === 11000) throw new AiQuotaError(secondsUntilTomorrow());
+    throw error;
+  }
+};
+
+// Provider failures aren't the user's fault, so the request is given back
+export const releaseQuota = (userId) =>
+  AiUsage.updateOne({ user: userId, day: utcDay() }, { $inc: { requests: -1, failures: 1 } });
+
+// Accounts the user can add transactions to: their own and shared ones with contributor access
+const writableAccounts = async (userId) => {
+  const memberships = (await sharedMemberships(userId)).filter(m => hasRole(m.role, 'contributor'));
+  return Account.find({
+    $or: [{ user: userId }, { _id: { $in: memberships.map(m => m.account) } }]
+  }).select('name type currency').lean();
+};
+
+const buildContext = async (user) => {
+  const [accounts, categories] = await Promise.all([
+    writableAccounts(user._id),
+    Category.find({ user: user._id }).select('name kind nameKey').lean()
+  ]);
+
+  return {
+    accounts,
+    categories,
+    prompt: {
+      today: localDateString(new Date(), user.timezone || 'UTC'),
+      currency: user.baseCurrency,
+      accounts: accounts.map(({ name, type, currency }) => ({ name, type, currency })),
+      categories: categories.map(({ name, kind }) => ({ name, kind }))
+    }
+  };
+};
+
+// Exact name, then a name containing the other (either way), then the account type
+const matchAccount = (name, accounts) => {
+  if (typeof name !== 'string' || !name.trim()) return null;
+  const wanted = name.trim().toLowerCase();
+  const lower = (value) => String(value || '').toLowerCase();
+
+  return accounts.find(account => lower(account.name) === wanted) ||
+    accounts.find(account => lower(account.name).includes(wanted) || wanted.includes(lower(account.name))) ||
+    accounts.find(account => lower(account.type) === wanted) ||
+    null;
+};
+
+const validDay = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(value));
+
+const cleanText = (value, maxLength) =>
+  (typeof value === 'string' && value.trim() ? sanitizeString(value.slice(0, maxLength)) : undefined);
+
+// Turn the provider's extraction into a draft transaction for this user
+const resolveDraft = async (user, extraction, context, { accountId }) => {
+  const missing = [];
+
+  const account = accountId
+    ? context.accounts.find(a => a._id.equals(accountId))
+    : matchAccount(extraction.account, context.accounts);
+  if (!account) missing.push('accountId');
+
+  const amount = typeof extraction.amount === 'number' && extraction.amount > 0
+    ? Math.round(extraction.amount * 100) / 100
+    : null;
+  if (amount === null) missing.push('amount');
+
+  const description = cleanText(extraction.merchant || extraction.description, 200);
+  const named = extraction.category &&
+    context.categories.find(c => c.nameKey === categoryKey(extraction.category));
+  const type = ['income', 'expense'].includes(extraction.type) ? extraction.type : (named?.kind || 'expense');
+
+  // Unknown category: the user's rules, then what they used for similar descriptions
+  let category = named?.name;
+  let tags;
+  const draft = { accountId: account?._id, amount, type, description };
+  const ruled = evaluateRules({ ...draft, category }, await loadRules(user._id));
+  if (ruled?.category) category = ruled.category;
+  if (ruled?.tags) tags = ruled.tags;
+  if (!category && description) {
+    const [suggestion] = await suggestCategories(user._id, { description, type, limit: 1 });
+    if (suggestion?.confidence >= SUGGESTION_CONFIDENCE) category = suggestion.category;
+  }
+
+  const currency = normalizeCurrency(extraction.currency);
+  const warnings = [];
+  if (account && isValidCurrency(currency) && currency !== account.currency) {
+    warnings.push(`The amount looks like ${currency} but the account is in ${account.currency}`);
+  }
+
+  return {
+    draft: {
+      ...draft,
+      category: category || UNCATEGORIZED,
+      ...(tags && { tags }),
+      date: validDay(extraction.date) ? extraction.date : context.prompt.today
+    },
+    account: account ? { _id: account._id, name: account.name, currency: account.currency } : null,
+    missing,
+    warnings,
+    confidence: typeof extraction.confidence === 'number'
+      ? Math.min(Math.max(extraction.confidence, 0), 1)
+      : null
+  };
+};
+
+// `accountId` skips guessing the account from the text
+const run = async (user, { accountId }, call) => {
+  const provider = getAiProvider();
+  if (!provider) {
+    throw new AppError('AI features are not configured on this server', 503);
+  }
+
+  const context = await buildContext(user);
+  if (accountId && !(mongoose.isValidObjectId(accountId) && context.accounts.some(a => a._id.equals(accountId)))) {
+    throw new AppError('Account not found', 404);
+  }
+
+  const quota = await claimQuota(user._id);
+
+  let extraction;
+  try {
+    extraction = await call(provider, context.prompt);
+  } catch (error) {
+    await releaseQuota(user._id);
+    logger.error('AI provider failed', { userId: user._id.toString(), provider: provider.name, error: error.message });
+    throw new AppError('The AI service could not process this request, please try again', 502);
+  }
+
+  const result = await resolveDraft(user, extraction || {}, context, { accountId });
+  return { ...result, provider: provider.name, quota };
+};
+
+export const parseTransactionText = (user, text, options = {}) => {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw new AppError('Text is required', 400);
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw new AppError(`Text must be less than ${MAX_TEXT_LENGTH} characters`, 400);
+  }
+
+  return run(user, options, (provider, context) => provider.parseText(text.trim(), context));
+};
+
+// Receipts are shrunk and re-encoded before they are sent, which also drops EXIF data
+export const parseReceipt = async (user, file, options = {}) => {
+  if (!file) {
+    throw new AppError('Please upload a receipt image', 400);
+  }
+
+  let image;
+  try {
+    image = await sharp(file.buffer, { animated: false })
+      .rotate()
+      .resize(RECEIPT_MAX_SIZE, RECEIPT_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 85 })
+      .toBuffer();
+  } catch (error) {
+    throw new AppError('Receipt could not be read as an image', 400);
+  }
+
+  return run(user, options, (provider, context) =>
+    provider.parseReceipt({ image, mimeType: 'image/jpeg' }, context));
+};
@@ -0,0 +1,322 @@
+import { Transaction } from '../models/Transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { isValidTimeZone, parseLocalDate } from '../utils/timezone.js';
+import { isValidCurrency, normalizeCurrency } from '../utils/currency.js';
+import { splitLineStages } from '../utils/splits.js';
+import { createAccountConverter } from './exchangeRateService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PERIOD_DAYS = 30;
+const INTERVALS = ['day', 'week', 'month'];
+
+// Label format per bucket size, rendered in the user's timezone
+const BUCKET_FORMATS = { day: '%Y-%m-%d', week: '%Y-%m-%d', month: '%Y-%m' };
+
+// Transfers move money between the user's own accounts; they are neither income nor expense.
+// Legacy transfers only carry the category, newer ones also carry a transferId.
+export const EXCLUDE_TRANSFERS = { category: { $ne: 'Transfer' }, transferId: null };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const signedAmount = { $cond: [{ $eq: ['$type', 'income'] }, '$amount', { $multiply: ['$amount', -1] }] };
+
+// Resolve timezone, [start, end) range and reporting currency shared by every analytics query
+export const resolvePeriod = (query, user) => {
+  const timeZone = query.tz || user.timezone || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    throw new AppError('Invalid timezone', 400);
+  }
+
+  const currency = normalizeCurrency(query.currency) || user.baseCurrency;
+  if (currency && !isValidCurrency(currency)) {
+    throw new AppError('Currency must be an ISO 4217 code', 400);
+  }
+
+  const end = query.to ? parseLocalDate(query.to, timeZone, { endOfDay: true }) : new Date();
+  const start = query.from ? parseLocalDate(query.from, timeZone) : new Date(end.getTime() - DEFAULT_PERIOD_DAYS * DAY_MS);
+
+  if (!start || !end) {
+    throw new AppError('Invalid date range', 400);
+  }
+  if (start >= end) {
+    throw new AppError('"from" must be before "to"', 400);
+  }
+
+  return { start, end, timeZone, currency };
+};
+
+// Transactions of the user, or of one account when the period names it (`accountId`)
+const scopeMatch = (userId, { accountId }) => (accountId ? { user: userId, accountId } : { user: userId });
+
+// Amounts are summed per account in the aggregations and converted here, one rate per
+// account currency as of the end of the period. Accounts without a rate count as 0 and
+// their currencies are reported in `missingRates`.
+const converterFor = (userId, { end, currency }) =>
+  createAccountConverter(userId, { currency, date: end < new Date() ? end : new Date(), strict: false });
+
+
+const resolveType = (type = 'expense') => {
+  if (!['income', 'expense'].includes(type)) {
+    throw new AppError('Type must be either "income" or "expense"', 400);
+  }
+  return type;
+};
+
+const resolveInterval = (interval = 'month') => {
+  if (!INTERVALS.includes(interval)) {
+    throw new AppError(`Interval must be one of: ${INTERVALS.join(', ')}`, 400);
+  }
+  return interval;
+};
+
+const bucketStages = (interval, timeZone) => [
+  {
+    $addFields: {
+      bucket: { $dateTrunc: { date: '$date', unit: interval, timezone: timeZone, startOfWeek: 'monday' } }
+    }
+  }
+];
+
+const bucketLabel = (interval, timeZone) => ({
+  $dateToString: { date: '$_id.bucket', format: BUCKET_FORMATS[interval], timezone: timeZone }
+});
+
+// Totals per category for the period; split transactions count once per line
+export const spendingByCategory = async (userId, period, typeParam) => {
+  const { start, end } = period;
+  const type = resolveType(typeParam);
+
+  const [converter, groups] = await Promise.all([
+    converterFor(userId, period),
+    Transaction.aggregate([
+      { $match: { ...scopeMatch(userId, period), type, date: { $gte: start, $lt: end }, ...EXCLUDE_TRANSFERS } },
+      ...splitLineStages(),
+      { $group: { _id: { category: '$category', accountId: '$accountId' }, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const byCategory = new Map();
+  for (const group of groups) {
+    const row = byCategory.get(group._id.category) || { _id: group._id.category, total: 0, count: 0 };
+    row.total += converter.convert(group._id.accountId, group.total) || 0;
+    row.count += group.count;
+    byCategory.set(row._id, row);
+  }
+
+  const rows = [...byCategory.values()].sort((a, b) => b.total - a.total);
+  const grandTotal = rows.reduce((sum, row) => sum + row.total, 0);
+
+  return {
+    type,
+    currency: converter.currency,
+    total: round(grandTotal),
+    categories: rows.map(row => ({
+      category: row._id,
+      total: round(row.total),
+      count: row.count,
+      share: grandTotal > 0 ? round((row.total / grandTotal) * 100) : 0
+    })),
+    missingRates: converter.missing
+  };
+};
+
+// Income and expense per tag; a transaction with several tags counts towards each of them
+export const totalsByTag = async (userId, period) => {
+  const { start, end } = period;
+
+  const [converter, groups] = await Promise.all([
+    converterFor(userId, period),
+    Transaction.aggregate([
+      { $match: { ...scopeMatch(userId, period), date: { $gte: start, $lt: end }, 'tags.0': { $exists: true }, ...EXCLUDE_TRANSFERS } },
+      { $unwind: '$tags' },
+      {
+        $group: {
+          _id: { tag: '$tags', accountId: '$accountId' },
+          income: { $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$amount', 0] } },
+          expense: { $sum: { $cond: [{ $eq: ['$type', 'expense'] }, '$amount', 0] } },
+          count: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const byTag = new Map();
+  for (const group of groups) {
+    const row = byTag.get(group._id.tag) || { tag: group._id.tag, income: 0, expense: 0, count: 0 };
+    row.income += converter.convert(group._id.accountId, group.income) || 0;
+    row.expense += converter.convert(group._id.accountId, group.expense) || 0;
+    row.count += group.count;
+    byTag.set(row.tag, row);
+  }
+
+  const rows = [...byTag.values()].sort((a, b) => (b.expense + b.income) - (a.expense + a.income));
+
+  return {
+    currency: converter.currency,
+    tags: rows.map(row => ({
+      tag: row.tag,
+      income: round(row.income),
+      expense: round(row.expense),
+      net: round(row.income - row.expense),
+      count: row.count
+    })),
+    missingRates: converter.missing
+  };
+};
+
+// Income vs expense per day/week/month bucket
+export const cashFlow = async (userId, period, intervalParam) => {
+  const { start, end, timeZone } = period;
+  const interval = resolveInterval(intervalParam);
+
+  const [converter, groups] = await Promise.all([
+    converterFor(userId, period),
+    Transaction.aggregate([
+      { $match: { ...scopeMatch(userId, period), date: { $gte: start, $lt: end }, ...EXCLUDE_TRANSFERS } },
+      ...bucketStages(interval, timeZone),
+      {
+        $group: {
+          _id: { bucket: '$bucket', accountId: '$accountId' },
+          income: { $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$amount', 0] } },
+          expense: { $sum: { $cond: [{ $eq: ['$type', 'expense'] }, '$amount', 0] } },
+          count: { $sum: 1 }
+        }
+      },
+      { $addFields: { period: bucketLabel(interval, timeZone) } }
+    ])
+  ]);
+
+  const byBucket = new Map();
+  for (const group of groups) {
+    const key = group._id.bucket.getTime();
+    const row = byBucket.get(key) || { _id: group._id.bucket, period: group.period, income: 0, expense: 0, count: 0 };
+    row.income += converter.convert(group._id.accountId, group.income) || 0;
+    row.expense += converter.convert(group._id.accountId, group.expense) || 0;
+    row.count += group.count;
+    byBucket.set(key, row);
+  }
+
+  const rows = [...byBucket.values()].sort((a, b) => a._id - b._id);
+
+  return {
+    interval,
+    currency: converter.currency,
+    buckets: rows.map(row => ({
+      period: row.period,
+      start: row._id,
+      income: round(row.income),
+      expense: round(row.expense),
+      net: round(row.income - row.expense),
+      count: row.count
+    })),
+    missingRates: converter.missing
+  };
+};
+
+// Most frequent / largest descriptions (merchants), grouped case-insensitively
+export const topDescriptions = async (userId, period, { type: typeParam, limit = 10 } = {}) => {
+  const { start, end } = period;
+  const type = resolveType(typeParam);
+
+  const [converter, groups] = await Promise.all([
+    converterFor(userId, period),
+    Transaction.aggregate([
+      {
+        $match: {
+          ...scopeMatch(userId, period),
+          type,
+          date: { $gte: start, $lt: end },
+          description: { $nin: [null, ''] },
+          ...EXCLUDE_TRANSFERS
+        }
+      },
+      {
+        $group: {
+          _id: { key: { $toLower: { $trim: { input: '$description' } } }, accountId: '$accountId' },
+          description: { $first: '$description' },
+          total: { $sum: '$amount' },
+          count: { $sum: 1 },
+          lastDate: { $max: '$date' }
+        }
+      }
+    ])
+  ]);
+
+  const byDescription = new Map();
+  for (const group of groups) {
+    const row = byDescription.get(group._id.key) || { description: group.description, total: 0, count: 0, lastDate: group.lastDate };
+    row.total += converter.convert(group._id.accountId, group.total) || 0;
+    row.count += group.count;
+    if (group.lastDate > row.lastDate) row.lastDate = group.lastDate;
+    byDescription.set(group._id.key, row);
+  }
+
+  const rows = [...byDescription.values()]
+    .sort((a, b) => b.total - a.total || b.count - a.count)
+    .slice(0, Math.min(Math.max(parseInt(limit) || 10, 1), 100));
+
+  return {
+    currency: converter.currency,
+    merchants: rows.map(row => ({
+      description: row.description,
+      total: round(row.total),
+      count: row.count,
+      lastDate: row.lastDate
+    })),
+    missingRates: converter.missing
+  };
+};
+
+// Net worth at the end of each bucket, worked backwards from today's balances:
+// closing(bucket) = current total - net of everything dated after the bucket.
+// Buckets without activity are omitted; the value carries over from the previous point.
+export const netWorthHistory = async (userId, period, intervalParam) => {
+  const { start, end, timeZone } = period;
+  const interval = resolveInterval(intervalParam);
+
+  // Converted at today's rates: the history shows what the balances are worth now
+  const [converter, afterGroups, groups] = await Promise.all([
+    createAccountConverter(userId, { currency: period.currency, strict: false }),
+    Transaction.aggregate([
+      { $match: { ...scopeMatch(userId, period), date: { $gte: end } } },
+      { $group: { _id: '$accountId', net: { $sum: signedAmount } } }
+    ]),
+    Transaction.aggregate([
+      { $match: { ...scopeMatch(userId, period), date: { $gte: start, $lt: end } } },
+      ...bucketStages(interval, timeZone),
+      { $group: { _id: { bucket: '$bucket', accountId: '$accountId' }, net: { $sum: signedAmount } } },
+      { $addFields: { period: bucketLabel(interval, timeZone) } }
+    ])
+  ]);
+
+  const byBucket = new Map();
+  for (const group of groups) {
+    const key = group._id.bucket.getTime();
+    const row = byBucket.get(key) || { _id: group._id.bucket, period: group.period, net: 0 };
+    row.net += converter.convert(group._id.accountId, group.net) || 0;
+    byBucket.set(key, row);
+  }
+  const rows = [...byBucket.values()].sort((a, b) => a._id - b._id);
+
+  const accounts = period.accountId
+    ? converter.accounts.filter(account => account._id.equals(period.accountId))
+    : converter.accounts;
+  const currentNetWorth = accounts.reduce((sum, account) => sum + (converter.convert(account._id, account.balance) || 0), 0);
+  const after = afterGroups.reduce((sum, group) => sum + (converter.convert(group._id, group.net) || 0), 0);
+  let closing = currentNetWorth - after;
+
+  const points = [];
+  for (let i = rows.length - 1; i >= 0; i--) {
+    points.unshift({ period: rows[i].period, start: rows[i]._id, netWorth: round(closing), change: round(rows[i].net) });
+    closing -= rows[i].net;
+  }
+
+  return {
+    interval,
+    currency: converter.currency,
+    startingNetWorth: round(closing),
+    currentNetWorth: round(currentNetWorth),
+    points,
+    missingRates: converter.missing
+  };
+};
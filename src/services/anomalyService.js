@@ -0,0 +1,364 @@
+// Anomaly detection over each user's new transactions, using only statistics from their own
+// history (nothing leaves the server). Findings become alerts:
+//   unusual_amount   - an expense far above what the category usually costs
+//   duplicate_charge - same account, amount and merchant within a few days
+//   new_merchant     - the first expense at a merchant, once there is enough history
+//   low_balance      - an account expected to go negative within a week
+import mongoose from 'mongoose';
+import { Alert, ALERT_TYPES } from '../models/Alert.js';
+import { Account } from '../models/Account.js';
+import { RecurringTransaction } from '../models/RecurringTransaction.js';
+import { Transaction } from '../models/Transaction.js';
+import { User } from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { EXCLUDE_TRANSFERS } from './analyticsService.js';
+import { upcomingOccurrences } from './recurringService.js';
+import { hasSplits } from '../utils/splits.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// History the statistics are built from
+const HISTORY_DAYS = 180;
+const MAX_HISTORY = 10000;
+// How far back the first scan of a user looks
+const FIRST_SCAN_DAYS = 7;
+const MAX_NEW_PER_SCAN = 500;
+// An amount is unusual when its robust z-score (median and MAD) reaches UNUSUAL_SCORE and it
+// is at least UNUSUAL_RATIO times the category's median, over at least MIN_SAMPLES expenses
+const MIN_SAMPLES = 5;
+const UNUSUAL_SCORE = 3.5;
+const UNUSUAL_RATIO = 2;
+const DUPLICATE_WINDOW_DAYS = 3;
+// Expenses on record before new merchants are worth mentioning
+const MIN_MERCHANT_HISTORY = 20;
+const LOW_BALANCE_DAYS = 7;
+// Days of spending the daily average for the balance forecast is taken over
+const SPENDING_DAYS = 30;
+
+const round = (value) => Math.round(value * 100) / 100;
+const toCents = (value) => Math.round(value * 100);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// "AMAZON MKTPL*2K4 #1043" and "Amazon Mktpl" are the same merchant
+const merchantKey = (description) => String(description || '')
+  .toLowerCase()
+  .replace(/&[a-z0-9#]+;/g, '')
+  .replace(/[^a-z]+/g, ' ')
+  .trim();
+
+// Category and amount of each split line, or of the whole transaction
+const linesOf = (tx) => (hasSplits(tx.splits)
+  ? tx.splits.map(line => ({ category: line.category, amount: line.amount }))
+  : [{ category: tx.category, amount: tx.amount }]);
+
+const snapshot = (tx) => ({
+  amount: tx.amount,
+  description: tx.description,
+  category: tx.category,
+  date: tx.date
+});
+
+const unusualAmounts = (fresh, history, currencyOf) => {
+  // Amounts per category, kept apart per currency
+  const samples = new Map();
+  for (const tx of history) {
+    for (const line of linesOf(tx)) {
+      const group = `${currencyOf(tx.accountId)}:${line.category}`;
+      if (!samples.has(group)) samples.set(group, []);
+      samples.get(group).push(line.amount);
+    }
+  }
+
+  const alerts = [];
+  for (const tx of fresh) {
+    const currency = currencyOf(tx.accountId);
+    for (const line of linesOf(tx)) {
+      const amounts = samples.get(`${currency}:${line.category}`) || [];
+      if (amounts.length < MIN_SAMPLES) continue;
+
+      const typical = median(amounts);
+      const spread = Math.max(1.4826 * median(amounts.map(amount => Math.abs(amount - typical))), 0.1 * typical);
+      const score = spread > 0 ? (line.amount - typical) / spread : 0;
+      if (score < UNUSUAL_SCORE || line.amount < UNUSUAL_RATIO * typical) continue;
+
+      alerts.push({
+        type: 'unusual_amount',
+        key: `unusual_amount:${tx._id}:${line.category}`,
+        message: `${line.category} expense of ${round(line.amount)} ${currency} is ${round(line.amount / typical)}x the usual ${round(typical)}`,
+        transaction: tx._id,
+        account: tx.accountId,
+        details: {
+          ...snapshot(tx),
+          category: line.category,
+          lineAmount: line.amount,
+          currency,
+          typical: round(typical),
+          score: round(score),
+          samples: amounts.length
+        }
+      });
+    }
+  }
+  return alerts;
+};
+
+const duplicateCharges = (fresh, all) => {
+  const alerts = [];
+  const window = DUPLICATE_WINDOW_DAYS * DAY_MS;
+
+  for (const tx of fresh) {
+    const merchant = merchantKey(tx.description);
+    if (!merchant) continue;
+
+    const twins = all.filter(other => !other._id.equals(tx._id) &&
+      other.accountId.equals(tx.accountId) &&
+      toCents(other.amount) === toCents(tx.amount) &&
+      Math.abs(other.date - tx.date) <= window &&
+      !(tx.recurringId && other.recurringId) &&
+      merchantKey(other.description) === merchant);
+
+    for (const twin of twins) {
+      const ids = [tx._id.toString(), twin._id.toString()].sort();
+      alerts.push({
+        type: 'duplicate_charge',
+        key: `duplicate_charge:${ids.join(':')}`,
+        message: `Possible duplicate charge: ${tx.description} for ${round(tx.amount)} twice within ${DUPLICATE_WINDOW_DAYS} days`,
+        transaction: tx._id,
+        relatedTransactions: [twin._id],
+        account: tx.accountId,
+        details: { ...snapshot(tx), otherDate: twin.date }
+      });
+    }
+  }
+  return alerts;
+};
+
+const newMerchants = (fresh, history) => {
+  if (history.length < MIN_MERCHANT_HISTORY) return [];
+
+  const known = new Set(history.map(tx => merchantKey(tx.description)));
+  const alerts = [];
+  // Oldest first, so several new charges at one merchant give a single alert
+  for (const tx of [...fresh].sort((a, b) => a.date - b.date)) {
+    const merchant = merchantKey(tx.description);
+    if (!merchant || known.has(merchant) || tx.recurringId) continue;
+    known.add(merchant);
+
+    alerts.push({
+      type: 'new_merchant',
+      severity: 'info',
+      key: `new_merchant:${merchant}`,
+      message: `First payment to ${tx.description}: ${round(tx.amount)}`,
+      transaction: tx._id,
+      account: tx.accountId,
+      details: snapshot(tx)
+    });
+  }
+  return alerts;
+};
+
+// Balance in LOW_BALANCE_DAYS: scheduled recurring transactions plus the recent daily average
+// of other spending. Accounts that are already negative (credit cards, loans) are left alone.
+const lowBalances = async (userId, now) => {
+  const horizon = new Date(now.getTime() + LOW_BALANCE_DAYS * DAY_MS);
+  const [accounts, schedules, spending, recent] = await Promise.all([
+    Account.find({ user: userId, balance: { $gte: 0 } }).select('name balance currency').lean(),
+    RecurringTransaction.find({ user: userId, active: true, nextRunAt: { $ne: null, $lte: horizon } }).lean(),
+    Transaction.aggregate([
+      {
+        $match: {
+          user: userId,
+          type: 'expense',
+          recurringId: null,
+          date: { $gte: new Date(now.getTime() - SPENDING_DAYS * DAY_MS), $lte: now },
+          ...EXCLUDE_TRANSFERS
+        }
+      },
+      { $group: { _id: '$accountId', total: { $sum: '$amount' } } }
+    ]),
+    // Accounts warned about in the last week aren't warned about again
+    Alert.distinct('account', {
+      user: userId,
+      type: 'low_balance',
+      createdAt: { $gte: new Date(now.getTime() - LOW_BALANCE_DAYS * DAY_MS) }
+    })
+  ]);
+
+  const spentBy = new Map(spending.map(row => [row._id.toString(), row.total]));
+  const warned = new Set(recent.map(id => id.toString()));
+  const alerts = [];
+
+  for (const account of accounts) {
+    const id = account._id.toString();
+    if (warned.has(id)) continue;
+
+    const scheduled = schedules
+      .filter(schedule => schedule.accountId.equals(account._id))
+      .reduce((sum, schedule) => {
+        const count = upcomingOccurrences(schedule, 31).filter(date => date <= horizon).length;
+        return sum + count * (schedule.type === 'income' ? schedule.amount : -schedule.amount);
+      }, 0);
+    const daily = (spentBy.get(id) || 0) / SPENDING_DAYS;
+    const projected = account.balance + scheduled - daily * LOW_BALANCE_DAYS;
+    if (projected >= 0) continue;
+
+    alerts.push({
+      type: 'low_balance',
+      key: `low_balance:${id}:${now.toISOString().slice(0, 10)}`,
+      message: `${account.name} may go negative within ${LOW_BALANCE_DAYS} days (about ${round(projected)} ${account.currency})`,
+      account: account._id,
+      details: {
+        balance: round(account.balance),
+        currency: account.currency,
+        projected: round(projected),
+        scheduled: round(scheduled),
+        dailySpending: round(daily)
+      }
+    });
+  }
+  return alerts;
+};
+
+// Existing keys are left alone, so a dismissed alert stays dismissed
+const saveAlerts = async (userId, found) => {
+  // Both charges of a new duplicate find each other; the first finding is kept
+  const alerts = found.filter((alert, index) => found.findIndex(other => other.key === alert.key) === index);
+  if (alerts.length === 0) return 0;
+
+  const result = await Alert.bulkWrite(alerts.map(alert => ({
+    updateOne: {
+      filter: { user: userId, key: alert.key },
+      update: { $setOnInsert: { ...alert, user: userId } },
+      upsert: true
+    }
+  })), { ordered: false });
+  return result.upsertedCount;
+};
+
+// Check the user's transactions created since their last scan
+export const scanUser = async (user, now = new Date()) => {
+  const userId = user._id;
+  const since = user.alertsScannedAt || new Date(now.getTime() - FIRST_SCAN_DAYS * DAY_MS);
+
+  const fresh = await Transaction.find({ user: userId, createdAt: { $gt: since, $lte: now }, ...EXCLUDE_TRANSFERS })
+    .sort({ createdAt: 1 })
+    .limit(MAX_NEW_PER_SCAN)
+    .lean();
+
+  let created = 0;
+  if (fresh.length > 0) {
+    const freshIds = new Set(fresh.map(tx => tx._id.toString()));
+    const [history, accounts] = await Promise.all([
+      Transaction.find({
+        user: userId,
+        type: 'expense',
+        date: { $gte: new Date(now.getTime() - HISTORY_DAYS * DAY_MS) },
+        ...EXCLUDE_TRANSFERS
+      })
+        .sort({ date: -1 })
+        .limit(MAX_HISTORY)
+        .select('accountId amount category splits description date recurringId')
+        .lean(),
+      Account.find({ user: userId }).select('currency').lean()
+    ]);
+
+    const currencies = new Map(accounts.map(account => [account._id.toString(), account.currency]));
+    const currencyOf = (accountId) => currencies.get(accountId.toString()) || '';
+    const expenses = fresh.filter(tx => tx.type === 'expense');
+    const older = history.filter(tx => !freshIds.has(tx._id.toString()));
+
+    created = await saveAlerts(userId, [
+      ...unusualAmounts(expenses, older, currencyOf),
+      ...duplicateCharges(expenses, [...older, ...expenses]),
+      ...newMerchants(expenses, older),
+      ...await lowBalances(userId, now)
+    ]);
+  }
+
+  // With more new transactions than one scan takes, the next scan continues after the last one
+  const scannedTo = fresh.length === MAX_NEW_PER_SCAN ? fresh[fresh.length - 1].createdAt : now;
+  await User.updateOne({ _id: userId }, { alertsScannedAt: scannedTo });
+  return { scanned: fresh.length, created };
+};
+
+// Scan every user; one user's failure doesn't stop the others
+export const runAnomalyScan = async ({ now = new Date() } = {}) => {
+  const summary = { users: 0, scanned: 0, created: 0, failed: 0 };
+
+  const cursor = User.find({ deletionScheduledFor: null }).select('alertsScannedAt').lean().cursor();
+  for await (const user of cursor) {
+    try {
+      const result = await scanUser(user, now);
+      summary.users++;
+      summary.scanned += result.scanned;
+      summary.created += result.created;
+    } catch (error) {
+      summary.failed++;
+      logger.error('Anomaly scan failed for user', { userId: user._id.toString(), error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+/* ---------- alerts API ---------- */
+
+const STATUS_FILTERS = {
+  active: { dismissedAt: null },
+  dismissed: { dismissedAt: { $ne: null } },
+  all: {}
+};
+
+export const listAlerts = async (userId, { status = 'active', type, limit } = {}) => {
+  if (!STATUS_FILTERS[status]) {
+    throw new AppError(`Status must be one of: ${Object.keys(STATUS_FILTERS).join(', ')}`, 400);
+  }
+
+  if (type && !ALERT_TYPES.includes(type)) {
+    throw new AppError(`Type must be one of: ${ALERT_TYPES.join(', ')}`, 400);
+  }
+
+  const filter = { user: userId, ...STATUS_FILTERS[status] };
+  if (type) filter.type = type;
+
+  const [alerts, active] = await Promise.all([
+    Alert.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .lean(),
+    Alert.countDocuments({ user: userId, dismissedAt: null })
+  ]);
+  return { alerts, active };
+};
+
+export const dismissAlert = async (userId, id) => {
+  const alert = mongoose.isValidObjectId(id) && await Alert.findOne({ _id: id, user: userId });
+  if (!alert) {
+    throw new AppError('Alert not found', 404);
+  }
+
+  if (!alert.dismissedAt) {
+    alert.dismissedAt = new Date();
+    await alert.save();
+  }
+  return alert;
+};
+
+// The given alerts, or every active one
+export const dismissAlerts = async (userId, ids) => {
+  const filter = { user: userId, dismissedAt: null };
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || !ids.every(id => mongoose.isValidObjectId(id))) {
+      throw new AppError('ids must be an array of alert IDs', 400);
+    }
+    filter._id = { $in: ids };
+  }
+
+  const result = await Alert.updateMany(filter, { dismissedAt: new Date() });
+  return result.modifiedCount;
+};
@@ -0,0 +1,114 @@
+// "Ask my finances" chat. The provider (services/aiProviders.js) decides which tools to call;
+// the tools (services/assistantTools.js) only ever read the signed-in user's data and each
+// result becomes a citation on the answer. Conversations are kept per user and deleted
+// CHAT_RETENTION_DAYS after their last message. Every question counts towards the AI quota.
+import mongoose from 'mongoose';
+import { Conversation } from '../models/Conversation.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { sanitizeString } from '../middleware/validation.js';
+import { getAiProvider } from './aiProviders.js';
+import { claimQuota, releaseQuota } from './aiService.js';
+import { ASSISTANT_TOOLS, runAssistantTool } from './assistantTools.js';
+import { localDateString } from '../utils/timezone.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_ANSWER_LENGTH = 3000;
+// Stored per conversation; older messages are dropped
+const MAX_MESSAGES = 100;
+// Earlier messages sent along with a question
+const HISTORY_MESSAGES = 20;
+const MAX_TOOL_CALLS = 10;
+
+export const retentionDays = () => parseInt(process.env.CHAT_RETENTION_DAYS) || 30;
+
+const findConversation = async (userId, id) => {
+  const conversation = mongoose.isValidObjectId(id) && await Conversation.findOne({ _id: id, user: userId });
+  if (!conversation) {
+    throw new AppError('Conversation not found', 404);
+  }
+  return conversation;
+};
+
+export const listConversations = (userId) => Conversation.find({ user: userId })
+  .sort({ lastMessageAt: -1 })
+  .select('title lastMessageAt expiresAt createdAt')
+  .lean();
+
+export const getConversation = async (userId, id) => (await findConversation(userId, id)).toObject();
+
+export const deleteConversation = async (userId, id) => {
+  const conversation = await findConversation(userId, id);
+  await conversation.deleteOne();
+};
+
+export const chat = async (user, { message, conversationId } = {}) => {
+  if (typeof message !== 'string' || message.trim().length === 0) {
+    throw new AppError('Message is required', 400);
+  }
+  if (message.length > MAX_QUESTION_LENGTH) {
+    throw new AppError(`Message must be less than ${MAX_QUESTION_LENGTH} characters`, 400);
+  }
+
+  const provider = getAiProvider();
+  if (!provider?.chat) {
+    throw new AppError('The assistant is not configured on this server', 503);
+  }
+
+  const conversation = conversationId
+    ? await findConversation(user._id, conversationId)
+    : new Conversation({ user: user._id, title: sanitizeString(message.trim().slice(0, 80)) });
+  const question = { role: 'user', content: sanitizeString(message), createdAt: new Date() };
+
+  const quota = await claimQuota(user._id);
+
+  // Results go to the model without record IDs; the IDs stay in the citations
+  const citations = [];
+  const callTool = async (name, args) => {
+    if (citations.length >= MAX_TOOL_CALLS) {
+      return { error: 'Too many tool calls, answer with the results so far' };
+    }
+    const { result, citation } = await runAssistantTool(user, name, args);
+    if (!citation) return result;
+
+    const id = `c${citations.length + 1}`;
+    citations.push({ id, tool: name, ...citation });
+    return { citation: id, ...result };
+  };
+
+  const history = conversation.messages
+    .slice(-HISTORY_MESSAGES)
+    .map(({ role, content }) => ({ role, content }));
+  const context = {
+    today: localDateString(new Date(), user.timezone || 'UTC'),
+    currency: user.baseCurrency,
+    tools: ASSISTANT_TOOLS
+  };
+
+  let answer;
+  try {
+    answer = await provider.chat([...history, question], context, callTool);
+  } catch (error) {
+    await releaseQuota(user._id);
+    logger.error('AI assistant failed', { userId: user._id.toString(), provider: provider.name, error: error.message });
+    throw new AppError('The assistant could not answer, please try again', 502);
+  }
+
+  const reply = {
+    role: 'assistant',
+    content: sanitizeString(String(answer || '').slice(0, MAX_ANSWER_LENGTH)) || 'Sorry, I could not find an answer.',
+    citations,
+    createdAt: new Date()
+  };
+
+  conversation.messages.push(question, reply);
+  if (conversation.messages.length > MAX_MESSAGES) {
+    conversation.messages.splice(0, conversation.messages.length - MAX_MESSAGES);
+  }
+  conversation.lastMessageAt = reply.createdAt;
+  conversation.expiresAt = new Date(reply.createdAt.getTime() + retentionDays() * DAY_MS);
+  await conversation.save();
+
+  return { conversationId: conversation._id, message: reply, quota };
+};
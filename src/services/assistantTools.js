@@ -0,0 +1,220 @@
+// Tools the finance assistant can call. Each runs a summary query for the signed-in user only;
+// the user ID never comes from the model. A tool returns { result, citation }: `result` is the
+// minimum the model needs to answer, and `citation` carries the filters for GET /transactions
+// (and transaction IDs) so the client can link to the data behind the answer.
+import { Account } from '../models/Account.js';
+import { Category } from '../models/Category.js';
+import { Transaction } from '../models/Transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { resolvePeriod, spendingByCategory, cashFlow, topDescriptions, totalsByTag } from './analyticsService.js';
+import { getBudgetStatus } from './budgetService.js';
+import { buildSearchFilter } from './transactionSearch.js';
+import { createAccountConverter } from './exchangeRateService.js';
+
+const MAX_TRANSACTIONS = 20;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const PERIOD_PARAMETERS = {
+  from: { type: 'string', description: 'First day, YYYY-MM-DD (default: 30 days ago)' },
+  to: { type: 'string', description: 'Last day, YYYY-MM-DD, inclusive (default: today)' }
+};
+
+const TYPE_PARAMETER = { type: 'string', enum: ['income', 'expense'], description: 'Default expense' };
+
+const periodOf = (args, user) => resolvePeriod({ from: args.from, to: args.to }, user);
+
+// Filters the client can pass to GET /transactions to show what an answer was based on. The
+// period's exact bounds are used, as GET /transactions reads a bare date as midnight UTC and
+// its `to` is inclusive where a period's end is not.
+const filtersOf = (period, extra = {}) => Object.fromEntries(
+  Object.entries({ from: period.start.toISOString(), to: new Date(period.end - 1).toISOString(), ...extra })
+    .filter(([, value]) => value !== undefined)
+);
+
+// Subcategory -> parent name, so "food" questions can add up Groceries and Restaurants
+const parentNames = async (userId) => {
+  const categories = await Category.find({ user: userId }).select('name parent').lean();
+  const byId = new Map(categories.map(category => [category._id.toString(), category.name]));
+  return new Map(categories
+    .filter(category => category.parent)
+    .map(category => [category.name, byId.get(category.parent.toString())]));
+};
+
+export const ASSISTANT_TOOLS = [
+  {
+    name: 'spending_by_category',
+    description: 'Total expense (or income) per category over a period, with each subcategory\'s parent category',
+    parameters: { type: 'object', properties: { ...PERIOD_PARAMETERS, type: TYPE_PARAMETER } },
+    async run(user, args) {
+      const period = periodOf(args, user);
+      const [result, parents] = await Promise.all([
+        spendingByCategory(user._id, period, args.type),
+        parentNames(user._id)
+      ]);
+      return {
+        result: {
+          ...result,
+          categories: result.categories.map(row => ({ ...row, parent: parents.get(row.category) || null }))
+        },
+        citation: { label: `${result.type} by category`, filters: filtersOf(period, { type: result.type }) }
+      };
+    }
+  },
+  {
+    name: 'cash_flow',
+    description: 'Income, expense and net per day, week or month over a period',
+    parameters: {
+      type: 'object',
+      properties: { ...PERIOD_PARAMETERS, interval: { type: 'string', enum: ['day', 'week', 'month'] } }
+    },
+    async run(user, args) {
+      const period = periodOf(args, user);
+      const result = await cashFlow(user._id, period, args.interval);
+      return { result, citation: { label: 'Cash flow', filters: filtersOf(period) } };
+    }
+  },
+  {
+    name: 'top_merchants',
+    description: 'Descriptions (merchants, payers) with the largest totals over a period',
+    parameters: {
+      type: 'object',
+      properties: { ...PERIOD_PARAMETERS, type: TYPE_PARAMETER, limit: { type: 'integer', description: 'At most 20' } }
+    },
+    async run(user, args) {
+      const period = periodOf(args, user);
+      const result = await topDescriptions(user._id, period, {
+        type: args.type,
+        limit: Math.min(parseInt(args.limit) || 10, 20)
+      });
+      return { result, citation: { label: 'Top merchants', filters: filtersOf(period, { type: args.type }) } };
+    }
+  },
+  {
+    name: 'totals_by_tag',
+    description: 'Income, expense and net per tag over a period',
+    parameters: { type: 'object', properties: { ...PERIOD_PARAMETERS } },
+    async run(user, args) {
+      const period = periodOf(args, user);
+      const result = await totalsByTag(user._id, period);
+      return { result, citation: { label: 'Totals by tag', filters: filtersOf(period) } };
+    }
+  },
+  {
+    name: 'account_balances',
+    description: 'Current balance of each account and the total in the user\'s base currency',
+    parameters: { type: 'object', properties: {} },
+    async run(user) {
+      const [accounts, converter] = await Promise.all([
+        Account.find({ user: user._id }).select('name type currency balance').lean(),
+        createAccountConverter(user._id, { strict: false })
+      ]);
+      const total = accounts.reduce((sum, account) => sum + (converter.convert(account._id, account.balance) || 0), 0);
+      return {
+        result: {
+          accounts: accounts.map(({ name, type, currency, balance }) => ({ name, type, currency, balance: round(balance) })),
+          total: round(total),
+          currency: converter.currency
+        },
+        citation: { label: 'Account balances', filters: {} }
+      };
+    }
+  },
+  {
+    name: 'budget_status',
+    description: 'Each budget\'s limit, spending so far and month-end projection for a month',
+    parameters: { type: 'object', properties: { month: { type: 'string', description: 'YYYY-MM (default: this month)' } } },
+    async run(user, args) {
+      const status = await getBudgetStatus(user._id, args.month);
+      return {
+        result: {
+          month: status.period.month,
+          totals: status.totals,
+          budgets: status.budgets.map(item => ({
+            category: item.budget.category,
+            limit: item.budget.limit,
+            currency: item.currency,
+            spent: item.spent,
+            remaining: item.remaining,
+            projected: item.projected,
+            overspent: item.overspent
+          }))
+        },
+        citation: {
+          label: `Budgets for ${status.period.month}`,
+          filters: filtersOf(status.period, { type: 'expense' })
+        }
+      };
+    }
+  },
+  {
+    name: 'find_transactions',
+    description: `Up to ${MAX_TRANSACTIONS} individual transactions matching filters, largest first`,
+    parameters: {
+      type: 'object',
+      properties: {
+        ...PERIOD_PARAMETERS,
+        type: TYPE_PARAMETER,
+        category: { type: 'string', description: 'Category name' },
+        q: { type: 'string', description: 'Text in the description' },
+        minAmount: { type: 'number' },
+        maxAmount: { type: 'number' }
+      }
+    },
+    async run(user, args) {
+      const query = filtersOf(periodOf(args, user), {
+        type: args.type,
+        category: args.category,
+        q: args.q,
+        minAmount: args.minAmount,
+        maxAmount: args.maxAmount
+      });
+      const [transactions, accounts] = await Promise.all([
+        Transaction.find(buildSearchFilter(user._id, query))
+          .sort({ amount: -1 })
+          .limit(MAX_TRANSACTIONS)
+          .select('accountId amount type category date description')
+          .lean(),
+        Account.find({ user: user._id }).select('name').lean()
+      ]);
+      const accountNames = new Map(accounts.map(account => [account._id.toString(), account.name]));
+
+      return {
+        result: {
+          transactions: transactions.map(tx => ({
+            date: tx.date.toISOString().slice(0, 10),
+            amount: tx.amount,
+            type: tx.type,
+            category: tx.category,
+            description: tx.description,
+            account: accountNames.get(tx.accountId.toString())
+          }))
+        },
+        citation: {
+          label: 'Matching transactions',
+          filters: query,
+          transactionIds: transactions.map(tx => tx._id)
+        }
+      };
+    }
+  }
+];
+
+const toolsByName = new Map(ASSISTANT_TOOLS.map(tool => [tool.name, tool]));
+
+// Invalid arguments come back to the model as an error it can correct, not as a failed request
+export const runAssistantTool = async (user, name, args = {}) => {
+  const tool = toolsByName.get(name);
+  if (!tool) {
+    return { result: { error: `Unknown tool ${name}` } };
+  }
+
+  try {
+    return await tool.run(user, args || {});
+  } catch (error) {
+    if (error instanceof AppError && error.statusCode < 500) {
+      return { result: { error: error.message } };
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,159 @@
+// Receipts and other files attached to transactions. Anyone who can see the transaction's account
+// can list and download them; adding or removing one needs edit access to the transaction
+// (accountAccess.js). Files go to the storage adapter; images get a WebP thumbnail.
+import path from 'path';
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import { Attachment } from '../models/Attachment.js';
+import { Transaction } from '../models/Transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getStorage } from './storage.js';
+import { requireAccountAccess, requireTransactionAccess } from './accountAccess.js';
+import { generateToken } from '../utils/tokens.js';
+import { logger } from '../utils/logger.js';
+
+const THUMBNAIL_SIZE = 320;
+const MAX_PER_TRANSACTION = 10;
+
+// sharp format -> content type and extension of the stored original
+const IMAGE_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' },
+  gif: { contentType: 'image/gif', extension: 'gif' }
+};
+
+const PDF = { contentType: 'application/pdf', extension: 'pdf' };
+
+// What the bytes really are, whatever the upload claimed
+const detectType = async (buffer) => {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return { ...PDF, image: false };
+  }
+
+  try {
+    const { format } = await sharp(buffer).metadata();
+    if (IMAGE_FORMATS[format]) {
+      return { ...IMAGE_FORMATS[format], image: true };
+    }
+  } catch (error) {
+    // Not an image sharp can read
+  }
+  throw new AppError('Attachments must be a JPEG, PNG, WebP or GIF image or a PDF', 400);
+};
+
+const createThumbnail = (buffer) => sharp(buffer, { animated: false })
+  .rotate()
+  .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+  .webp({ quality: 80 })
+  .toBuffer();
+
+// Keep the readable part of the client's file name for the download
+const cleanFileName = (name) => path.basename(String(name || ''))
+  .replace(/[^\w.\- ]+/g, '_')
+  .slice(0, 200) || undefined;
+
+// Hidden records are reported as `notFound` rather than forbidden
+const asNotFound = (notFound) => (error) => {
+  throw error.statusCode === 404 ? new AppError(notFound, 404) : error;
+};
+
+const findVisibleTransaction = async (userId, transactionId, notFound = 'Transaction not found') => {
+  const transaction = mongoose.isValidObjectId(transactionId) &&
+    await Transaction.findById(transactionId).select('user accountId').lean();
+  if (!transaction) {
+    throw new AppError(notFound, 404);
+  }
+  if (!transaction.user.equals(userId)) {
+    await requireAccountAccess(userId, transaction.accountId).catch(asNotFound(notFound));
+  }
+  return transaction;
+};
+
+const loadAttachment = async (id) => {
+  const attachment = mongoose.isValidObjectId(id) && await Attachment.findById(id);
+  if (!attachment) {
+    throw new AppError('Attachment not found', 404);
+  }
+  return attachment;
+};
+
+export const findAttachment = async (userId, id) => {
+  const attachment = await loadAttachment(id);
+  await findVisibleTransaction(userId, attachment.transaction, 'Attachment not found');
+  return attachment;
+};
+
+const removeFiles = async (attachments) => {
+  const storage = getStorage();
+  for (const { key, thumbnailKey } of attachments) {
+    for (const file of [key, thumbnailKey].filter(Boolean)) {
+      try {
+        await storage.remove(file);
+      } catch (error) {
+        logger.warn('Failed to remove attachment file', { key: file, error: error.message });
+      }
+    }
+  }
+};
+
+export const addAttachment = async (userId, transactionId, file) => {
+  if (!file) {
+    throw new AppError('Please upload a file', 400);
+  }
+  const { transaction } = await requireTransactionAccess(userId, transactionId);
+
+  if (await Attachment.countDocuments({ transaction: transaction._id }) >= MAX_PER_TRANSACTION) {
+    throw new AppError(`A transaction can have at most ${MAX_PER_TRANSACTION} attachments`, 400);
+  }
+
+  const type = await detectType(file.buffer);
+  // Stored under the transaction's owner, like the transaction itself
+  const base = `attachments/${transaction.user}/${generateToken(12)}`;
+  const key = `${base}.${type.extension}`;
+  const thumbnailKey = type.image ? `${base}-thumb.webp` : undefined;
+
+  const storage = getStorage();
+  await storage.put(key, file.buffer, { contentType: type.contentType });
+  try {
+    if (thumbnailKey) {
+      await storage.put(thumbnailKey, await createThumbnail(file.buffer), { contentType: 'image/webp' });
+    }
+
+    return await Attachment.create({
+      user: transaction.user,
+      transaction: transaction._id,
+      fileName: cleanFileName(file.originalname),
+      contentType: type.contentType,
+      size: file.buffer.length,
+      key,
+      thumbnailKey
+    });
+  } catch (error) {
+    await removeFiles([{ key, thumbnailKey }]);
+    throw error;
+  }
+};
+
+export const listAttachments = async (userId, transactionId) => {
+  const transaction = await findVisibleTransaction(userId, transactionId);
+  return Attachment.find({ transaction: transaction._id }).sort({ createdAt: 1 }).lean();
+};
+
+// Delete matching attachments and their files, e.g. { transaction: { $in: ids } } once the
+// transactions are gone, or { user } when wiping a user's data
+export const removeAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter).select('key thumbnailKey').lean();
+  if (attachments.length === 0) return 0;
+
+  await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+  await removeFiles(attachments);
+  return attachments.length;
+};
+
+export const deleteAttachment = async (userId, id) => {
+  const attachment = await loadAttachment(id);
+  await requireTransactionAccess(userId, attachment.transaction).catch(asNotFound('Attachment not found'));
+  await attachment.deleteOne();
+  await removeFiles([attachment]);
+};
@@ -0,0 +1,40 @@
+// Account emails that carry a single-use link
+import { issueToken, tokenTtlMinutes } from './authTokenService.js';
+import { sendTemplate, clientUrl, appName } from './mailer.js';
+
+export const sendPasswordResetEmail = async (user) => {
+  const token = await issueToken(user._id, 'password-reset');
+
+  return sendTemplate('password-reset', {
+    to: user.email,
+    subject: `Reset your ${appName()} password`,
+    name: user.name,
+    link: clientUrl('/reset-password', { token }),
+    expiresInMinutes: tokenTtlMinutes('password-reset')
+  });
+};
+
+export const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user._id, 'email-verification');
+
+  return sendTemplate('verify-email', {
+    to: user.email,
+    subject: `Confirm your email for ${appName()}`,
+    name: user.name,
+    link: clientUrl('/verify-email', { token }),
+    expiresInMinutes: tokenTtlMinutes('email-verification')
+  });
+};
+
+// For users without a password, confirming a sensitive change (see reauthService.js)
+export const sendReauthenticationEmail = async (user) => {
+  const token = await issueToken(user._id, 'reauthentication');
+
+  return sendTemplate('confirm-identity', {
+    to: user.email,
+    subject: `Confirm it's you on ${appName()}`,
+    name: user.name,
+    link: clientUrl('/confirm-identity', { token }),
+    expiresInMinutes: tokenTtlMinutes('reauthentication')
+  });
+};
@@ -0,0 +1,46 @@
+import { AuthToken } from '../models/AuthToken.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Lifetimes per purpose, overridable in minutes
+const TTL_MINUTES = {
+  'password-reset': () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  'email-verification': () => parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60,
+  'reauthentication': () => parseInt(process.env.REAUTHENTICATION_TTL_MINUTES) || 15
+};
+
+export const tokenTtlMinutes = (purpose) => TTL_MINUTES[purpose]();
+
+// Issue a new token; any earlier unused token for the same purpose stops working
+export const issueToken = async (userId, purpose) => {
+  const token = generateToken();
+
+  await AuthToken.deleteMany({ user: userId, purpose, usedAt: null });
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + tokenTtlMinutes(purpose) * MINUTE_MS)
+  });
+
+  return token;
+};
+
+// Mark a token used and return it, or null when unknown, expired or already used.
+// The update is atomic, so a token can't be redeemed twice by concurrent requests.
+export const consumeToken = (token, purpose) => {
+  if (!token || typeof token !== 'string') return null;
+
+  return AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// True when a token for this purpose was sent within the window (throttles repeated emails)
+export const recentlyIssued = async (userId, purpose, withinMs = MINUTE_MS) =>
+  !!(await AuthToken.exists({ user: userId, purpose, createdAt: { $gt: new Date(Date.now() - withinMs) } }));
+
+export const revokeTokens = (userId, purpose) => AuthToken.deleteMany({ user: userId, purpose, usedAt: null });
@@ -0,0 +1,113 @@
+import { Budget } from '../models/Budget.js';
+import { Transaction } from '../models/Transaction.js';
+import { parseMonth, monthRange, daysInMonth, formatMonth } from '../utils/dateRange.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { createAccountConverter } from './exchangeRateService.js';
+import { sharedAccountIds } from './accountAccess.js';
+import { splitLineStages } from '../utils/splits.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalizeCategory = (category) => category.trim().toLowerCase();
+
+// Sum expense transactions per (category, account) for a period in a single aggregation;
+// each line of a split transaction counts towards its own category. `sharedIds` adds the
+// accounts of other users that the user's budgets are scoped to.
+const aggregateSpending = async (userId, start, end, sharedIds) => {
+  const owner = sharedIds.length > 0 ? { $or: [{ user: userId }, { accountId: { $in: sharedIds } }] } : { user: userId };
+  const rows = await Transaction.aggregate([
+    { $match: { ...owner, type: 'expense', date: { $gte: start, $lt: end } } },
+    ...splitLineStages(),
+    {
+      $group: {
+        _id: { category: { $toLower: { $trim: { input: '$category' } } }, accountId: '$accountId' },
+        total: { $sum: '$amount' }
+      }
+    }
+  ]);
+
+  return rows.map(row => ({
+    category: row._id.category,
+    accountId: row._id.accountId.toString(),
+    total: row.total
+  }));
+};
+
+// Linear month-end projection based on the share of the month already elapsed
+const projectSpending = (spent, start, end, now) => {
+  if (now < start) return 0;
+  if (now >= end) return spent;
+
+  const elapsed = (now - start) / (end - start);
+  return elapsed > 0 ? spent / elapsed : spent;
+};
+
+export const getBudgetStatus = async (userId, monthParam, now = new Date()) => {
+  const period = parseMonth(monthParam, now);
+  if (!period) {
+    throw new AppError('Month must be in YYYY-MM format', 400);
+  }
+
+  const { start, end } = monthRange(period.year, period.month);
+
+  const [budgets, shared] = await Promise.all([
+    Budget.find({ user: userId }).sort({ category: 1 }).lean(),
+    sharedAccountIds(userId)
+  ]);
+
+  // Budgets can be scoped to a shared account; budgets over all accounts only count the user's own
+  const sharedIds = shared.filter(id => budgets.some(budget => budget.accountId?.equals(id)));
+  const isShared = new Set(sharedIds.map(String));
+
+  const [spending, converter] = await Promise.all([
+    aggregateSpending(userId, start, end, sharedIds),
+    createAccountConverter(userId, { date: end < now ? end : now, sharedAccountIds: sharedIds, strict: false })
+  ]);
+
+  // Account budgets are in the account's currency, the others in the user's base currency.
+  // Spending of accounts without a rate to the base currency is left out and reported in `missingRates`.
+  const items = budgets.map(budget => {
+    const category = normalizeCategory(budget.category);
+    const accountId = budget.accountId ? budget.accountId.toString() : null;
+
+    const spent = spending
+      .filter(row => row.category === category &&
+        (accountId ? row.accountId === accountId : !isShared.has(row.accountId)))
+      .reduce((sum, row) => sum + (accountId ? row.total : converter.convert(row.accountId, row.total) || 0), 0);
+
+    const projected = projectSpending(spent, start, end, now);
+
+    return {
+      budget,
+      currency: accountId ? converter.currencyOf(accountId) : converter.currency,
+      spent: round(spent),
+      remaining: round(budget.limit - spent),
+      percentUsed: round((spent / budget.limit) * 100),
+      projected: round(projected),
+      overspent: spent > budget.limit,
+      projectedOverspend: projected > budget.limit
+    };
+  });
+
+  const inBase = (item, amount) => (item.budget.accountId ? converter.convert(item.budget.accountId, amount) || 0 : amount);
+  const totalLimit = items.reduce((sum, item) => sum + inBase(item, item.budget.limit), 0);
+  const totalSpent = items.reduce((sum, item) => sum + inBase(item, item.spent), 0);
+
+  return {
+    period: {
+      month: formatMonth(period.year, period.month),
+      start,
+      end,
+      daysInMonth: daysInMonth(period.year, period.month)
+    },
+    budgets: items,
+    totals: {
+      currency: converter.currency,
+      limit: round(totalLimit),
+      spent: round(totalSpent),
+      remaining: round(totalLimit - totalSpent),
+      percentUsed: totalLimit > 0 ? round((totalSpent / totalLimit) * 100) : 0
+    },
+    missingRates: converter.missing
+  };
+};
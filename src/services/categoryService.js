@@ -0,0 +1,334 @@
+// User categories. Transactions, split lines, budgets and recurring schedules refer to a category
+// by name, so renaming, merging and deleting rewrite those names. Matching is case-insensitive.
+import mongoose from 'mongoose';
+import { Category, categoryKey } from '../models/Category.js';
+import { Transaction } from '../models/Transaction.js';
+import { Budget } from '../models/Budget.js';
+import { RecurringTransaction } from '../models/RecurringTransaction.js';
+import { Rule } from '../models/Rule.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { recordChangesSafely, upsertChange } from './changeLog.js';
+
+// Case- and accent-insensitive equality, so "food" matches "Food"
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Transfers are bookkeeping between accounts, not a category the user manages
+const RESERVED_NAMES = ['transfer'];
+
+const DEFAULT_CATEGORIES = [
+  { name: 'Food', kind: 'expense', icon: 'utensils', color: 'orange', children: ['Groceries', 'Restaurants'] },
+  { name: 'Housing', kind: 'expense', icon: 'home', color: 'indigo', children: ['Rent', 'Utilities'] },
+  { name: 'Transport', kind: 'expense', icon: 'car', color: 'blue', children: ['Fuel', 'Public Transport'] },
+  { name: 'Shopping', kind: 'expense', icon: 'shopping-bag', color: 'rose' },
+  { name: 'Entertainment', kind: 'expense', icon: 'film', color: 'purple' },
+  { name: 'Health', kind: 'expense', icon: 'heart-pulse', color: 'emerald' },
+  { name: 'Education', kind: 'expense', icon: 'graduation-cap', color: 'slate' },
+  { name: 'Other', kind: 'expense', icon: 'circle-dashed', color: 'slate' },
+  { name: 'Salary', kind: 'income', icon: 'briefcase', color: 'emerald' },
+  { name: 'Freelance', kind: 'income', icon: 'laptop', color: 'blue' },
+  { name: 'Investments', kind: 'income', icon: 'trending-up', color: 'indigo' },
+  { name: 'Gifts', kind: 'income', icon: 'gift', color: 'rose' },
+  { name: 'Other Income', kind: 'income', icon: 'circle-dashed', color: 'slate' }
+];
+
+export const seedDefaultCategories = async (userId) => {
+  const parents = await Category.insertMany(
+    DEFAULT_CATEGORIES.map(({ children, ...category }) => ({ ...category, user: userId }))
+  );
+
+  const children = DEFAULT_CATEGORIES.flatMap((category, i) => (category.children || []).map(name => ({
+    user: userId,
+    name,
+    kind: category.kind,
+    color: category.color,
+    parent: parents[i]._id
+  })));
+  await Category.insertMany(children);
+};
+
+const findCategory = async (userId, id) => {
+  const category = mongoose.isValidObjectId(id) && await Category.findOne({ _id: id, user: userId });
+  if (!category) {
+    throw new AppError('Category not found', 404);
+  }
+  return category;
+};
+
+const assertNameAvailable = async (userId, name, exceptId) => {
+  const key = categoryKey(name);
+  if (RESERVED_NAMES.includes(key)) {
+    throw new AppError(`"${name}" is reserved`, 400);
+  }
+
+  const taken = await Category.exists({ user: userId, nameKey: key, _id: { $ne: exceptId } });
+  if (taken) {
+    throw new AppError('A category with this name already exists; merge the two instead', 409);
+  }
+};
+
+// A parent must be a top-level category of the same kind, and a category with children can't become a child
+const resolveParent = async (userId, parentId, { kind, category }) => {
+  if (!parentId) return null;
+
+  const parent = await findCategory(userId, parentId);
+  if (category && parent._id.equals(category._id)) {
+    throw new AppError('A category cannot be its own parent', 400);
+  }
+  if (parent.parent) {
+    throw new AppError('Categories can only be nested one level deep', 400);
+  }
+  if (parent.kind !== kind) {
+    throw new AppError('Parent must be of the same kind', 400);
+  }
+  if (category && await Category.exists({ user: userId, parent: category._id })) {
+    throw new AppError('A category with subcategories cannot be nested', 400);
+  }
+  return parent._id;
+};
+
+// Budgets are unique per (category, account), so a budget that would collide with one already
+// under the new name is removed
+const rewriteBudgets = async (userId, fromName, toName) => {
+  const budgets = await Budget.find({ user: userId, category: fromName }).collation(CASE_INSENSITIVE);
+  let removed = 0;
+
+  for (const budget of budgets) {
+    if (budget.category === toName) continue;
+
+    if (await Budget.exists({ user: userId, category: toName, accountId: budget.accountId })) {
+      await budget.deleteOne();
+      removed++;
+    } else {
+      budget.category = toName;
+      await budget.save();
+    }
+  }
+
+  return removed;
+};
+
+// Rename every use of `fromName` (any casing) to `toName`, including rule actions; edits are recorded for sync
+export const rewriteCategory = async (userId, fromName, toName) => {
+  const byName = { user: userId, category: fromName };
+  const bySplit = { user: userId, 'splits.category': fromName };
+
+  const touched = await Transaction.find({ $or: [byName, bySplit] })
+    .collation(CASE_INSENSITIVE)
+    .select('_id user')
+    .lean();
+
+  const now = new Date();
+  const [direct] = await Promise.all([
+    Transaction.updateMany(byName, { category: toName, lastModifiedAt: now }).collation(CASE_INSENSITIVE),
+    Transaction.updateMany(
+      bySplit,
+      { $set: { 'splits.$[line].category': toName, lastModifiedAt: now } },
+      { arrayFilters: [{ 'line.category': fromName }], collation: CASE_INSENSITIVE }
+    ),
+    RecurringTransaction.updateMany({ user: userId, category: fromName }, { category: toName })
+      .collation(CASE_INSENSITIVE),
+    Rule.updateMany({ user: userId, 'actions.category': fromName }, { 'actions.category': toName })
+      .collation(CASE_INSENSITIVE)
+  ]);
+  const budgetsRemoved = await rewriteBudgets(userId, fromName, toName);
+
+  await recordChangesSafely(touched.map(tx => upsertChange('transaction', tx)));
+
+  return { transactions: touched.length, renamed: direct.modifiedCount, budgetsRemoved };
+};
+
+// Flat list with the number of transactions (or split lines) using each category
+export const listCategories = async (userId) => {
+  const [categories, usage] = await Promise.all([
+    Category.find({ user: userId }).sort({ kind: 1, name: 1 }).lean(),
+    Transaction.aggregate([
+      { $match: { user: userId } },
+      {
+        $project: {
+          names: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+              '$splits.category',
+              ['$category']
+            ]
+          }
+        }
+      },
+      { $unwind: '$names' },
+      { $group: { _id: { $toLower: { $trim: { input: '$names' } } }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const counts = new Map(usage.map(row => [row._id, row.count]));
+  return categories.map(category => ({ ...category, usage: counts.get(category.nameKey) || 0 }));
+};
+
+export const createCategory = async (userId, { name, kind = 'expense', parent, icon, color }) => {
+  await assertNameAvailable(userId, name);
+  const parentId = await resolveParent(userId, parent, { kind });
+
+  return Category.create({ user: userId, name, kind, parent: parentId, icon, color });
+};
+
+// Renaming rewrites the transactions, budgets and schedules that use the old name
+export const updateCategory = async (userId, id, { name, kind, parent, icon, color }) => {
+  const category = await findCategory(userId, id);
+  const nextKind = kind || category.kind;
+
+  if (name && categoryKey(name) !== category.nameKey) {
+    await assertNameAvailable(userId, name, category._id);
+  }
+  const parentId = parent === undefined
+    ? category.parent
+    : await resolveParent(userId, parent, { kind: nextKind, category });
+
+  // Subcategories follow their parent's kind
+  if (nextKind !== category.kind) {
+    if (parentId && parent === undefined) {
+      throw new AppError('Parent must be of the same kind', 400);
+    }
+    await Category.updateMany({ user: userId, parent: category._id }, { kind: nextKind });
+  }
+
+  const oldName = category.name;
+  category.set({ name: name || category.name, kind: nextKind, parent: parentId, icon, color });
+  await category.save();
+
+  const rewritten = oldName !== category.name
+    ? await rewriteCategory(userId, oldName, category.name)
+    : null;
+
+  return { category, rewritten };
+};
+
+// Fold `source` into `target`: its uses get the target's name, its subcategories move over
+export const mergeCategories = async (userId, sourceId, targetId) => {
+  const [source, target] = await Promise.all([findCategory(userId, sourceId), findCategory(userId, targetId)]);
+  if (source._id.equals(target._id)) {
+    throw new AppError('Cannot merge a category into itself', 400);
+  }
+  if (target.parent?.equals(source._id)) {
+    throw new AppError('Cannot merge a category into one of its subcategories', 400);
+  }
+
+  const rewritten = await rewriteCategory(userId, source.name, target.name);
+  await Category.updateMany(
+    { user: userId, parent: source._id },
+    { parent: target.parent || target._id, kind: target.kind }
+  );
+  await source.deleteOne();
+
+  return { category: target, rewritten };
+};
+
+// A category still in use needs `reassignTo`; its subcategories move up a level
+export const deleteCategory = async (userId, id, reassignTo) => {
+  const category = await findCategory(userId, id);
+
+  const inUse = await Transaction.exists({
+    user: userId,
+    $or: [{ category: category.name }, { 'splits.category': category.name }]
+  }).collation(CASE_INSENSITIVE);
+
+  let rewritten = null;
+  if (reassignTo) {
+    const target = await findCategory(userId, reassignTo);
+    if (target._id.equals(category._id)) {
+      throw new AppError('Cannot reassign a category to itself', 400);
+    }
+    rewritten = await rewriteCategory(userId, category.name, target.name);
+  } else if (inUse) {
+    throw new AppError('Category is used by transactions; pass reassignTo with another category', 409);
+  }
+
+  await Category.updateMany({ user: userId, parent: category._id }, { parent: category.parent });
+  await category.deleteOne();
+
+  return { rewritten };
+};
+
+// One-off clean-up of free-text categories: names that differ only in case or surrounding spaces
+// become one category (an existing one, else the most used spelling), created if missing.
+// Seeds the defaults first for users who predate categories.
+export const migrateCategories = async (userId, { dryRun = false } = {}) => {
+  if (!dryRun && !(await Category.exists({ user: userId }))) {
+    await seedDefaultCategories(userId);
+  }
+
+  const [categories, used, budgeted, scheduled] = await Promise.all([
+    Category.find({ user: userId }).lean(),
+    Transaction.aggregate([
+      { $match: { user: userId, category: { $ne: 'Transfer' }, transferId: null } },
+      {
+        $project: {
+          type: 1,
+          names: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+              '$splits.category',
+              ['$category']
+            ]
+          }
+        }
+      },
+      { $unwind: '$names' },
+      {
+        $group: {
+          _id: '$names',
+          count: { $sum: 1 },
+          income: { $sum: { $cond: [{ $eq: ['$type', 'income'] }, 1, 0] } }
+        }
+      }
+    ]),
+    Budget.distinct('category', { user: userId }),
+    RecurringTransaction.distinct('category', { user: userId })
+  ]);
+
+  const existing = new Map(categories.map(category => [category.nameKey, category]));
+  const groups = new Map();
+  const add = (name, count = 0, income = 0) => {
+    if (typeof name !== 'string' || !name.trim()) return;
+    const key = categoryKey(name);
+    if (RESERVED_NAMES.includes(key)) return;
+    const group = groups.get(key) || { spellings: new Map(), count: 0, income: 0 };
+    group.spellings.set(name, (group.spellings.get(name) || 0) + count);
+    group.count += count;
+    group.income += income;
+    groups.set(key, group);
+  };
+  used.forEach(row => add(row._id, row.count, row.income));
+  budgeted.forEach(name => add(name));
+  scheduled.forEach(name => add(name));
+
+  const plan = [];
+  for (const [key, group] of groups) {
+    const spellings = [...group.spellings.entries()].sort((a, b) => b[1] - a[1]);
+    const name = existing.get(key)?.name || spellings[0][0].trim();
+    plan.push({
+      name,
+      create: !existing.has(key),
+      kind: group.income > group.count / 2 ? 'income' : 'expense',
+      variants: spellings.map(([spelling]) => spelling).filter(spelling => spelling !== name),
+      transactions: group.count
+    });
+  }
+
+  if (!dryRun) {
+    for (const item of plan) {
+      if (item.create) {
+        await Category.create({ user: userId, name: item.name, kind: item.kind });
+      }
+      // Case variants match the name itself; padded spellings need their own pass
+      const spellings = new Set(item.variants.map(variant => (variant.trim() === variant ? item.name : variant)));
+      for (const spelling of spellings) {
+        await rewriteCategory(userId, spelling, item.name);
+      }
+    }
+  }
+
+  return {
+    dryRun,
+    created: plan.filter(item => item.create).map(item => ({ name: item.name, kind: item.kind })),
+    merged: plan.filter(item => item.variants.length > 0).map(item => ({ name: item.name, variants: item.variants }))
+  };
+};
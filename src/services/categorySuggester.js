@@ -0,0 +1,79 @@
+// "Suggest a category" from the user's own history: a naive Bayes classifier over the words of
+// past descriptions, trained on request from their most recent categorized transactions.
+import { Transaction } from '../models/Transaction.js';
+import { UNCATEGORIZED } from './ruleService.js';
+
+const TRAINING_SIZE = 2000;
+
+// Words of a description, without amounts, dates and reference numbers
+export const tokenize = (description) => [...new Set(
+  String(description || '')
+    .toLowerCase()
+    .replace(/&[a-z]+;|&#x?[0-9a-f]+;/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !/^\d+$/.test(token))
+)];
+
+const train = (examples) => {
+  const model = { total: 0, vocabulary: new Set(), categories: new Map() };
+
+  for (const { description, category } of examples) {
+    const tokens = tokenize(description);
+    if (tokens.length === 0) continue;
+
+    const stats = model.categories.get(category) || { documents: 0, tokens: 0, counts: new Map() };
+    stats.documents++;
+    for (const token of tokens) {
+      stats.counts.set(token, (stats.counts.get(token) || 0) + 1);
+      stats.tokens++;
+      model.vocabulary.add(token);
+    }
+    model.categories.set(category, stats);
+    model.total++;
+  }
+
+  return model;
+};
+
+// Categories ranked by probability; words never seen in training don't count
+const classify = (model, description, limit) => {
+  const tokens = tokenize(description).filter(token => model.vocabulary.has(token));
+  if (tokens.length === 0) return [];
+
+  const vocabularySize = model.vocabulary.size;
+  const scores = [...model.categories].map(([category, stats]) => {
+    // Log-space with add-one smoothing
+    let score = Math.log(stats.documents / model.total);
+    for (const token of tokens) {
+      score += Math.log(((stats.counts.get(token) || 0) + 1) / (stats.tokens + vocabularySize));
+    }
+    return { category, score };
+  });
+
+  const best = Math.max(...scores.map(s => s.score));
+  const weights = scores.map(s => ({ category: s.category, weight: Math.exp(s.score - best) }));
+  const sum = weights.reduce((total, w) => total + w.weight, 0);
+
+  return weights
+    .map(w => ({ category: w.category, confidence: Math.round((w.weight / sum) * 1000) / 1000 }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+};
+
+export const suggestCategories = async (userId, { description, type, limit = 3 }) => {
+  const filter = {
+    user: userId,
+    transferId: null,
+    description: { $nin: [null, ''] },
+    category: { $nin: [UNCATEGORIZED, 'Split', 'Transfer'] }
+  };
+  if (type) filter.type = type;
+
+  const examples = await Transaction.find(filter)
+    .sort({ date: -1 })
+    .limit(TRAINING_SIZE)
+    .select('description category')
+    .lean();
+
+  return classify(train(examples), description, limit);
+};
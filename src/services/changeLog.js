@@ -0,0 +1,156 @@
+import { ChangeLog } from '../models/ChangeLog.js';
+import { User } from '../models/User.js';
+import { Account } from '../models/Account.js';
+import { AccountType } from '../models/AccountType.js';
+import { Transaction } from '../models/Transaction.js';
+import { encodeCursor } from '../utils/cursor.js';
+import { logger } from '../utils/logger.js';
+
+const MODELS = {
+  account: Account,
+  accountType: AccountType,
+  transaction: Transaction
+};
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 1000;
+
+// How long a hole in the sequence may stay open before we assume the writer died.
+// Sequence numbers are allocated before the entries are inserted, so a concurrent
+// writer can briefly leave a gap that a reader must not skip over.
+const GAP_GRACE_MS = 30 * 1000;
+
+export const syncCursor = (seq) => encodeCursor({ seq });
+
+// Version used for conflict resolution: the last user-visible modification
+export const modifiedAt = (doc) => doc.lastModifiedAt || doc.updatedAt || doc.createdAt;
+
+const snapshot = (doc) => {
+  const { user, __v, ...data } = doc;
+  return data;
+};
+
+// Build a change from a record; deletes need the record as it was before removal
+export const upsertChange = (entity, doc) => ({ entity, op: 'upsert', user: doc.user, id: doc._id });
+
+export const deleteChange = (entity, doc) => ({
+  entity,
+  op: 'delete',
+  user: doc.user,
+  id: doc._id,
+  clientId: doc.clientId,
+  modifiedAt: new Date()
+});
+
+// Append changes to the owners' logs. Upserts snapshot the record as it is now,
+// so call this after the write has committed.
+export const recordChanges = async (changes) => {
+  // Last change per record wins within one batch
+  const latest = new Map();
+  for (const change of changes) {
+    latest.delete(`${change.entity}:${change.id}`);
+    latest.set(`${change.entity}:${change.id}`, change);
+  }
+
+  const byUser = new Map();
+  for (const change of latest.values()) {
+    const key = change.user.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(change);
+  }
+
+  for (const [userId, userChanges] of byUser) {
+    const entries = [];
+
+    for (const change of userChanges) {
+      if (change.op === 'delete') {
+        entries.push({
+          entity: change.entity,
+          entityId: change.id,
+          clientId: change.clientId,
+          op: 'delete',
+          modifiedAt: change.modifiedAt
+        });
+        continue;
+      }
+
+      const doc = await MODELS[change.entity].findById(change.id).lean();
+      if (!doc) continue;
+
+      entries.push({
+        entity: change.entity,
+        entityId: doc._id,
+        clientId: doc.clientId,
+        op: 'upsert',
+        data: snapshot(doc),
+        modifiedAt: modifiedAt(doc)
+      });
+    }
+
+    if (entries.length === 0) continue;
+
+    // Reserve a contiguous block of sequence numbers in one atomic step
+    const user = await User.findByIdAndUpdate(userId, { $inc: { syncSeq: entries.length } }, { new: true }).select('syncSeq').lean();
+    if (!user) continue;
+
+    const firstSeq = user.syncSeq - entries.length + 1;
+    await ChangeLog.insertMany(entries.map((entry, i) => ({ ...entry, user: userId, seq: firstSeq + i })));
+  }
+};
+
+// Logging must never fail the request that already changed the data
+export const recordChangesSafely = async (changes) => {
+  if (!changes || changes.length === 0) return;
+  try {
+    await recordChanges(changes);
+  } catch (error) {
+    logger.error('Failed to record sync changes', { error: error.message });
+  }
+};
+
+// Changes after `since`, stopping at any gap that may still be filled by an in-flight writer
+export const listChanges = async (userId, since, limitParam) => {
+  const limit = Math.min(Math.max(parseInt(limitParam) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const [entries, oldest, user] = await Promise.all([
+    ChangeLog.find({ user: userId, seq: { $gt: since } }).sort({ seq: 1 }).limit(limit).lean(),
+    ChangeLog.findOne({ user: userId }).sort({ seq: 1 }).select('seq').lean(),
+    User.findById(userId).select('syncSeq').lean()
+  ]);
+
+  const latestSeq = user?.syncSeq || 0;
+
+  // Old entries expire; a client that fell behind them has to start over from GET /data
+  const firstRetained = oldest ? oldest.seq : latestSeq + 1;
+  if (since < latestSeq && since < firstRetained - 1) {
+    return { resetRequired: true, changes: [], cursor: syncCursor(latestSeq), hasMore: false };
+  }
+
+  const now = Date.now();
+  const changes = [];
+  let expected = since + 1;
+
+  for (const entry of entries) {
+    if (entry.seq !== expected && now - entry.createdAt < GAP_GRACE_MS) break;
+
+    changes.push({
+      seq: entry.seq,
+      entity: entry.entity,
+      op: entry.op,
+      id: entry.entityId,
+      clientId: entry.clientId,
+      modifiedAt: entry.modifiedAt,
+      data: entry.data
+    });
+    expected = entry.seq + 1;
+  }
+
+  const last = changes.length > 0 ? changes[changes.length - 1].seq : since;
+
+  return {
+    resetRequired: false,
+    changes,
+    cursor: syncCursor(last),
+    hasMore: last < latestSeq
+  };
+};
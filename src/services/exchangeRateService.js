@@ -0,0 +1,192 @@
+import { ExchangeRate } from '../models/ExchangeRate.js';
+import { Account } from '../models/Account.js';
+import { User } from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { defaultCurrency, normalizeCurrency, isValidCurrency } from '../utils/currency.js';
+import { getRateProviders } from './rateProviders.js';
+
+// Don't hit the providers again for the same day right after a failed attempt
+const REFRESH_RETRY_MS = 10 * 60 * 1000;
+
+const refreshAttempts = new Map();
+
+// Cross rates go through this currency when a pair isn't stored directly
+export const pivotCurrency = () => (process.env.EXCHANGE_RATE_PIVOT || 'USD').toUpperCase();
+
+export const toRateDay = (value) => {
+  const date = value ? new Date(value) : new Date();
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/* ---------- Storing rates ---------- */
+
+// Upsert { base, quote, rate, date } rows; invalid rows are reported, not fatal
+export const saveRates = async (rows, source = 'manual') => {
+  const errors = [];
+  const operations = [];
+
+  rows.forEach((row, index) => {
+    const base = normalizeCurrency(row.base);
+    const quote = normalizeCurrency(row.quote);
+    const rate = Number(row.rate);
+    const date = toRateDay(row.date);
+
+    if (!isValidCurrency(base) || !isValidCurrency(quote) || base === quote) {
+      errors.push({ index, message: 'Base and quote must be two different ISO 4217 codes' });
+    } else if (!(rate > 0) || !Number.isFinite(rate)) {
+      errors.push({ index, message: 'Rate must be a positive number' });
+    } else if (!date) {
+      errors.push({ index, message: 'Invalid date' });
+    } else {
+      operations.push({
+        updateOne: {
+          filter: { base, quote, date },
+          update: { $set: { rate, source } },
+          upsert: true
+        }
+      });
+    }
+  });
+
+  if (operations.length > 0) {
+    await ExchangeRate.bulkWrite(operations, { ordered: false });
+  }
+
+  return { saved: operations.length, errors };
+};
+
+// Expand { base, date, rates: { EUR: 0.92 } } snapshots into rows
+export const snapshotRows = ({ base, date, rates }) =>
+  Object.entries(rates || {}).map(([quote, rate]) => ({ base, quote, rate, date }));
+
+// Pull a day's rates for `base` from the first provider that answers
+export const refreshRates = async ({ base = pivotCurrency(), date } = {}) => {
+  const day = toRateDay(date);
+  const failures = [];
+
+  for (const provider of getRateProviders()) {
+    try {
+      const snapshot = await provider.fetchRates(base, day);
+      const rows = snapshotRows(snapshot).filter(row => isValidCurrency(normalizeCurrency(row.quote)));
+      const { saved } = await saveRates(rows, provider.name);
+      return { provider: provider.name, base: snapshot.base, date: snapshot.date, saved };
+    } catch (error) {
+      failures.push(`${provider.name}: ${error.message}`);
+    }
+  }
+
+  throw new AppError(`No exchange rate provider could supply rates (${failures.join('; ') || 'none configured'})`, 502);
+};
+
+const refreshOnce = async (date) => {
+  const key = `${pivotCurrency()}:${toRateDay(date).toISOString()}`;
+  const last = refreshAttempts.get(key);
+  if (last && Date.now() - last < REFRESH_RETRY_MS) return false;
+  refreshAttempts.set(key, Date.now());
+
+  try {
+    await refreshRates({ date });
+    return true;
+  } catch (error) {
+    logger.warn('Exchange rate refresh failed', { error: error.message });
+    return false;
+  }
+};
+
+/* ---------- Looking rates up ---------- */
+
+// Latest stored rate on or before the day (either direction), else the earliest one after it
+const storedRate = async (from, to, day) => {
+  const pairs = { $or: [{ base: from, quote: to }, { base: to, quote: from }] };
+
+  const found = await ExchangeRate.findOne({ ...pairs, date: { $lte: day } }).sort({ date: -1 }).lean()
+    || await ExchangeRate.findOne({ ...pairs, date: { $gt: day } }).sort({ date: 1 }).lean();
+
+  if (!found) return null;
+  return { rate: found.base === from ? found.rate : 1 / found.rate, date: found.date };
+};
+
+// How many units of `to` one unit of `from` buys on `date`: { rate, date } or null
+export const getRate = async (fromParam, toParam, date, { refresh = true } = {}) => {
+  const from = normalizeCurrency(fromParam);
+  const to = normalizeCurrency(toParam);
+  const day = toRateDay(date);
+
+  if (from === to) return { rate: 1, date: day };
+
+  const direct = await storedRate(from, to, day);
+  if (direct) return direct;
+
+  const pivot = pivotCurrency();
+  if (from !== pivot && to !== pivot) {
+    const [leg1, leg2] = await Promise.all([storedRate(from, pivot, day), storedRate(pivot, to, day)]);
+    if (leg1 && leg2) {
+      return { rate: leg1.rate * leg2.rate, date: leg1.date < leg2.date ? leg1.date : leg2.date };
+    }
+  }
+
+  if (refresh && await refreshOnce(day)) {
+    return getRate(from, to, day, { refresh: false });
+  }
+  return null;
+};
+
+export const requireRate = async (from, to, date) => {
+  const found = await getRate(from, to, date);
+  if (!found) {
+    throw new AppError(`No exchange rate from ${normalizeCurrency(from)} to ${normalizeCurrency(to)}`, 422);
+  }
+  return found;
+};
+
+// Converter from each of the user's account currencies into one reporting currency
+// (the user's base currency unless given). With `strict`, a missing rate is an error;
+// otherwise convert() returns null for those accounts and `missing` lists the currencies.
+// `sharedAccountIds` adds accounts shared with the user.
+export const createAccountConverter = async (userId, { currency, date, strict = true, sharedAccountIds = [] } = {}) => {
+  const accountFilter = sharedAccountIds.length > 0
+    ? { $or: [{ user: userId }, { _id: { $in: sharedAccountIds } }] }
+    : { user: userId };
+  const [user, accounts] = await Promise.all([
+    currency ? null : User.findById(userId).select('baseCurrency').lean(),
+    Account.find(accountFilter).select('currency balance').lean()
+  ]);
+
+  const target = normalizeCurrency(currency) || user?.baseCurrency || defaultCurrency();
+  if (!isValidCurrency(target)) {
+    throw new AppError(`${target} is not an ISO 4217 currency code`, 400);
+  }
+
+  const currencyOf = new Map(accounts.map(account => [account._id.toString(), account.currency || defaultCurrency()]));
+  const rates = new Map([[target, 1]]);
+  const missing = [];
+
+  for (const code of new Set(currencyOf.values())) {
+    if (rates.has(code)) continue;
+    const found = await getRate(code, target, date);
+    if (found) {
+      rates.set(code, found.rate);
+    } else {
+      missing.push(code);
+    }
+  }
+
+  if (strict && missing.length > 0) {
+    throw new AppError(`No exchange rate to ${target} for: ${missing.join(', ')}`, 422);
+  }
+
+  return {
+    currency: target,
+    accounts,
+    missing,
+    rates: Object.fromEntries(rates),
+    currencyOf: (accountId) => currencyOf.get(String(accountId)) || target,
+    // Transactions of deleted accounts are counted as already in the reporting currency
+    convert: (accountId, amount) => {
+      const rate = rates.get(currencyOf.get(String(accountId)) || target);
+      return rate === undefined ? null : amount * rate;
+    }
+  };
+};
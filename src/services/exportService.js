@@ -0,0 +1,241 @@
+import { once } from 'events';
+import mongoose from 'mongoose';
+import validator from 'validator';
+import { Account } from '../models/Account.js';
+import { AccountType } from '../models/AccountType.js';
+import { Transaction } from '../models/Transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { runLedger, postBatch } from './ledgerService.js';
+import { toList } from './transactionSearch.js';
+import { toCsvLine } from '../utils/csv.js';
+import { ofxHeader, ofxTransaction, ofxFooter } from '../utils/ofx.js';
+import { hasSplits } from '../utils/splits.js';
+import { defaultCurrency } from '../utils/currency.js';
+
+export const ARCHIVE_FORMAT = 'citrus-finance-export';
+export const ARCHIVE_VERSION = 1;
+export const EXPORT_FORMATS = ['json', 'csv', 'ofx'];
+
+const ACCOUNT_FIELDS = ['_id', 'name', 'type', 'balance', 'openingBalance', 'currency', 'color', 'cardNumber', 'cardHolder', 'createdAt'];
+const ACCOUNT_TYPE_FIELDS = ['label', 'theme'];
+const TRANSACTION_FIELDS = ['_id', 'accountId', 'amount', 'type', 'category', 'splits', 'tags', 'description', 'date', 'balanceAt', 'transferId', 'exchange', 'externalId', 'createdAt'];
+
+const pick = (source, fields) => fields.reduce((acc, field) => {
+  if (source[field] !== undefined && source[field] !== null) acc[field] = source[field];
+  return acc;
+}, {});
+
+const parseDate = (value, name) => {
+  if (!validator.isISO8601(String(value))) {
+    throw new AppError(`Invalid ${name} date`, 400);
+  }
+  return new Date(value);
+};
+
+// Shared ?from=&to=&accountId= filters. Without accountId only the user's own accounts are exported;
+// accounts shared with the user (`sharedAccountIds`) can be asked for by ID.
+export const resolveExportFilter = (userId, query, { sharedAccountIds = [] } = {}) => {
+  const accountIds = toList(query.accountId);
+  if (!accountIds.every(id => mongoose.isValidObjectId(id))) {
+    throw new AppError('Invalid account ID', 400);
+  }
+
+  let accountFilter = { user: userId };
+  let transactionFilter = { user: userId };
+
+  if (accountIds.length > 0) {
+    const ids = accountIds.map(id => new mongoose.Types.ObjectId(id));
+    const shared = ids.filter(id => sharedAccountIds.some(sharedId => sharedId.equals(id)));
+
+    // Transactions on a shared account belong to its owner
+    accountFilter = { _id: { $in: ids }, $or: [{ user: userId }, { _id: { $in: shared } }] };
+    transactionFilter = { accountId: { $in: ids }, $or: [{ user: userId }, { accountId: { $in: shared } }] };
+  }
+
+  if (query.from || query.to) {
+    transactionFilter.date = {};
+    if (query.from) transactionFilter.date.$gte = parseDate(query.from, 'from');
+    if (query.to) transactionFilter.date.$lte = parseDate(query.to, 'to');
+  }
+
+  return { accountFilter, transactionFilter, accountIds };
+};
+
+// res.write that respects backpressure
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) await once(res, 'drain');
+};
+
+const transactionCursor = (filter) => Transaction.find(filter).sort({ date: 1, _id: 1 }).lean().cursor();
+
+/* ---------- JSON archive ---------- */
+
+export const streamJsonArchive = async (res, userId, { accountFilter, transactionFilter }) => {
+  const [accountTypes, accounts] = await Promise.all([
+    AccountType.find({ user: userId }).sort({ label: 1 }).lean(),
+    Account.find(accountFilter).sort({ createdAt: 1 }).lean()
+  ]);
+
+  const header = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date(),
+    accountTypes: accountTypes.map(type => pick(type, ACCOUNT_TYPE_FIELDS)),
+    accounts: accounts.map(account => pick(account, ACCOUNT_FIELDS))
+  };
+
+  // Write everything except the transactions array, then stream that one row by row
+  const opening = JSON.stringify(header);
+  await write(res, `${opening.slice(0, -1)},"transactions":[`);
+
+  let first = true;
+  for await (const tx of transactionCursor(transactionFilter)) {
+    await write(res, `${first ? '' : ','}${JSON.stringify(pick(tx, TRANSACTION_FIELDS))}`);
+    first = false;
+  }
+
+  res.end(']}');
+};
+
+/* ---------- CSV ---------- */
+
+// Split transactions list their lines, e.g. "Groceries 30.00; Household 12.50"
+const categoryCell = (tx) => (hasSplits(tx.splits)
+  ? tx.splits.map(line => `${line.category} ${line.amount.toFixed(2)}`).join('; ')
+  : tx.category);
+
+export const streamCsv = async (res, userId, { accountFilter, transactionFilter }) => {
+  const accounts = await Account.find(accountFilter).select('name currency').lean();
+  const byId = new Map(accounts.map(account => [account._id.toString(), account]));
+
+  await write(res, toCsvLine(['Date', 'Account', 'Type', 'Amount', 'Currency', 'Category', 'Description', 'Balance']));
+
+  for await (const tx of transactionCursor(transactionFilter)) {
+    const account = byId.get(tx.accountId.toString());
+    await write(res, toCsvLine([
+      tx.date.toISOString().slice(0, 10),
+      account ? account.name : '',
+      tx.type,
+      (tx.type === 'income' ? tx.amount : -tx.amount).toFixed(2),
+      account?.currency || defaultCurrency(),
+      categoryCell(tx),
+      tx.description,
+      typeof tx.balanceAt === 'number' ? tx.balanceAt.toFixed(2) : ''
+    ]));
+  }
+
+  res.end();
+};
+
+/* ---------- OFX (one account per statement) ---------- */
+
+export const streamOfx = async (res, userId, { accountFilter, transactionFilter, accountIds }, query) => {
+  if (accountIds.length !== 1) {
+    throw new AppError('OFX export needs exactly one accountId', 400);
+  }
+
+  const account = await Account.findOne(accountFilter).lean();
+  if (!account) {
+    throw new AppError('Account not found', 404);
+  }
+
+  await write(res, ofxHeader({
+    accountId: account._id.toString(),
+    currency: account.currency || defaultCurrency(),
+    start: query.from ? new Date(query.from) : account.createdAt,
+    end: query.to ? new Date(query.to) : new Date()
+  }));
+
+  for await (const tx of transactionCursor(transactionFilter)) {
+    await write(res, ofxTransaction(tx));
+  }
+
+  res.end(ofxFooter({ balance: account.balance }));
+};
+
+/* ---------- Restore from a JSON archive ---------- */
+
+// Re-importing the same archive is a no-op: records keep their original IDs and existing ones are skipped.
+// Accounts new to this user are recreated with their archived balance; transactions added to an account
+// that already exists go through the ledger so its balance stays right. The whole restore is one ledger
+// unit: it is written completely or not at all, and every restored record goes to the sync change log.
+export const restoreArchive = async (userId, archive) => {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    throw new AppError('Not a recognised export archive', 400);
+  }
+  if (archive.version > ARCHIVE_VERSION) {
+    throw new AppError(`Archive version ${archive.version} is newer than this server supports`, 400);
+  }
+
+  const accountTypes = Array.isArray(archive.accountTypes) ? archive.accountTypes : [];
+  const accounts = Array.isArray(archive.accounts) ? archive.accounts : [];
+  const transactions = Array.isArray(archive.transactions) ? archive.transactions : [];
+
+  return runLedger(async (unit) => {
+    const summary = { accountTypes: 0, accounts: 0, transactions: 0, skipped: 0 };
+
+    // 1. Account types, matched by label
+    for (const type of accountTypes) {
+      const exists = await AccountType.exists({ user: userId, label: type.label }).session(unit.session);
+      if (!exists) {
+        await unit.insertRecords(AccountType, 'accountType', [{ user: userId, ...pick(type, ACCOUNT_TYPE_FIELDS) }]);
+        summary.accountTypes++;
+      }
+    }
+
+    // 2. Accounts: keep the archived ID unless it is taken by someone else
+    const accountMap = new Map(); // archived id -> { id, existing }
+    for (const account of accounts) {
+      const archivedId = String(account._id);
+      const owned = mongoose.isValidObjectId(archivedId) &&
+        await Account.findById(archivedId).select('user').session(unit.session).lean();
+
+      if (owned && owned.user.equals(userId)) {
+        accountMap.set(archivedId, { id: owned._id, existing: true });
+        continue;
+      }
+
+      const { _id, createdAt, ...fields } = pick(account, ACCOUNT_FIELDS);
+      const [created] = await unit.insertRecords(Account, 'account', [{
+        ...fields,
+        ...(!owned && mongoose.isValidObjectId(archivedId) && { _id: archivedId }),
+        user: userId
+      }]);
+      accountMap.set(archivedId, { id: created._id, existing: false });
+      summary.accounts++;
+    }
+
+    // 3. Transactions, grouped per target account
+    const ids = transactions.map(tx => tx._id).filter(id => mongoose.isValidObjectId(id));
+    const taken = await Transaction.find({ _id: { $in: ids } }).select('user').session(unit.session).lean();
+    const takenIds = new Map(taken.map(tx => [tx._id.toString(), tx.user]));
+
+    const perAccount = new Map();
+    for (const tx of transactions) {
+      const target = accountMap.get(String(tx.accountId));
+      const owner = takenIds.get(String(tx._id));
+
+      if (!target || (owner && owner.equals(userId))) {
+        summary.skipped++;
+        continue;
+      }
+
+      const { _id, createdAt, accountId, ...fields } = pick(tx, TRANSACTION_FIELDS);
+      const doc = { ...fields, ...(!owner && _id && { _id }), accountId: target.id, user: userId };
+
+      if (!perAccount.has(target)) perAccount.set(target, []);
+      perAccount.get(target).push(doc);
+    }
+
+    for (const [target, docs] of perAccount) {
+      if (target.existing) {
+        await postBatch(unit, userId, target.id, docs);
+      } else {
+        await unit.insertTransactions(docs);
+      }
+      summary.transactions += docs.length;
+    }
+
+    return summary;
+  });
+};
@@ -0,0 +1,198 @@
+// Finance events raised by the transaction routes: large transaction, low balance, budget
+// exceeded, transfer done and transaction updated. They go to the account owner, whoever made
+// the change, and are sent after the response so a slow mail server or webhook never holds up
+// a request.
+import { Account } from '../models/Account.js';
+import { Budget } from '../models/Budget.js';
+import { Notification } from '../models/Notification.js';
+import { User } from '../models/User.js';
+import { notify } from './notificationService.js';
+import { getBudgetStatus } from './budgetService.js';
+import { createAccountConverter } from './exchangeRateService.js';
+import { balanceEffect } from './ledgerService.js';
+import { hasSplits } from '../utils/splits.js';
+import { logger } from '../utils/logger.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Fields whose changes are reported with transaction_updated
+const UPDATE_FIELDS = ['accountId', 'amount', 'type', 'category', 'splits', 'description', 'date', 'tags'];
+
+const settingsOf = async (userId) =>
+  (await User.findById(userId).select('notificationSettings').lean())?.notificationSettings || {};
+
+// With `previous` (an edit), only when the transaction wasn't large already
+const checkLargeTransaction = async (userId, tx, settings, previous) => {
+  const threshold = settings.largeTransactionAmount;
+  if (!threshold) return;
+
+  // The threshold is in the base currency; without a rate the amount is compared as it is
+  const converter = await createAccountConverter(userId, { strict: false });
+  const inBase = (item) => converter.convert(item.accountId, item.amount) ?? item.amount;
+  if (inBase(tx) < threshold || (previous && inBase(previous) >= threshold)) return;
+
+  const currency = converter.currencyOf(tx.accountId);
+  await notify(userId, 'large_transaction', {
+    title: `Large ${tx.type}: ${round(tx.amount)} ${currency}`,
+    message: tx.description || tx.category,
+    data: {
+      transactionId: tx._id,
+      accountId: tx.accountId,
+      type: tx.type,
+      amount: tx.amount,
+      currency,
+      category: tx.category,
+      description: tx.description,
+      date: tx.date
+    }
+  });
+};
+
+// Only when this change (`delta`) took the balance below the threshold, not on every one after it
+const checkLowBalance = async (userId, { accountId, balance, delta, transactionId }, settings) => {
+  const threshold = settings.lowBalanceAmount ?? 0;
+  if (typeof balance !== 'number' || balance >= threshold || balance - delta < threshold) return;
+
+  const account = await Account.findById(accountId).select('name currency').lean();
+  if (!account) return;
+
+  await notify(userId, 'low_balance', {
+    title: `${account.name} is down to ${round(balance)} ${account.currency}`,
+    message: `The balance fell below ${threshold} ${account.currency}`,
+    data: { accountId: account._id, balance: round(balance), currency: account.currency, threshold, transactionId }
+  });
+};
+
+// A posted transaction's balanceAt is the balance right after it
+const postedChange = (tx) => ({
+  accountId: tx.accountId,
+  balance: tx.balanceAt,
+  delta: balanceEffect(tx),
+  transactionId: tx._id
+});
+
+const checkUserBudgets = async (userId, tx, categories) => {
+  const month = new Date(tx.date).toISOString().slice(0, 7);
+  const status = await getBudgetStatus(userId, month);
+
+  for (const item of status.budgets) {
+    const { budget } = item;
+    if (!item.overspent || !categories.has(budget.category.trim().toLowerCase())) continue;
+    if (budget.accountId ? !budget.accountId.equals(tx.accountId) : !userId.equals(tx.user)) continue;
+
+    const sent = await Notification.exists({
+      user: userId,
+      event: 'budget_exceeded',
+      'data.budgetId': budget._id,
+      'data.month': month
+    });
+    if (sent) continue;
+
+    await notify(userId, 'budget_exceeded', {
+      title: `${budget.category} budget exceeded for ${month}`,
+      message: `${item.spent} of ${budget.limit} ${item.currency} spent`,
+      data: {
+        budgetId: budget._id,
+        month,
+        category: budget.category,
+        limit: budget.limit,
+        spent: item.spent,
+        currency: item.currency,
+        transactionId: tx._id
+      }
+    });
+  }
+};
+
+// Once per budget and month, when an expense takes spending over the limit. Members of a
+// shared account hear about their own budgets scoped to it.
+const checkBudgets = async (userId, tx) => {
+  if (tx.type !== 'expense') return;
+
+  const lines = hasSplits(tx.splits) ? tx.splits : [tx];
+  const categories = new Set(lines.map(line => String(line.category).trim().toLowerCase()));
+  const budgets = await Budget.find({ $or: [{ user: userId, accountId: null }, { accountId: tx.accountId }] })
+    .select('user category')
+    .lean();
+
+  const budgetUsers = budgets
+    .filter(budget => categories.has(budget.category.trim().toLowerCase()))
+    .map(budget => budget.user)
+    .filter((user, index, all) => all.findIndex(other => other.equals(user)) === index);
+
+  for (const budgetUser of budgetUsers) {
+    await checkUserBudgets(budgetUser, tx, categories);
+  }
+};
+
+const inBackground = (name, work) => {
+  work().catch(error => logger.error('Finance event failed', { event: name, error: error.message }));
+};
+
+// A transaction was added through POST /transactions
+export const transactionPosted = (userId, tx) => inBackground('transaction', async () => {
+  const settings = await settingsOf(userId);
+  await checkLargeTransaction(userId, tx, settings);
+  await checkLowBalance(userId, postedChange(tx), settings);
+  await checkBudgets(userId, tx);
+});
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// A transaction was changed through PUT /transactions/:id. Webhooks always hear about it; the
+// owner gets a notification only when a member of a shared account made the change.
+export const transactionUpdated = (userId, before, after, editorId) => inBackground('transaction_updated', async () => {
+  const changes = {};
+  for (const field of UPDATE_FIELDS) {
+    if (!sameValue(before[field], after[field])) changes[field] = { from: before[field], to: after[field] };
+  }
+  if (Object.keys(changes).length === 0) return;
+
+  const byOwner = editorId.equals(userId);
+  await notify(userId, 'transaction_updated', {
+    title: `Transaction updated: ${after.description || after.category}`,
+    message: Object.keys(changes).join(', '),
+    webhookOnly: byOwner,
+    data: { transactionId: after._id, accountId: after.accountId, changes, updatedBy: editorId }
+  });
+
+  const settings = await settingsOf(userId);
+  await checkLargeTransaction(userId, after, settings, before);
+
+  // The balance after the edit, and how much the edit moved it
+  const moved = !before.accountId.equals(after.accountId);
+  const account = await Account.findById(after.accountId).select('balance').lean();
+  await checkLowBalance(userId, {
+    accountId: after.accountId,
+    balance: account?.balance,
+    delta: balanceEffect(after) - (moved ? 0 : balanceEffect(before)),
+    transactionId: after._id
+  }, settings);
+
+  await checkBudgets(userId, after);
+});
+
+// A transfer went through; both owners hear about it when the accounts belong to different users
+export const transferCompleted = ([debit, credit]) => inBackground('transfer', async () => {
+  const accounts = await Account.find({ _id: { $in: [debit.accountId, credit.accountId] } })
+    .select('name currency')
+    .lean();
+  const accountOf = (tx) => accounts.find(account => account._id.equals(tx.accountId)) || {};
+  const from = accountOf(debit);
+  const to = accountOf(credit);
+
+  const owners = [debit.user, credit.user].filter((user, index, all) => all.findIndex(other => other.equals(user)) === index);
+  for (const owner of owners) {
+    await notify(owner, 'transfer_completed', {
+      title: `Transferred ${round(debit.amount)} ${from.currency} from ${from.name} to ${to.name}`,
+      data: {
+        transferId: debit.transferId,
+        from: { accountId: debit.accountId, name: from.name, amount: debit.amount, currency: from.currency },
+        to: { accountId: credit.accountId, name: to.name, amount: credit.amount, currency: to.currency },
+        date: debit.date
+      }
+    });
+  }
+
+  await checkLowBalance(debit.user, postedChange(debit), await settingsOf(debit.user));
+});
@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+import { Goal } from '../models/Goal.js';
+import { Account } from '../models/Account.js';
+import { Transaction } from '../models/Transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { createAccountConverter } from './exchangeRateService.js';
+import { requireAccountAccess } from './accountAccess.js';
+import { transferFunds } from './ledgerService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AVG_MONTH_MS = (365.2425 / 12) * DAY_MS;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// How many recent months of deposits the on-track check looks at
+export const lookbackMonths = () => parseInt(process.env.GOAL_LOOKBACK_MONTHS) || 3;
+
+// Goals can only hold the user's own accounts
+export const assertOwnAccounts = async (userId, accountIds) => {
+  const count = await Account.countDocuments({ _id: { $in: accountIds }, user: userId });
+  if (count !== accountIds.length) {
+    throw new AppError('Account not found', 404);
+  }
+};
+
+// Net deposits (income minus expenses, so moves between two linked accounts cancel out) per account
+const aggregateNetFlows = async (userId, accountIds, since) => {
+  const rows = await Transaction.aggregate([
+    { $match: { user: userId, accountId: { $in: accountIds }, date: { $gte: since } } },
+    {
+      $group: {
+        _id: '$accountId',
+        net: { $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.net]));
+};
+
+const evaluateGoal = (goal, converter, flows, now) => {
+  const owned = new Map(converter.accounts.map(account => [account._id.toString(), account]));
+  const accountIds = goal.accountIds.map(String).filter(id => owned.has(id));
+
+  // Amounts without an exchange rate are left out and reported
+  const sum = (amountOf) => accountIds.reduce((total, id) => {
+    const converted = converter.convert(id, amountOf(id));
+    return converted === null ? total : total + converted;
+  }, 0);
+
+  const current = sum(id => owned.get(id).balance);
+  const averageMonthly = sum(id => flows.get(id) || 0) / lookbackMonths();
+  const remaining = Math.max(goal.targetAmount - current, 0);
+  const monthsLeft = (new Date(goal.targetDate) - now) / AVG_MONTH_MS;
+
+  // Less than a month left means the rest is due now
+  let monthlyNeeded = 0;
+  if (remaining > 0) {
+    monthlyNeeded = monthsLeft > 0 ? remaining / Math.max(monthsLeft, 1) : remaining;
+  }
+
+  let status;
+  if (remaining === 0) status = 'achieved';
+  else if (monthsLeft <= 0) status = 'overdue';
+  else if (averageMonthly >= monthlyNeeded) status = 'on_track';
+  else status = 'behind';
+
+  return {
+    goal,
+    currency: converter.currency,
+    current: round(current),
+    remaining: round(remaining),
+    percentComplete: round(Math.min(current / goal.targetAmount, 1) * 100),
+    monthsLeft: Math.max(Math.round(monthsLeft * 10) / 10, 0),
+    monthlyNeeded: round(monthlyNeeded),
+    averageMonthlyContribution: round(averageMonthly),
+    status,
+    // At the recent pace; null when nothing is being saved
+    projectedCompletionDate: remaining > 0 && averageMonthly > 0
+      ? new Date(now.getTime() + (remaining / averageMonthly) * AVG_MONTH_MS)
+      : null,
+    missingRates: converter.missing
+  };
+};
+
+// Progress for the user's goals (or one goal), each measured in the goal's own currency
+export const getGoalsProgress = async (userId, { goalId, now = new Date() } = {}) => {
+  const filter = { user: userId };
+  if (goalId) {
+    if (!mongoose.isValidObjectId(goalId)) {
+      throw new AppError('Goal not found', 404);
+    }
+    filter._id = goalId;
+  }
+
+  const goals = await Goal.find(filter).sort({ targetDate: 1 }).lean();
+  if (goalId && goals.length === 0) {
+    throw new AppError('Goal not found', 404);
+  }
+
+  const accountIds = [...new Set(goals.flatMap(goal => goal.accountIds.map(String)))]
+    .map(id => new mongoose.Types.ObjectId(id));
+  const since = new Date(now.getTime() - lookbackMonths() * AVG_MONTH_MS);
+
+  const currencies = [...new Set(goals.map(goal => goal.currency))];
+  const [flows, ...converters] = await Promise.all([
+    aggregateNetFlows(userId, accountIds, since),
+    ...currencies.map(currency => createAccountConverter(userId, { currency, strict: false }))
+  ]);
+  const converterFor = new Map(currencies.map((currency, i) => [currency, converters[i]]));
+
+  const results = goals.map(goal => evaluateGoal(goal, converterFor.get(goal.currency), flows, now));
+
+  // Remember when a goal was first reached
+  const achieved = results.filter(result => result.status === 'achieved' && !result.goal.achievedAt);
+  if (achieved.length > 0) {
+    await Goal.updateMany({ _id: { $in: achieved.map(result => result.goal._id) } }, { achievedAt: now });
+    achieved.forEach(result => { result.goal.achievedAt = now; });
+  }
+
+  return results;
+};
+
+// Move money into one of the goal's accounts (default: the first) through the ledger, like POST /transfer
+export const contributeToGoal = async (userId, goalId, {
+  sourceAccountId,
+  targetAccountId,
+  amount,
+  targetAmount,
+  rate,
+  date,
+  description
+}) => {
+  const goal = mongoose.isValidObjectId(goalId) && await Goal.findOne({ _id: goalId, user: userId });
+  if (!goal) {
+    throw new AppError('Goal not found', 404);
+  }
+
+  if (typeof amount !== 'number' || amount <= 0) {
+    throw new AppError('Amount must be a positive number', 400);
+  }
+  if (targetAmount !== undefined && (typeof targetAmount !== 'number' || targetAmount <= 0)) {
+    throw new AppError('Target amount must be a positive number', 400);
+  }
+  if (rate !== undefined && (typeof rate !== 'number' || rate <= 0)) {
+    throw new AppError('Rate must be a positive number', 400);
+  }
+
+  const goalAccounts = goal.accountIds.map(String);
+  const target = targetAccountId ? String(targetAccountId) : goalAccounts[0];
+  if (!goalAccounts.includes(target)) {
+    throw new AppError('Target account is not part of this goal', 400);
+  }
+  if (!sourceAccountId || goalAccounts.includes(String(sourceAccountId))) {
+    throw new AppError('Choose a source account outside the goal', 400);
+  }
+
+  const { account: source } = await requireAccountAccess(userId, sourceAccountId, 'contributor');
+
+  return transferFunds(source.user, {
+    sourceAccountId,
+    targetAccountId: target,
+    amount,
+    targetAmount,
+    rate,
+    date,
+    description: description || `Contribution to ${goal.name}`
+  }, { targetUserId: userId, createdBy: userId });
+};
@@ -0,0 +1,324 @@
+import { Transaction } from '../models/Transaction.js';
+import { ImportBatch } from '../models/ImportBatch.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { sanitizeString } from '../middleware/validation.js';
+import { postTransactions } from './ledgerService.js';
+import { loadRules, evaluateRules, UNCATEGORIZED } from './ruleService.js';
+import { requireAccountAccess } from './accountAccess.js';
+import { parseCsv, detectDelimiter } from '../utils/csv.js';
+import { parseOfx } from '../utils/ofx.js';
+import { parseQif } from '../utils/qif.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ROWS = 5000;
+const DESCRIPTION_SIMILARITY = 0.6;
+
+export const FORMATS = ['csv', 'ofx', 'qif'];
+
+// Guess the format from the file name, then from the content
+export const detectFormat = (content, fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'qfx') return 'ofx';
+  if (FORMATS.includes(extension)) return extension;
+
+  const head = content.slice(0, 500);
+  if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+  if (/^\s*!Type:/i.test(head)) return 'qif';
+  return 'csv';
+};
+
+/* ---------- CSV with column mapping ---------- */
+
+const DATE_ORDERS = {
+  'YYYY-MM-DD': ['y', 'm', 'd'],
+  'YYYY/MM/DD': ['y', 'm', 'd'],
+  'DD/MM/YYYY': ['d', 'm', 'y'],
+  'DD-MM-YYYY': ['d', 'm', 'y'],
+  'DD.MM.YYYY': ['d', 'm', 'y'],
+  'MM/DD/YYYY': ['m', 'd', 'y']
+};
+
+const parseDate = (value, format) => {
+  const parts = String(value || '').trim().split(/[^\d]+/).filter(Boolean).slice(0, 3);
+  const order = DATE_ORDERS[format] || DATE_ORDERS['YYYY-MM-DD'];
+  if (parts.length < 3) return null;
+
+  const fields = {};
+  order.forEach((key, i) => { fields[key] = parseInt(parts[i]); });
+  if (fields.y < 100) fields.y += 2000;
+
+  const date = new Date(Date.UTC(fields.y, fields.m - 1, fields.d));
+  return date.getUTCMonth() === fields.m - 1 ? date : null;
+};
+
+// "1.234,56" / "1,234.56" / "(12.00)" / "-12" -> number
+const parseNumber = (value, decimalSeparator = '.') => {
+  if (value === undefined || value === null) return null;
+  let text = String(value).trim();
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  const thousands = decimalSeparator === ',' ? '.' : ',';
+  text = text.split(thousands).join('').replace(decimalSeparator, '.').replace(/[^\d.]/g, '');
+
+  const number = parseFloat(text);
+  if (!Number.isFinite(number)) return null;
+  return negative ? -number : number;
+};
+
+const columnIndex = (header, column) => {
+  if (column === undefined || column === null || column === '') return -1;
+  if (typeof column === 'number') return column;
+  if (/^\d+$/.test(String(column)) && !header) return parseInt(column);
+  if (!header) return -1;
+  return header.findIndex(h => h.trim().toLowerCase() === String(column).trim().toLowerCase());
+};
+
+const parseCsvStatement = (content, profile) => {
+  if (!profile || !profile.columns || profile.columns.date === undefined) {
+    throw new AppError('CSV imports need a column mapping (profileId or mapping)', 400);
+  }
+
+  const skipRows = profile.skipRows || 0;
+  const delimiter = profile.delimiter || detectDelimiter(content.split(/\r?\n/).slice(skipRows).join('\n'));
+  const rows = parseCsv(content, { delimiter }).slice(skipRows);
+  const header = profile.hasHeader !== false ? rows.shift() : null;
+
+  const { columns } = profile;
+  const index = {
+    date: columnIndex(header, columns.date),
+    description: columnIndex(header, columns.description),
+    amount: columnIndex(header, columns.amount),
+    debit: columnIndex(header, columns.debit),
+    credit: columnIndex(header, columns.credit),
+    category: columnIndex(header, columns.category)
+  };
+
+  if (index.date < 0) {
+    throw new AppError(`Date column "${columns.date}" not found`, 400);
+  }
+  if (index.amount < 0 && index.debit < 0 && index.credit < 0) {
+    throw new AppError('Mapping needs an amount column or debit/credit columns', 400);
+  }
+
+  const transactions = [];
+  const errors = [];
+
+  rows.forEach((row, i) => {
+    const date = parseDate(row[index.date], profile.dateFormat);
+
+    let amount;
+    if (index.amount >= 0) {
+      amount = parseNumber(row[index.amount], profile.decimalSeparator);
+    } else {
+      const debit = Math.abs(parseNumber(row[index.debit], profile.decimalSeparator) || 0);
+      const credit = Math.abs(parseNumber(row[index.credit], profile.decimalSeparator) || 0);
+      amount = credit - debit;
+    }
+    if (amount !== null && profile.invertSign) amount = -amount;
+
+    if (!date || amount === null) {
+      errors.push({ line: i + 1 + skipRows + (header ? 1 : 0), message: 'Unreadable date or amount' });
+      return;
+    }
+
+    transactions.push({
+      date,
+      amount,
+      description: index.description >= 0 ? row[index.description] : null,
+      category: index.category >= 0 ? row[index.category] : null
+    });
+  });
+
+  return { transactions, errors };
+};
+
+// Parse a statement into signed rows: { date, amount (+ in / - out), description, category, externalId }
+export const parseStatement = (format, content, profile) => {
+  switch (format) {
+    case 'csv':
+      return parseCsvStatement(content, profile);
+    case 'ofx':
+      return { ...parseOfx(content), errors: [] };
+    case 'qif':
+      return { ...parseQif(content, { dayFirst: profile?.dateFormat?.startsWith('DD') }), errors: [] };
+    default:
+      throw new AppError(`Format must be one of: ${FORMATS.join(', ')}`, 400);
+  }
+};
+
+/* ---------- duplicate detection ---------- */
+
+const normalizeDescription = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const bigrams = (text) => {
+  const compact = text.replace(/\s+/g, '');
+  const grams = new Set();
+  for (let i = 0; i < compact.length - 1; i++) grams.add(compact.slice(i, i + 2));
+  return grams;
+};
+
+// Dice coefficient over character bigrams; tolerant of reference numbers and truncation
+export const descriptionSimilarity = (a, b) => {
+  const left = normalizeDescription(a);
+  const right = normalizeDescription(b);
+  if (!left || !right) return left === right ? 1 : 0;
+  if (left.includes(right) || right.includes(left)) return 1;
+
+  const x = bigrams(left);
+  const y = bigrams(right);
+  if (x.size === 0 || y.size === 0) return 0;
+
+  let overlap = 0;
+  for (const gram of x) if (y.has(gram)) overlap++;
+  return (2 * overlap) / (x.size + y.size);
+};
+
+const sameDay = (a, b) => Math.abs(new Date(a) - new Date(b)) < DAY_MS;
+
+const isLikelyDuplicate = (row, other) =>
+  other.type === row.type &&
+  Math.abs(other.amount - row.amount) < 0.005 &&
+  sameDay(other.date, row.date) &&
+  descriptionSimilarity(other.description, row.description) >= DESCRIPTION_SIMILARITY;
+
+// Mark rows that match an existing transaction in the account, or an earlier row of the same file
+export const markDuplicates = async (userId, accountId, rows) => {
+  if (rows.length === 0) return rows;
+
+  const dates = rows.map(row => row.date.getTime());
+  const existing = await Transaction.find({
+    user: userId,
+    accountId,
+    date: { $gte: new Date(Math.min(...dates) - DAY_MS), $lte: new Date(Math.max(...dates) + DAY_MS) }
+  }).select('amount type date description externalId').lean();
+
+  const byExternalId = new Map(existing.filter(tx => tx.externalId).map(tx => [tx.externalId, tx]));
+
+  rows.forEach((row, i) => {
+    const exact = row.externalId && byExternalId.get(row.externalId);
+    if (exact) {
+      row.duplicateOf = exact._id;
+      row.duplicateReason = 'Same bank reference';
+      return;
+    }
+
+    const match = existing.find(tx => isLikelyDuplicate(row, tx));
+    if (match) {
+      row.duplicateOf = match._id;
+      row.duplicateReason = 'Same date, amount and similar description';
+      return;
+    }
+
+    const earlier = rows.slice(0, i).findIndex(other => other.duplicateOfRow === undefined && isLikelyDuplicate(row, other));
+    if (earlier >= 0) {
+      row.duplicateOfRow = earlier;
+      row.duplicateReason = 'Repeated in this file';
+    }
+  });
+
+  return rows;
+};
+
+/* ---------- preview and commit ---------- */
+
+const toRow = (tx, index) => ({
+  index,
+  date: tx.date,
+  amount: Math.round(Math.abs(tx.amount) * 100) / 100,
+  type: tx.amount < 0 ? 'expense' : 'income',
+  description: tx.description ? sanitizeString(String(tx.description)).slice(0, 200) : undefined,
+  category: tx.category ? sanitizeString(String(tx.category)).slice(0, 50) : UNCATEGORIZED,
+  externalId: tx.externalId || undefined
+});
+
+// Importing into a shared account needs contributor access. Duplicates are looked up and rules
+// applied as the account owner, whose ledger the rows land in; the batch itself is the importer's.
+export const createPreview = async (userId, { accountId, format, content, fileName, profile }) => {
+  const { account } = await requireAccountAccess(userId, accountId, 'contributor');
+
+  const resolvedFormat = format || detectFormat(content, fileName);
+  const parsed = parseStatement(resolvedFormat, content, profile);
+
+  const transactions = parsed.transactions.filter(tx => tx.amount !== 0);
+  if (transactions.length === 0) {
+    throw new AppError('No transactions found in the file', 400);
+  }
+  if (transactions.length > MAX_ROWS) {
+    throw new AppError(`Files are limited to ${MAX_ROWS} transactions`, 400);
+  }
+
+  const rows = await markDuplicates(account.user, account._id, transactions.map(toRow));
+
+  // Categorization rules run now so the preview shows their result
+  const rules = await loadRules(account.user);
+  for (const row of rows) {
+    const changes = evaluateRules({ ...row, accountId: account._id }, rules);
+    if (changes) {
+      Object.assign(row, { category: changes.category ?? row.category, tags: changes.tags, rules: changes.rules });
+    }
+  }
+
+  const batch = await ImportBatch.create({
+    user: userId,
+    accountId: account._id,
+    format: resolvedFormat,
+    fileName,
+    profile: profile && profile._id,
+    rows
+  });
+
+  return {
+    batch,
+    errors: parsed.errors,
+    summary: {
+      total: rows.length,
+      duplicates: rows.filter(row => row.duplicateReason).length,
+      categorized: rows.filter(row => row.rules).length
+    }
+  };
+};
+
+// Post the chosen rows through the ledger. By default every row not marked as a duplicate is imported;
+// `include` / `exclude` are lists of row indexes that override that choice.
+export const commitBatch = async (userId, batchId, { include, exclude } = {}) => {
+  const batch = await ImportBatch.findOne({ _id: batchId, user: userId });
+  if (!batch) {
+    throw new AppError('Import not found or expired', 404);
+  }
+  if (batch.status === 'committed') {
+    throw new AppError('This import has already been committed', 409);
+  }
+
+  const included = new Set(Array.isArray(include) ? include : []);
+  const excluded = new Set(Array.isArray(exclude) ? exclude : []);
+
+  // Access may have been revoked since the preview
+  const { account } = await requireAccountAccess(userId, batch.accountId, 'contributor');
+
+  const rows = batch.rows.filter(row =>
+    !excluded.has(row.index) && (included.has(row.index) || !row.duplicateReason));
+
+  // Claim the batch first so a double-submitted commit can't post twice
+  const claimed = await ImportBatch.findOneAndUpdate(
+    { _id: batch._id, status: 'preview' },
+    { $set: { status: 'committed', committedAt: new Date(), committedCount: rows.length }, $unset: { expiresAt: 1 } }
+  );
+  if (!claimed) {
+    throw new AppError('This import has already been committed', 409);
+  }
+
+  try {
+    const transactions = await postTransactions(account.user, batch.accountId, rows, {
+      importBatchId: batch._id,
+      createdBy: userId
+    });
+    return { imported: transactions.length, skipped: batch.rows.length - rows.length };
+  } catch (error) {
+    await ImportBatch.updateOne(
+      { _id: batch._id },
+      { $set: { status: 'preview', committedCount: 0, expiresAt: batch.expiresAt }, $unset: { committedAt: 1 } }
+    );
+    throw error;
+  }
+};
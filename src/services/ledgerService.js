@@ -0,0 +1,393 @@
+// Ledger service: every write that moves money goes through here.
+//
+// Each operation runs as one unit of work. When MongoDB supports multi-document
+// transactions (replica set / sharded cluster) the unit runs inside a session
+// transaction. On a standalone server balances are changed with atomic $inc
+// updates and every step registers a compensation that undoes it if a later
+// step fails.
+import mongoose from 'mongoose';
+import { Account } from '../models/Account.js';
+import { Transaction } from '../models/Transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { recordChangesSafely, upsertChange, deleteChange } from './changeLog.js';
+import { requireRate } from './exchangeRateService.js';
+import { defaultCurrency, roundAmount } from '../utils/currency.js';
+import { splitTotalError } from '../utils/splits.js';
+import { removeAttachments } from './attachmentService.js';
+
+// Fields a client may set through the REST API. The sync identity (clientId, lastModifiedAt)
+// is passed by syncService in `extra`, so a request body can't forge it.
+const TRANSACTION_FIELDS = ['accountId', 'amount', 'type', 'category', 'splits', 'tags', 'description', 'date'];
+
+// Batch postings are built server-side (statement imports, archive restores), so they may carry
+// the bank reference and keep their original IDs
+const BATCH_FIELDS = [...TRANSACTION_FIELDS, '_id', 'externalId', 'transferId'];
+
+export class LedgerError extends AppError {
+  constructor(message = 'Ledger update failed, no changes were applied', statusCode = 500) {
+    super(message, statusCode);
+    this.code = 'LEDGER_ROLLBACK';
+  }
+}
+
+const pick = (source, fields) => fields.reduce((acc, field) => {
+  if (source[field] !== undefined) acc[field] = source[field];
+  return acc;
+}, {});
+
+// Signed effect of a transaction on its account balance
+export const balanceEffect = (tx) => (tx.type === 'income' ? tx.amount : -tx.amount);
+
+let transactionSupport;
+
+// LEDGER_TRANSACTIONS=on|off forces the mode, otherwise it is detected from the server topology
+const supportsTransactions = async () => {
+  const mode = process.env.LEDGER_TRANSACTIONS;
+  if (mode === 'on') return true;
+  if (mode === 'off') return false;
+  if (transactionSupport !== undefined) return transactionSupport;
+
+  try {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  } catch (error) {
+    transactionSupport = false;
+  }
+
+  logger.info(`Ledger running ${transactionSupport ? 'with MongoDB transactions' : 'with $inc and compensation'}`);
+  return transactionSupport;
+};
+
+// Errors the client should see as-is; anything else is reported as a rolled-back ledger failure
+const isClientError = (error) =>
+  error instanceof AppError ||
+  error.name === 'ValidationError' ||
+  error.name === 'CastError' ||
+  error.code === 11000;
+
+class LedgerUnit {
+  constructor(session) {
+    this.session = session;
+    this.compensations = [];
+    // Records touched by this unit, written to the sync change log once it commits
+    this.changes = [];
+  }
+
+  // Compensations are only needed without a session; a session transaction aborts as a whole
+  onRollback(fn) {
+    if (!this.session) this.compensations.push(fn);
+  }
+
+  async rollback() {
+    for (const fn of this.compensations.reverse()) {
+      try {
+        await fn();
+      } catch (error) {
+        logger.error('Ledger compensation failed', { error: error.message });
+      }
+    }
+  }
+
+  async findAccount(userId, accountId) {
+    return Account.findOne({ _id: accountId, user: userId }).session(this.session);
+  }
+
+  // Atomically add `delta` to an account balance and return the updated account.
+  // The balance is server-owned, so this doesn't count as a user modification (lastModifiedAt).
+  async adjustBalance(userId, accountId, delta, { required = true } = {}) {
+    const account = await Account.findOneAndUpdate(
+      { _id: accountId, user: userId },
+      { $inc: { balance: delta } },
+      { new: true, session: this.session }
+    );
+
+    if (!account) {
+      if (required) throw new AppError('Account not found', 404);
+      return null;
+    }
+
+    this.onRollback(() => Account.updateOne({ _id: accountId }, { $inc: { balance: -delta } }));
+    this.changes.push(upsertChange('account', account));
+    return account;
+  }
+
+  // Reconciliation: shift the balance by `delta` and store the opening balance it was replayed from
+  async correctBalance(account, delta, openingBalance) {
+    const updated = await Account.findOneAndUpdate(
+      { _id: account._id, user: account.user },
+      { $inc: { balance: delta }, $set: { openingBalance } },
+      { new: true, session: this.session }
+    );
+    if (!updated) {
+      throw new AppError('Account not found', 404);
+    }
+
+    const previous = typeof account.openingBalance === 'number'
+      ? { $set: { openingBalance: account.openingBalance } }
+      : { $unset: { openingBalance: 1 } };
+    this.onRollback(() => Account.updateOne({ _id: account._id }, { $inc: { balance: -delta }, ...previous }));
+    this.changes.push(upsertChange('account', updated));
+    return updated;
+  }
+
+  // Other records created as part of the unit (e.g. accounts restored from an archive);
+  // `entity` is their name in the change log
+  async insertRecords(Model, entity, docs) {
+    const records = await Model.insertMany(docs, { session: this.session });
+    this.onRollback(() => Model.deleteMany({ _id: { $in: records.map(record => record._id) } }));
+    this.changes.push(...records.map(record => upsertChange(entity, record)));
+    return records;
+  }
+
+  async insertTransaction(doc) {
+    const [transaction] = await Transaction.create([doc], { session: this.session });
+    this.onRollback(() => Transaction.deleteOne({ _id: transaction._id }));
+    this.changes.push(upsertChange('transaction', transaction));
+    return transaction;
+  }
+
+  async insertTransactions(docs) {
+    const transactions = await Transaction.insertMany(docs, { session: this.session });
+    this.onRollback(() => Transaction.deleteMany({ _id: { $in: transactions.map(tx => tx._id) } }));
+    this.changes.push(...transactions.map(tx => upsertChange('transaction', tx)));
+    return transactions;
+  }
+
+  async updateTransaction(filter, update) {
+    const before = await Transaction.findOneAndUpdate(filter, update, {
+      new: false,
+      runValidators: true,
+      session: this.session
+    }).lean();
+
+    if (before) {
+      this.onRollback(() => Transaction.collection.replaceOne({ _id: before._id }, before));
+      this.changes.push(upsertChange('transaction', before));
+    }
+
+    return Transaction.findById(filter._id).session(this.session);
+  }
+
+  async deleteTransactions(filter) {
+    const transactions = await Transaction.find(filter).session(this.session).lean();
+    if (transactions.length === 0) return transactions;
+
+    await Transaction.deleteMany({ _id: { $in: transactions.map(tx => tx._id) } }, { session: this.session });
+    this.onRollback(() => Transaction.collection.insertMany(transactions));
+    this.changes.push(...transactions.map(tx => deleteChange('transaction', tx)));
+
+    return transactions;
+  }
+}
+
+// Run `work(unit)` as a single all-or-nothing ledger operation
+export const runLedger = async (work) => {
+  if (await supportsTransactions()) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      let unit;
+      // withTransaction may retry the callback; only the attempt that commits counts
+      await session.withTransaction(async () => {
+        unit = new LedgerUnit(session);
+        result = await work(unit);
+      });
+      await recordChangesSafely(unit.changes);
+      return result;
+    } catch (error) {
+      if (isClientError(error)) throw error;
+      logger.error('Ledger transaction aborted', { error: error.message });
+      throw new LedgerError();
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  const unit = new LedgerUnit(null);
+  let result;
+  try {
+    result = await work(unit);
+  } catch (error) {
+    await unit.rollback();
+    if (isClientError(error)) throw error;
+    logger.error('Ledger operation rolled back', { error: error.message });
+    throw new LedgerError();
+  }
+
+  await recordChangesSafely(unit.changes);
+  return result;
+};
+
+// Reverse the balance effect of removed transactions, one $inc per account
+const revertBalances = async (unit, userId, transactions) => {
+  const adjustments = {};
+  for (const tx of transactions) {
+    const accountId = tx.accountId.toString();
+    adjustments[accountId] = (adjustments[accountId] || 0) - balanceEffect(tx);
+  }
+
+  for (const [accountId, delta] of Object.entries(adjustments)) {
+    await unit.adjustBalance(userId, accountId, delta, { required: false });
+  }
+};
+
+// Create a transaction and apply it to the account balance, capturing balanceAt.
+// `extra` carries server-controlled fields (e.g. recurringId) that must not come from the request body;
+// `createdBy` defaults to the owner and is set to the member when posting to a shared account.
+export const postTransaction = (userId, data, extra = {}) => runLedger(async (unit) => {
+  const doc = new Transaction({ ...pick(data, TRANSACTION_FIELDS), createdBy: userId, ...extra, user: userId });
+  await doc.validate();
+
+  const account = await unit.adjustBalance(userId, doc.accountId, balanceEffect(doc));
+  doc.balanceAt = account.balance;
+
+  return unit.insertTransaction(doc.toObject());
+});
+
+// Post many transactions to one account with a single balance update (statement imports).
+// Snapshots are derived from the post-$inc balance, so concurrent writes can't skew them.
+// `postBatch` does this inside a unit that is already running, e.g. an archive restore.
+export const postBatch = async (unit, userId, accountId, items, extra = {}) => {
+  const docs = items
+    .map(item => new Transaction({ ...pick(item, BATCH_FIELDS), createdBy: userId, ...extra, accountId, user: userId }))
+    .sort((a, b) => a.date - b.date);
+
+  if (docs.length === 0) return [];
+
+  for (const doc of docs) {
+    await doc.validate();
+  }
+
+  const total = docs.reduce((sum, doc) => sum + balanceEffect(doc), 0);
+  const account = await unit.adjustBalance(userId, accountId, total);
+
+  let running = account.balance - total;
+  for (const doc of docs) {
+    running += balanceEffect(doc);
+    doc.balanceAt = Math.round(running * 100) / 100;
+  }
+
+  return unit.insertTransactions(docs.map(doc => doc.toObject()));
+};
+
+export const postTransactions = (userId, accountId, items, extra = {}) =>
+  runLedger(unit => postBatch(unit, userId, accountId, items, extra));
+
+// Move money between two accounts as a linked expense/income pair.
+// Across currencies the target is credited `targetAmount` if given, else `amount` converted
+// at `rate` (or the stored rate for the day); both legs record the amounts and rate used.
+// The target may belong to another owner (a shared account); each leg is owned by its account's owner.
+export const transferFunds = (userId, {
+  sourceAccountId,
+  targetAccountId,
+  amount,
+  targetAmount,
+  rate,
+  date,
+  description
+}, { targetUserId = userId, createdBy = userId } = {}) => runLedger(async (unit) => {
+  // One after the other: a transaction's session doesn't support parallel operations
+  const sourceAccount = await unit.findAccount(userId, sourceAccountId);
+  const targetAccount = await unit.findAccount(targetUserId, targetAccountId);
+
+  if (!sourceAccount || !targetAccount) {
+    throw new AppError('One or both accounts not found', 404);
+  }
+
+  const value = Number(amount);
+  const when = date || new Date();
+  const transferId = new mongoose.Types.ObjectId();
+
+  const fromCurrency = sourceAccount.currency || defaultCurrency();
+  const toCurrency = targetAccount.currency || defaultCurrency();
+  let credited = value;
+  let exchange;
+
+  if (fromCurrency !== toCurrency) {
+    let usedRate;
+    if (targetAmount !== undefined) {
+      credited = Number(targetAmount);
+      usedRate = credited / value;
+    } else {
+      usedRate = rate !== undefined ? Number(rate) : (await requireRate(fromCurrency, toCurrency, when)).rate;
+      credited = roundAmount(value * usedRate, toCurrency);
+    }
+    exchange = { rate: usedRate, fromCurrency, fromAmount: value, toCurrency, toAmount: credited };
+  }
+
+  const source = await unit.adjustBalance(userId, sourceAccountId, -value);
+  const target = await unit.adjustBalance(targetUserId, targetAccountId, credited);
+
+  const expenseTx = await unit.insertTransaction({
+    user: userId,
+    createdBy,
+    accountId: sourceAccountId,
+    amount: value,
+    type: 'expense',
+    category: 'Transfer',
+    description: description || `Transfer to ${targetAccount.name}`,
+    date: when,
+    balanceAt: source.balance,
+    transferId,
+    exchange
+  });
+
+  const incomeTx = await unit.insertTransaction({
+    user: targetUserId,
+    createdBy,
+    accountId: targetAccountId,
+    amount: credited,
+    type: 'income',
+    category: 'Transfer',
+    description: description || `Transfer from ${sourceAccount.name}`,
+    date: when,
+    balanceAt: target.balance,
+    transferId,
+    exchange
+  });
+
+  return [expenseTx, incomeTx];
+});
+
+// Revert the old effect, apply the new one (possibly on another account) and save the changes.
+// `extra` carries server-controlled fields, as for postTransaction.
+export const updateTransaction = (userId, id, data, extra = {}) => runLedger(async (unit) => {
+  const oldTx = await Transaction.findOne({ _id: id, user: userId }).session(unit.session);
+  if (!oldTx) {
+    throw new AppError('Transaction not found', 404);
+  }
+
+  const updates = { lastModifiedAt: new Date(), ...pick(data, TRANSACTION_FIELDS), ...extra };
+  const next = { ...oldTx.toObject(), ...updates };
+
+  // A new amount or new lines must still add up (update validators can't compare the two fields)
+  const splitError = splitTotalError(next.amount, next.splits);
+  if (splitError) {
+    throw new AppError(splitError, 400);
+  }
+  const accountChanged = next.accountId.toString() !== oldTx.accountId.toString();
+
+  await unit.adjustBalance(userId, oldTx.accountId, -balanceEffect(oldTx), { required: false });
+  const target = await unit.adjustBalance(userId, next.accountId, balanceEffect(next));
+
+  // A snapshot from another account is meaningless, take the new account's balance instead
+  if (accountChanged) {
+    updates.balanceAt = target.balance;
+  }
+
+  return unit.updateTransaction({ _id: oldTx._id, user: userId }, updates);
+});
+
+// Delete transactions matching `filter` (always scoped to the user) and revert their balance effects
+export const deleteTransactions = async (userId, filter = {}) => {
+  const transactions = await runLedger(async (unit) => {
+    const removed = await unit.deleteTransactions({ ...filter, user: userId });
+    await revertBalances(unit, userId, removed);
+    return removed;
+  });
+
+  // Files can't be rolled back, so they go only once the ledger change has committed
+  await removeAttachments({ transaction: { $in: transactions.map(tx => tx._id) } });
+  return transactions;
+};
@@ -0,0 +1,90 @@
+// Outgoing email. A transport is { name, send(message) } where message is
+// { from, to, subject, text, html }; MAIL_TRANSPORT picks smtp, file or console.
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ejs from 'ejs';
+import nodemailer from 'nodemailer';
+import { logger } from '../utils/logger.js';
+
+const TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../views/emails');
+
+const smtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return { name: 'smtp', send: (message) => transporter.sendMail(message) };
+};
+
+// One JSON file per message (MAIL_FILE_DIR, default tmp/mail) so tests and local setups can read links back
+const fileTransport = () => ({
+  name: 'file',
+  async send(message) {
+    const dir = path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail');
+    await fs.mkdir(dir, { recursive: true });
+
+    const file = path.join(dir, `${Date.now()}-${String(message.to).replace(/[^a-z0-9@.-]/gi, '_')}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    return { file };
+  }
+});
+
+const consoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    logger.info('Email (console transport)', { to: message.to, subject: message.subject, text: message.text });
+    return {};
+  }
+});
+
+const TRANSPORTS = { smtp: smtpTransport, file: fileTransport, console: consoleTransport };
+
+let transport = null;
+
+export const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+// Swap in another transport (a provider SDK, a test double)
+export const setTransport = (custom) => {
+  transport = custom;
+};
+
+export const appName = () => process.env.APP_NAME || 'Citrus';
+
+// Links in emails point at the web app
+export const clientUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:5173');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+export const sendMail = ({ to, subject, text, html }) => getTransport().send({
+  from: process.env.MAIL_FROM || `${appName()} <no-reply@localhost>`,
+  to,
+  subject,
+  text,
+  html
+});
+
+// Render views/emails/<template>.ejs (HTML) and <template>.txt.ejs (plain text) and send both
+export const sendTemplate = async (template, { to, subject, ...data }) => {
+  const locals = { appName: appName(), subject, ...data };
+  const [html, text] = await Promise.all([
+    ejs.renderFile(path.join(TEMPLATES_DIR, `${template}.ejs`), locals),
+    ejs.renderFile(path.join(TEMPLATES_DIR, `${template}.txt.ejs`), locals)
+  ]);
+
+  return sendMail({ to, subject, text, html });
+};
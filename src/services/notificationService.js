@@ -0,0 +1,87 @@
+// Notifications for finance events. Each one is stored for the in-app list, emailed when the
+// user opted in, and sent to their webhooks. Muted events go nowhere.
+import mongoose from 'mongoose';
+import { Notification, NOTIFICATION_EVENTS } from '../models/Notification.js';
+import { User } from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { sendTemplate, clientUrl, appName } from './mailer.js';
+import { dispatchEvent } from './webhookService.js';
+import { logger } from '../utils/logger.js';
+
+const SETTINGS_FIELDS = ['email', 'muted', 'largeTransactionAmount', 'lowBalanceAmount'];
+
+// `webhookOnly` skips the in-app notification and the email, for events users mostly cause themselves
+export const notify = async (userId, event, { title, message, data = {}, webhookOnly = false }) => {
+  const user = await User.findById(userId).select('email notificationSettings').lean();
+  const settings = user?.notificationSettings || {};
+  if (!user || settings.muted?.includes(event)) return null;
+
+  if (webhookOnly) {
+    await dispatchEvent(userId, event, { title, message, ...data });
+    return null;
+  }
+
+  const notification = await Notification.create({ user: userId, event, title, message, data });
+
+  if (settings.email) {
+    sendTemplate('notification', {
+      to: user.email,
+      subject: `${appName()}: ${title}`,
+      title,
+      message,
+      link: clientUrl('/notifications')
+    }).catch(error => logger.error('Failed to email notification', { userId: userId.toString(), event, error: error.message }));
+  }
+
+  await dispatchEvent(userId, event, { notificationId: notification._id, title, message, ...data });
+  return notification;
+};
+
+export const listNotifications = async (userId, { unread, limit } = {}) => {
+  const filter = { user: userId };
+  if (unread === 'true') filter.readAt = null;
+
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .lean(),
+    Notification.countDocuments({ user: userId, readAt: null })
+  ]);
+  return { notifications, unread: unreadCount };
+};
+
+// The given notifications, or every unread one
+export const markRead = async (userId, ids) => {
+  const filter = { user: userId, readAt: null };
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || !ids.every(id => mongoose.isValidObjectId(id))) {
+      throw new AppError('ids must be an array of notification IDs', 400);
+    }
+    filter._id = { $in: ids };
+  }
+
+  const result = await Notification.updateMany(filter, { readAt: new Date() });
+  return result.modifiedCount;
+};
+
+export const deleteNotification = async (userId, id) => {
+  const result = mongoose.isValidObjectId(id) && await Notification.deleteOne({ _id: id, user: userId });
+  if (!result?.deletedCount) {
+    throw new AppError('Notification not found', 404);
+  }
+};
+
+export const getSettings = async (userId) => {
+  const user = await User.findById(userId).select('notificationSettings');
+  return { ...user.notificationSettings.toObject(), events: NOTIFICATION_EVENTS };
+};
+
+export const updateSettings = async (userId, body) => {
+  const user = await User.findById(userId).select('notificationSettings');
+  SETTINGS_FIELDS.forEach(field => {
+    if (body[field] !== undefined) user.notificationSettings[field] = body[field];
+  });
+  await user.save();
+  return { ...user.notificationSettings.toObject(), events: NOTIFICATION_EVENTS };
+};
@@ -0,0 +1,140 @@
+// OAuth 2.0 providers for social login. A provider is
+// { name, isConfigured(), authorizationUrl({ state, codeChallenge, redirectUri }),
+//   exchangeCode({ code, codeVerifier, redirectUri }), fetchProfile(accessToken) }
+// where fetchProfile resolves to { id, email, emailVerified, name, avatar }.
+//
+// Credentials come from <NAME>_CLIENT_ID / <NAME>_CLIENT_SECRET. Every endpoint can be overridden
+// (<NAME>_AUTHORIZE_URL, <NAME>_TOKEN_URL, ...) to point at a local mock server.
+
+const FETCH_TIMEOUT_MS = 5000;
+
+const env = (prefix, key, fallback) => process.env[`${prefix}_${key}`] || fallback;
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    throw new Error(`${url} responded with ${response.status}`);
+  }
+  return body;
+};
+
+// Authorization code flow with PKCE (S256) shared by the built-in providers
+const createProvider = ({ name, prefix, authorizeUrl, tokenUrl, scope, fetchProfile }) => ({
+  name,
+
+  isConfigured() {
+    return Boolean(env(prefix, 'CLIENT_ID') && env(prefix, 'CLIENT_SECRET'));
+  },
+
+  authorizationUrl({ state, codeChallenge, redirectUri }) {
+    const url = new URL(env(prefix, 'AUTHORIZE_URL', authorizeUrl));
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: env(prefix, 'CLIENT_ID'),
+      redirect_uri: redirectUri,
+      scope: env(prefix, 'SCOPE', scope),
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+    return url.toString();
+  },
+
+  async exchangeCode({ code, codeVerifier, redirectUri }) {
+    const body = await fetchJson(env(prefix, 'TOKEN_URL', tokenUrl), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        code_verifier: codeVerifier,
+        redirect_uri: redirectUri,
+        client_id: env(prefix, 'CLIENT_ID'),
+        client_secret: env(prefix, 'CLIENT_SECRET')
+      })
+    });
+
+    // GitHub reports errors with a 200 status
+    if (!body.access_token) {
+      throw new Error(body.error_description || body.error || 'No access token in response');
+    }
+    return body.access_token;
+  },
+
+  fetchProfile(accessToken) {
+    return fetchProfile(accessToken, (key, fallback) => env(prefix, key, fallback));
+  }
+});
+
+export const googleProvider = createProvider({
+  name: 'google',
+  prefix: 'GOOGLE',
+  authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+  tokenUrl: 'https://oauth2.googleapis.com/token',
+  scope: 'openid email profile',
+  async fetchProfile(accessToken, config) {
+    const profile = await fetchJson(config('USERINFO_URL', 'https://openidconnect.googleapis.com/v1/userinfo'), {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    return {
+      id: String(profile.sub),
+      email: profile.email,
+      emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+      name: profile.name,
+      avatar: profile.picture
+    };
+  }
+});
+
+export const githubProvider = createProvider({
+  name: 'github',
+  prefix: 'GITHUB',
+  authorizeUrl: 'https://github.com/login/oauth/authorize',
+  tokenUrl: 'https://github.com/login/oauth/access_token',
+  scope: 'read:user user:email',
+  async fetchProfile(accessToken, config) {
+    const apiUrl = config('API_URL', 'https://api.github.com').replace(/\/$/, '');
+    const headers = { Authorization: `Bearer ${accessToken}`, 'User-Agent': 'citrus-server' };
+
+    // The public profile email may be empty or unverified; the emails endpoint says which is verified
+    const [profile, emails] = await Promise.all([
+      fetchJson(`${apiUrl}/user`, { headers }),
+      fetchJson(`${apiUrl}/user/emails`, { headers }).catch(() => [])
+    ]);
+    const primary = Array.isArray(emails) ? emails.find(e => e.primary) : null;
+
+    return {
+      id: String(profile.id),
+      email: primary?.email || profile.email,
+      emailVerified: Boolean(primary?.verified),
+      name: profile.name || profile.login,
+      avatar: profile.avatar_url
+    };
+  }
+});
+
+const providers = new Map([
+  [googleProvider.name, googleProvider],
+  [githubProvider.name, githubProvider]
+]);
+
+// Extension point for other identity providers
+export const registerOAuthProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// Only providers with credentials are offered
+export const getOAuthProvider = (name) => {
+  const provider = providers.get(name);
+  return provider?.isConfigured() ? provider : null;
+};
+
+export const listOAuthProviders = () =>
+  [...providers.values()].filter(provider => provider.isConfigured()).map(provider => provider.name);
@@ -0,0 +1,190 @@
+// Social login: authorization code flow with PKCE, then find, link or create the user
+import crypto from 'crypto';
+import { User } from '../models/User.js';
+import { Identity } from '../models/Identity.js';
+import { OAuthState } from '../models/OAuthState.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getOAuthProvider } from './oauthProviders.js';
+import { purgeUser } from './accountDeletionService.js';
+import { seedDefaultData } from './userSeed.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { logger } from '../utils/logger.js';
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+export const stateTtlMs = () => STATE_TTL_MS;
+
+const requireProvider = (name) => {
+  const provider = getOAuthProvider(name);
+  if (!provider) {
+    throw new AppError('Unknown or unconfigured login provider', 404);
+  }
+  return provider;
+};
+
+// Only paths inside the web app, so the callback can't be turned into an open redirect
+export const safeReturnTo = (value) =>
+  typeof value === 'string' && /^\/(?![/\\])/.test(value) ? value.slice(0, 500) : undefined;
+
+// Returns the provider URL to send the browser to, and a nonce for a cookie in that browser: the
+// callback only completes where the flow started, so nobody can hand a victim their own login
+// or link URL. Pass `userId` to link the provider to that user.
+export const beginAuthorization = async (providerName, { redirectUri, userId, returnTo }) => {
+  const provider = requireProvider(providerName);
+
+  const state = generateToken(32);
+  const nonce = generateToken(32);
+  const codeVerifier = generateToken(48);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await OAuthState.create({
+    stateHash: hashToken(state),
+    nonceHash: hashToken(nonce),
+    provider: provider.name,
+    codeVerifier,
+    redirectUri,
+    user: userId,
+    returnTo: safeReturnTo(returnTo),
+    expiresAt: new Date(Date.now() + STATE_TTL_MS)
+  });
+
+  return { url: provider.authorizationUrl({ state, codeChallenge, redirectUri }), nonce };
+};
+
+const linkIdentity = (userId, provider, profile) => Identity.findOneAndUpdate(
+  { provider, providerUserId: profile.id },
+  { $set: { user: userId, email: profile.email, name: profile.name, lastLoginAt: new Date() } },
+  { upsert: true, new: true }
+);
+
+const createUser = async (profile) => {
+  const fallbackName = profile.email.split('@')[0];
+  const name = (profile.name || '').trim().length >= 2 ? profile.name.trim() : fallbackName.padEnd(2, '_');
+
+  // Nobody knows this password; the user can set one through forgot-password
+  const user = await User.create({
+    name: name.slice(0, 50),
+    email: profile.email,
+    password: generateToken(32),
+    hasPassword: false,
+    avatar: profile.avatar,
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+
+  await seedDefaultData(user);
+  return user;
+};
+
+// Signing in: a known identity, else the user with the same verified email, else a new user
+const resolveLogin = async (provider, profile) => {
+  const identity = await Identity.findOne({ provider, providerUserId: profile.id });
+  if (identity) {
+    const user = await User.findById(identity.user);
+    if (user) {
+      identity.set({ email: profile.email, name: profile.name, lastLoginAt: new Date() });
+      await identity.save();
+      return { user, created: false };
+    }
+    await identity.deleteOne();
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    throw new AppError(`Your ${provider} account has no verified email address`, 400);
+  }
+
+  const email = profile.email.toLowerCase();
+  let user = await User.findOne({ email });
+  let created = false;
+
+  if (user && !user.emailVerified) {
+    // Whoever registered this address never proved they own it. Their user goes entirely, with
+    // its password, 2FA, linked logins, webhooks and shares, so nothing they set up keeps a way
+    // in or locks the owner out; the owner gets a fresh user below.
+    logger.warn('Unverified user replaced by provider login', { userId: user._id.toString(), provider });
+    await purgeUser(user._id);
+    user = null;
+  }
+
+  if (!user) {
+    try {
+      user = await createUser({ ...profile, email });
+      created = true;
+    } catch (error) {
+      // Same person signing in twice at once
+      if (error.code !== 11000) throw error;
+      user = await User.findOne({ email });
+    }
+  }
+
+  await linkIdentity(user._id, provider, { ...profile, email });
+  return { user, created };
+};
+
+// Handles the provider callback with the nonce from the browser's cookie.
+// Resolves to { user, created, linking, returnTo }.
+export const completeAuthorization = async (providerName, { state, code, nonce }) => {
+  const provider = requireProvider(providerName);
+
+  const pending = state && nonce && await OAuthState.findOneAndDelete({
+    stateHash: hashToken(state),
+    nonceHash: hashToken(nonce),
+    provider: provider.name,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!pending || !code) {
+    throw new AppError('Login request is invalid or has expired', 400);
+  }
+
+  let profile;
+  try {
+    const accessToken = await provider.exchangeCode({
+      code,
+      codeVerifier: pending.codeVerifier,
+      redirectUri: pending.redirectUri
+    });
+    profile = await provider.fetchProfile(accessToken);
+  } catch (error) {
+    logger.warn('OAuth exchange failed', { provider: provider.name, error: error.message });
+    throw new AppError(`Could not sign in with ${provider.name}`, 502);
+  }
+
+  if (pending.user) {
+    const existing = await Identity.findOne({ provider: provider.name, providerUserId: profile.id });
+    if (existing && !existing.user.equals(pending.user)) {
+      throw new AppError(`This ${provider.name} account is linked to another user`, 409);
+    }
+
+    const user = await User.findById(pending.user);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    await linkIdentity(user._id, provider.name, profile);
+    return { user, created: false, linking: true, returnTo: pending.returnTo };
+  }
+
+  const { user, created } = await resolveLogin(provider.name, profile);
+  return { user, created, linking: false, returnTo: pending.returnTo };
+};
+
+export const listIdentities = (userId) =>
+  Identity.find({ user: userId })
+    .select('provider email name lastLoginAt createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+// Refuses to remove the last way to sign in
+export const unlinkIdentity = async (user, identityId) => {
+  const identity = await Identity.findOne({ _id: identityId, user: user._id });
+  if (!identity) {
+    throw new AppError('Linked account not found', 404);
+  }
+
+  const others = await Identity.countDocuments({ user: user._id, _id: { $ne: identity._id } });
+  if (!user.hasPassword && others === 0) {
+    throw new AppError('Set a password or link another provider before removing your only login method', 400);
+  }
+
+  await identity.deleteOne();
+  return identity;
+};
@@ -0,0 +1,61 @@
+import path from 'path';
+import sharp from 'sharp';
+import { AppError } from '../middleware/errorHandler.js';
+import { getStorage } from './storage.js';
+import { generateToken } from '../utils/tokens.js';
+import { logger } from '../utils/logger.js';
+
+const AVATAR_SIZE = 256;
+
+// Served by GET /api/auth/avatars/:file; the random part changes with every upload, so it can be cached forever
+export const avatarUrl = (key) => `/api/auth/avatars/${path.basename(key)}`;
+
+export const avatarKey = (file) => `avatars/${file}`;
+
+// Square-crop, resize and re-encode (which also strips metadata such as GPS tags)
+const processAvatar = async (buffer) => {
+  try {
+    return await sharp(buffer, { animated: false })
+      .rotate()
+      .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' })
+      .webp({ quality: 85 })
+      .toBuffer();
+  } catch (error) {
+    throw new AppError('Avatar could not be read as an image', 400);
+  }
+};
+
+export const deleteAvatarFile = async (key) => {
+  if (!key) return;
+  try {
+    await getStorage().remove(key);
+  } catch (error) {
+    logger.warn('Failed to remove avatar', { key, error: error.message });
+  }
+};
+
+export const replaceAvatar = async (user, buffer) => {
+  const image = await processAvatar(buffer);
+  const key = avatarKey(`${user._id}-${generateToken(9)}.webp`);
+
+  await getStorage().put(key, image, { contentType: 'image/webp' });
+  const previous = user.avatarKey;
+
+  user.avatar = avatarUrl(key);
+  user.avatarKey = key;
+  await user.save();
+
+  await deleteAvatarFile(previous);
+  return user;
+};
+
+export const removeAvatar = async (user) => {
+  const previous = user.avatarKey;
+
+  user.avatar = undefined;
+  user.avatarKey = undefined;
+  await user.save();
+
+  await deleteAvatarFile(previous);
+  return user;
+};
@@ -0,0 +1,89 @@
+// Exchange rate providers. A provider is { name, fetchRates(base, day) } resolving to
+// { base, date: 'YYYY-MM-DD', rates: { EUR: 0.92, ... } } where one `base` buys `rates[X]` of X.
+import fs from 'fs/promises';
+import path from 'path';
+
+const FETCH_TIMEOUT_MS = 5000;
+
+// Frankfurter (ECB reference rates) needs no API key
+const DEFAULT_URL = 'https://api.frankfurter.app/{date}?from={base}';
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+const isToday = (date) => formatDay(date) === formatDay(new Date());
+
+// Any JSON API answering { base, date, rates } works, e.g. EXCHANGE_RATE_URL=https://example.com/{date}?base={base}
+export const httpProvider = {
+  name: 'http',
+  async fetchRates(base, day) {
+    const url = (process.env.EXCHANGE_RATE_URL || DEFAULT_URL)
+      .replace('{base}', encodeURIComponent(base))
+      .replace('{date}', isToday(day) ? 'latest' : formatDay(day));
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`Rate provider responded with ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (!body || typeof body.rates !== 'object') {
+      throw new Error('Rate provider returned no rates');
+    }
+
+    return { base: body.base || base, date: body.date || formatDay(day), rates: body.rates };
+  }
+};
+
+// Rates kept on disk (EXCHANGE_RATE_FILE, default data/exchange-rates.json) for offline installs.
+// The file holds one { base, date, rates } snapshot or an array of them; the newest one on or
+// before the requested day is used and re-based through its own base currency when needed.
+export const fileProvider = {
+  name: 'file',
+  async fetchRates(base, day) {
+    const file = path.resolve(process.env.EXCHANGE_RATE_FILE || 'data/exchange-rates.json');
+    const content = JSON.parse(await fs.readFile(file, 'utf8'));
+    const snapshots = (Array.isArray(content) ? content : [content])
+      .filter(snapshot => snapshot && snapshot.base && snapshot.rates && snapshot.date <= formatDay(day))
+      .sort((a, b) => (a.date < b.date ? 1 : -1));
+
+    const snapshot = snapshots[0];
+    if (!snapshot) {
+      throw new Error(`No rates in ${file} on or before ${formatDay(day)}`);
+    }
+
+    if (snapshot.base === base) {
+      return snapshot;
+    }
+
+    const baseRate = snapshot.rates[base];
+    if (!baseRate) {
+      throw new Error(`${file} has no rate for ${base}`);
+    }
+
+    const rates = { [snapshot.base]: 1 / baseRate };
+    for (const [quote, rate] of Object.entries(snapshot.rates)) {
+      if (quote !== base) rates[quote] = rate / baseRate;
+    }
+    return { base, date: snapshot.date, rates };
+  }
+};
+
+const providers = new Map([
+  [httpProvider.name, httpProvider],
+  [fileProvider.name, fileProvider]
+]);
+
+// Extension point for other sources (a paid API, a bank feed, ...)
+export const registerRateProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// EXCHANGE_RATE_PROVIDER picks the primary source ("none" disables fetching);
+// the local file is always tried last
+export const getRateProviders = () => {
+  const primary = process.env.EXCHANGE_RATE_PROVIDER || 'http';
+  if (primary === 'none') return [];
+
+  const chain = [providers.get(primary), fileProvider].filter(Boolean);
+  return [...new Set(chain)];
+};
@@ -0,0 +1,41 @@
+// Re-authentication before a sensitive change (account deletion, turning 2FA off). Users with a
+// password give it. Social-login users have none, so a two-factor code confirms them when 2FA is
+// on, and otherwise the token from a link emailed by POST /api/auth/reauthenticate.
+import { User } from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { consumeToken } from './authTokenService.js';
+import { verifySecondFactor } from './twoFactorService.js';
+
+// Resolves to the user, or throws. With 2FA on a code is always required.
+export const confirmIdentity = async (userId, { password, code, recoveryCode, token }) => {
+  const user = await User.findById(userId).select('+password');
+  const twoFactor = !!user.twoFactor?.enabled;
+
+  if (user.hasPassword) {
+    if (!password) {
+      throw new AppError('Password is required', 400);
+    }
+    if (!(await user.matchPassword(password))) {
+      throw new AppError('Incorrect password', 401);
+    }
+  } else if (!twoFactor) {
+    if (!token) {
+      throw new AppError('Confirm by email first and send the token from the link', 400);
+    }
+    const confirmation = await consumeToken(token, 'reauthentication');
+    if (!confirmation || !confirmation.user.equals(user._id)) {
+      throw new AppError('Confirmation link is invalid or has expired', 401);
+    }
+  }
+
+  if (twoFactor) {
+    if (!code && !recoveryCode) {
+      throw new AppError('A two-factor code is required', 400);
+    }
+    if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+      throw new AppError('Invalid two-factor code', 401);
+    }
+  }
+
+  return user;
+};
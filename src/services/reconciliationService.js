@@ -0,0 +1,130 @@
+import { Account } from '../models/Account.js';
+import { Transaction } from '../models/Transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { balanceEffect, runLedger } from './ledgerService.js';
+
+const BULK_BATCH_SIZE = 500;
+const EPSILON = 0.005;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const differs = (a, b) => a === undefined || a === null || Math.abs(a - b) >= EPSILON;
+
+// Ledger order: by date, then insertion order for entries on the same date
+const LEDGER_SORT = { date: 1, createdAt: 1, _id: 1 };
+
+// Work out which opening balance to replay from.
+// Precedence: explicit request value, stored value, the snapshot before the first entry, stored balance minus history.
+const resolveOpeningBalance = async (account, override) => {
+  if (typeof override === 'number') {
+    return { openingBalance: override, source: 'request' };
+  }
+
+  if (typeof account.openingBalance === 'number') {
+    return { openingBalance: account.openingBalance, source: 'stored' };
+  }
+
+  const first = await Transaction.findOne({ accountId: account._id, user: account.user }).sort(LEDGER_SORT).lean();
+  if (first && typeof first.balanceAt === 'number') {
+    return { openingBalance: round(first.balanceAt - balanceEffect(first)), source: 'derived' };
+  }
+
+  const [totals] = await Transaction.aggregate([
+    { $match: { accountId: account._id, user: account.user } },
+    {
+      $group: {
+        _id: null,
+        net: { $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+      }
+    }
+  ]);
+
+  return { openingBalance: round(account.balance - (totals ? totals.net : 0)), source: 'balance' };
+};
+
+// Replay an account's history from its opening balance. With `apply`, rewrite the stored
+// balance and every balanceAt snapshot that disagrees with the replay.
+export const reconcileAccount = async (account, { apply = false, openingBalance } = {}) => {
+  const opening = await resolveOpeningBalance(account, openingBalance);
+
+  let running = opening.openingBalance;
+  let transactionCount = 0;
+  let snapshotMismatches = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length > 0) {
+      await Transaction.bulkWrite(batch, { ordered: false });
+      batch = [];
+    }
+  };
+
+  const cursor = Transaction.find({ accountId: account._id, user: account.user })
+    .sort(LEDGER_SORT)
+    .select('amount type balanceAt')
+    .lean()
+    .cursor();
+
+  for await (const tx of cursor) {
+    running = round(running + balanceEffect(tx));
+    transactionCount++;
+
+    if (differs(tx.balanceAt, running)) {
+      snapshotMismatches++;
+      if (apply) {
+        batch.push({ updateOne: { filter: { _id: tx._id }, update: { $set: { balanceAt: running } } } });
+        if (batch.length >= BULK_BATCH_SIZE) await flush();
+      }
+    }
+  }
+
+  const storedBalance = round(account.balance);
+  const difference = round(storedBalance - running);
+
+  if (apply) {
+    await flush();
+
+    // $inc by the correction (not $set) so entries posted during the replay are not lost.
+    // Going through the ledger puts the corrected balance in the sync change log.
+    if (difference !== 0 || account.openingBalance !== opening.openingBalance) {
+      await runLedger(unit => unit.correctBalance(account, -difference, opening.openingBalance));
+    }
+  }
+
+  return {
+    accountId: account._id,
+    name: account.name,
+    openingBalance: opening.openingBalance,
+    openingBalanceSource: opening.source,
+    storedBalance,
+    computedBalance: running,
+    difference,
+    transactionCount,
+    snapshotMismatches,
+    applied: apply
+  };
+};
+
+export const reconcileAccountById = async (userId, accountId, options) => {
+  const account = await Account.findOne({ _id: accountId, user: userId }).lean();
+  if (!account) {
+    throw new AppError('Account not found', 404);
+  }
+  return reconcileAccount(account, options);
+};
+
+export const reconcileAllAccounts = async (userId, { apply = false } = {}) => {
+  const accounts = await Account.find({ user: userId }).sort({ createdAt: 1 }).lean();
+
+  const results = [];
+  for (const account of accounts) {
+    results.push(await reconcileAccount(account, { apply }));
+  }
+
+  return {
+    accounts: results,
+    outOfBalance: results.filter(result => result.difference !== 0).length,
+    snapshotMismatches: results.reduce((sum, result) => sum + result.snapshotMismatches, 0),
+    applied: apply
+  };
+};
@@ -0,0 +1,134 @@
+import { RecurringTransaction } from '../models/RecurringTransaction.js';
+import { Transaction } from '../models/Transaction.js';
+import { postTransaction } from './ledgerService.js';
+import { occurrenceAt, nextOccurrenceIndex } from '../utils/recurrence.js';
+import { logger } from '../utils/logger.js';
+
+// Upper bound of occurrences posted for one schedule per run, so a bad rule can't flood the ledger
+const MAX_POSTINGS_PER_RUN = 400;
+
+// Occurrence date for an index, or null when it falls after the end date
+const occurrenceOrNull = (recurring, index) => {
+  const date = occurrenceAt(recurring.rule, recurring.startDate, index);
+  if (recurring.endDate && date > recurring.endDate) return null;
+  return date;
+};
+
+// (Re)compute nextIndex/nextRunAt after the last posted occurrence. Used on create and edit.
+export const computeSchedule = (recurring) => {
+  const nextIndex = nextOccurrenceIndex(recurring.rule, recurring.startDate, recurring.lastOccurrenceAt);
+  return { nextIndex, nextRunAt: occurrenceOrNull(recurring, nextIndex) };
+};
+
+export const upcomingOccurrences = (recurring, count = 5) => {
+  const dates = [];
+  if (!recurring.active || !recurring.nextRunAt) return dates;
+
+  for (let index = recurring.nextIndex; dates.length < count; index++) {
+    const date = occurrenceOrNull(recurring, index);
+    if (!date) break;
+    dates.push(date);
+  }
+  return dates;
+};
+
+const postOccurrence = async (recurring, occurrenceDate) => {
+  // The unique {recurringId, occurrenceDate} index is the final guard, this just avoids the round trip
+  const alreadyPosted = await Transaction.exists({ recurringId: recurring._id, occurrenceDate });
+  if (alreadyPosted) return false;
+
+  try {
+    await postTransaction(recurring.user, {
+      accountId: recurring.accountId,
+      amount: recurring.amount,
+      type: recurring.type,
+      category: recurring.category,
+      description: recurring.description,
+      date: occurrenceDate
+    }, { recurringId: recurring._id, occurrenceDate, createdBy: recurring.createdBy || recurring.user });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Post every due occurrence of one schedule. Each occurrence is posted before the schedule
+// moves past it, so a crash in between only means it is found already posted next run (the
+// unique {recurringId, occurrenceDate} index keeps concurrent runs from posting it twice).
+export const processRecurring = async (recurring, now = new Date()) => {
+  let current = recurring;
+  let posted = 0;
+  let skipped = 0;
+
+  while (current.active && current.nextRunAt && current.nextRunAt <= now && posted < MAX_POSTINGS_PER_RUN) {
+    let index = current.nextIndex;
+
+    if (current.catchUp === 'latest') {
+      const horizon = current.endDate && current.endDate < now ? current.endDate : now;
+      const latestDue = nextOccurrenceIndex(current.rule, current.startDate, horizon) - 1;
+      if (latestDue > index) {
+        skipped += latestDue - index;
+        index = latestDue;
+      }
+    }
+
+    const occurrenceDate = occurrenceAt(current.rule, current.startDate, index);
+
+    try {
+      if (await postOccurrence(current, occurrenceDate)) posted++;
+    } catch (error) {
+      // Leave the schedule where it is so the occurrence is retried; stop it if its account is gone
+      await RecurringTransaction.updateOne(
+        { _id: current._id },
+        { $set: { lastError: error.message, ...(error.statusCode === 404 && { active: false }) } }
+      );
+      logger.error('Recurring posting failed', { recurringId: current._id.toString(), error: error.message });
+      break;
+    }
+
+    const advanced = await RecurringTransaction.findOneAndUpdate(
+      { _id: current._id, active: true, nextIndex: current.nextIndex },
+      {
+        $set: {
+          nextIndex: index + 1,
+          nextRunAt: occurrenceOrNull(current, index + 1),
+          lastOccurrenceAt: occurrenceDate,
+          lastRunAt: new Date()
+        },
+        $unset: { lastError: 1 }
+      },
+      { new: true }
+    ).lean();
+
+    // Another run (or an edit) moved the schedule first
+    if (!advanced) break;
+
+    current = advanced;
+  }
+
+  return { posted, skipped };
+};
+
+// Catch up every schedule with due occurrences (optionally limited to one user, plus the
+// accounts shared with them in `sharedAccountIds`)
+export const runDueRecurring = async ({ now = new Date(), userId, sharedAccountIds = [] } = {}) => {
+  const filter = { active: true, nextRunAt: { $ne: null, $lte: now } };
+  if (userId) {
+    Object.assign(filter, sharedAccountIds.length > 0
+      ? { $or: [{ user: userId }, { accountId: { $in: sharedAccountIds } }] }
+      : { user: userId });
+  }
+
+  const summary = { schedules: 0, posted: 0, skipped: 0 };
+
+  const cursor = RecurringTransaction.find(filter).lean().cursor();
+  for await (const recurring of cursor) {
+    const result = await processRecurring(recurring, now);
+    summary.schedules++;
+    summary.posted += result.posted;
+    summary.skipped += result.skipped;
+  }
+
+  return summary;
+};
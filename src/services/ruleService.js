@@ -0,0 +1,162 @@
+// Categorization rules: conditions on a transaction's fields that set its category and add tags.
+// Rules run in priority order. The first matching rule with a category decides it; tags from
+// every matching rule are added. A category the transaction already has is only replaced by
+// rules with `overrideCategory`.
+import mongoose from 'mongoose';
+import { Rule } from '../models/Rule.js';
+import { Transaction } from '../models/Transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { recordChangesSafely, upsertChange } from './changeLog.js';
+import { hasSplits } from '../utils/splits.js';
+import { mergeTags } from '../utils/tags.js';
+
+// Category for new transactions no rule matched
+export const UNCATEGORIZED = 'Uncategorized';
+
+// How many recent transactions a preview looks through, and how many matches it returns
+const PREVIEW_SCAN = 5000;
+const PREVIEW_LIMIT = 100;
+
+const text = (value) => String(value ?? '').toLowerCase();
+
+const TEXT_OPERATORS = {
+  contains: (actual, expected) => actual.includes(expected),
+  equals: (actual, expected) => actual === expected,
+  startsWith: (actual, expected) => actual.startsWith(expected),
+  endsWith: (actual, expected) => actual.endsWith(expected)
+};
+
+const NUMBER_OPERATORS = {
+  equals: (actual, expected) => Math.abs(actual - expected) < 0.005,
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected
+};
+
+const matchesCondition = (tx, { field, operator, value }) => {
+  if (field === 'amount') {
+    return typeof tx.amount === 'number' && Boolean(NUMBER_OPERATORS[operator]?.(tx.amount, Number(value)));
+  }
+  if (field === 'accountId' || field === 'type') {
+    return String(tx[field] ?? '') === String(value);
+  }
+  return Boolean(TEXT_OPERATORS[operator]?.(text(tx[field]).trim(), text(value).trim()));
+};
+
+export const matchesRule = (tx, rule) => (rule.match === 'any'
+  ? rule.conditions.some(condition => matchesCondition(tx, condition))
+  : rule.conditions.every(condition => matchesCondition(tx, condition)));
+
+// What the rules would change on `tx`: { category, tags, rules } with only the changed fields set,
+// or null when nothing changes
+export const evaluateRules = (tx, rules) => {
+  const uncategorized = !tx.category || tx.category === UNCATEGORIZED;
+  let category;
+  let tags = tx.tags || [];
+  const matched = [];
+
+  for (const rule of rules) {
+    if (!matchesRule(tx, rule)) continue;
+    matched.push(rule._id);
+
+    const { actions } = rule;
+    // A split transaction's categories are on its lines
+    if (actions.category && category === undefined && !hasSplits(tx.splits) &&
+        (uncategorized || actions.overrideCategory) && actions.category !== tx.category) {
+      category = actions.category;
+    }
+    tags = mergeTags(tags, actions.tags);
+  }
+
+  const tagsChanged = tags.length !== (tx.tags || []).length;
+  if (category === undefined && !tagsChanged) return null;
+
+  return {
+    ...(category !== undefined && { category }),
+    ...(tagsChanged && { tags }),
+    rules: matched
+  };
+};
+
+export const loadRules = (userId) =>
+  Rule.find({ user: userId, enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+
+// Apply the user's rules to a transaction about to be created. Pass `rules` when categorizing many.
+export const categorize = async (userId, tx, rules) => {
+  const changes = evaluateRules(tx, rules || await loadRules(userId));
+  const result = { ...tx };
+  if (changes?.category) result.category = changes.category;
+  if (changes?.tags) result.tags = changes.tags;
+  if (!result.category) result.category = hasSplits(tx.splits) ? 'Split' : UNCATEGORIZED;
+  return result;
+};
+
+export const findRule = async (userId, id) => {
+  const rule = mongoose.isValidObjectId(id) && await Rule.findOne({ _id: id, user: userId });
+  if (!rule) {
+    throw new AppError('Rule not found', 404);
+  }
+  return rule;
+};
+
+const recentTransactions = (userId) =>
+  Transaction.find({ user: userId, transferId: null })
+    .sort({ date: -1 })
+    .limit(PREVIEW_SCAN)
+    .select('accountId amount type category splits tags description date')
+    .lean();
+
+// Dry run of a single rule, saved or not, against the user's recent transactions
+export const previewRule = async (userId, rule) => {
+  const transactions = await recentTransactions(userId);
+  const matches = transactions.filter(tx => matchesRule(tx, rule));
+
+  return {
+    scanned: transactions.length,
+    matched: matches.length,
+    transactions: matches.slice(0, PREVIEW_LIMIT).map(tx => ({
+      transaction: tx,
+      changes: evaluateRules(tx, [rule])
+    }))
+  };
+};
+
+// Run the enabled rules over existing transactions (optionally only `ruleIds`). With `dryRun`
+// nothing is written and the would-be changes are returned.
+export const applyRules = async (userId, { ruleIds, dryRun = false } = {}) => {
+  let rules = await loadRules(userId);
+  if (Array.isArray(ruleIds) && ruleIds.length > 0) {
+    const wanted = new Set(ruleIds.map(String));
+    rules = rules.filter(rule => wanted.has(rule._id.toString()));
+  }
+
+  const transactions = await recentTransactions(userId);
+  const updates = transactions
+    .map(tx => ({ transaction: tx, changes: evaluateRules(tx, rules) }))
+    .filter(update => update.changes);
+
+  if (!dryRun && updates.length > 0) {
+    const now = new Date();
+    await Transaction.bulkWrite(updates.map(({ transaction, changes }) => ({
+      updateOne: {
+        filter: { _id: transaction._id, user: userId },
+        update: {
+          $set: {
+            ...(changes.category && { category: changes.category }),
+            ...(changes.tags && { tags: changes.tags }),
+            lastModifiedAt: now
+          }
+        }
+      }
+    })));
+    await recordChangesSafely(updates.map(({ transaction }) => upsertChange('transaction', { ...transaction, user: userId })));
+  }
+
+  return {
+    dryRun,
+    scanned: transactions.length,
+    updated: updates.length,
+    transactions: updates.slice(0, PREVIEW_LIMIT)
+  };
+};
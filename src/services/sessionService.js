@@ -0,0 +1,159 @@
+// Login sessions: short-lived JWT access tokens bound to a session, plus an opaque
+// refresh token that is rotated on every use. Revoking the session invalidates both.
+import jwt from 'jsonwebtoken';
+import { Session } from '../models/Session.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ACCESS_TOKEN_MINUTES = 15;
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+
+// Rotated hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+// Two tabs refreshing at the same moment both send the same token; the loser is not an attack
+const ROTATION_GRACE_MS = 10 * 1000;
+
+// lastUsedAt is only written when it is this stale, so API calls don't all cost a write
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+export const accessTokenTtlMs = () =>
+  (parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || DEFAULT_ACCESS_TOKEN_MINUTES) * 60 * 1000;
+
+export const refreshTokenTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS) * DAY_MS;
+
+const newRefreshToken = () => generateToken(48);
+
+export const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: Math.floor(accessTokenTtlMs() / 1000) });
+
+// Short label such as "Chrome on Windows" for the sessions list
+export const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser?.[0] || 'App', os && `on ${os[0]}`].filter(Boolean).join(' ');
+};
+
+const clientInfo = (req) => {
+  const userAgent = (req.get('user-agent') || '').slice(0, 500);
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip };
+};
+
+export const createSession = async (userId, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+    ...clientInfo(req)
+  });
+
+  return { session, refreshToken, accessToken: signAccessToken(userId, session._id) };
+};
+
+// Swap a refresh token for a new pair. A token that was already rotated out revokes the session.
+export const rotateSession = async (refreshToken, req) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new AppError('Refresh token is required', 401);
+  }
+
+  const hash = hashToken(refreshToken);
+  const next = newRefreshToken();
+  const now = new Date();
+
+  // Atomic swap: of two requests with the same token only one can match
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(next),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + refreshTokenTtlMs()),
+        ...clientInfo(req)
+      },
+      $push: { previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: next, accessToken: signAccessToken(session.user, session._id) };
+  }
+
+  const reused = await Session.findOne({ previousTokenHashes: hash });
+  if (!reused) {
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+
+  const justRotated = reused.previousTokenHashes[reused.previousTokenHashes.length - 1] === hash
+    && now - reused.lastUsedAt < ROTATION_GRACE_MS;
+
+  if (justRotated && !reused.revokedAt) {
+    throw new AppError('Refresh token already rotated, retry with the new one', 401);
+  }
+
+  if (!reused.revokedAt) {
+    reused.revokedAt = now;
+    reused.revokedReason = 'reuse-detected';
+    await reused.save();
+  }
+
+  logger.warn('Refresh token reuse detected', { userId: reused.user.toString(), sessionId: reused._id.toString() });
+  throw new AppError('Refresh token reuse detected, please log in again', 401);
+};
+
+// Used by `protect` for every request: the session behind an access token must still be live
+export const findActiveSession = async (userId, sessionId) => {
+  const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('lastUsedAt')
+    .lean();
+
+  if (session && Date.now() - session.lastUsedAt > TOUCH_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+  }
+
+  return session;
+};
+
+export const findSessionByRefreshToken = (refreshToken) =>
+  Session.findOne({ refreshTokenHash: hashToken(refreshToken), revokedAt: null });
+
+export const listSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('device userAgent ip lastUsedAt createdAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+export const revokeSession = (userId, sessionId, reason = 'revoked') =>
+  Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+
+// Every live session of the user, optionally keeping the current one
+export const revokeAllSessions = async (userId, { reason = 'logout-all', exceptSessionId } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
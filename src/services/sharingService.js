@@ -0,0 +1,153 @@
+// Inviting other users to an account and managing their roles
+import validator from 'validator';
+import { User } from '../models/User.js';
+import { AccountMember, MEMBER_ROLES } from '../models/AccountMember.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { requireAccountAccess } from './accountAccess.js';
+import { sendTemplate, clientUrl, appName } from './mailer.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const inviteTtlDays = () => parseInt(process.env.ACCOUNT_INVITE_TTL_DAYS) || 14;
+
+const validateRole = (role) => {
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new AppError(`Role must be one of: ${MEMBER_ROLES.join(', ')}`, 400);
+  }
+};
+
+// Admins manage viewers and contributors; only the owner hands out or takes away admin
+const requireRoleAuthority = (actorRole, ...roles) => {
+  if (actorRole !== 'owner' && roles.includes('admin')) {
+    throw new AppError('Only the account owner can manage admins', 403);
+  }
+};
+
+const findMember = async (accountId, memberId) => {
+  const member = await AccountMember.findOne({ _id: memberId, account: accountId });
+  if (!member) {
+    throw new AppError('Member not found', 404);
+  }
+  return member;
+};
+
+const sendInviteEmail = (member, account, inviter) => sendTemplate('account-invite', {
+  to: member.email,
+  subject: `${inviter.name} shared "${account.name}" with you on ${appName()}`,
+  inviterName: inviter.name,
+  accountName: account.name,
+  role: member.role,
+  link: clientUrl('/invitations'),
+  expiresInDays: inviteTtlDays()
+});
+
+export const inviteMember = async (inviter, accountId, { email, role = 'viewer' }) => {
+  const { account, role: actorRole } = await requireAccountAccess(inviter._id, accountId, 'admin');
+
+  if (typeof email !== 'string' || !validator.isEmail(email)) {
+    throw new AppError('Please provide a valid email', 400);
+  }
+  validateRole(role);
+  requireRoleAuthority(actorRole, role);
+
+  const address = email.trim().toLowerCase();
+  const owner = await User.findById(account.user).select('email').lean();
+  if (address === owner?.email) {
+    throw new AppError('The owner already has access to this account', 400);
+  }
+  if (await AccountMember.exists({ account: account._id, email: address })) {
+    throw new AppError('This email has already been invited to the account', 409);
+  }
+
+  const member = await AccountMember.create({
+    account: account._id,
+    owner: account.user,
+    email: address,
+    role,
+    invitedBy: inviter._id,
+    expiresAt: new Date(Date.now() + inviteTtlDays() * DAY_MS)
+  });
+
+  // The invitation also shows up in the app, so a failed email isn't fatal
+  try {
+    await sendInviteEmail(member, account, inviter);
+  } catch (error) {
+    logger.error('Invitation email failed', { memberId: member._id.toString(), error: error.message });
+  }
+
+  return member;
+};
+
+export const listMembers = async (userId, accountId) => {
+  const { account, role } = await requireAccountAccess(userId, accountId, 'viewer');
+
+  const [owner, members] = await Promise.all([
+    User.findById(account.user).select('name email avatar').lean(),
+    AccountMember.find({ account: account._id })
+      .select('email user role status acceptedAt expiresAt createdAt')
+      .populate('user', 'name email avatar')
+      .sort({ createdAt: 1 })
+      .lean()
+  ]);
+
+  return { role, owner, members };
+};
+
+export const updateMemberRole = async (userId, accountId, memberId, role) => {
+  const { role: actorRole } = await requireAccountAccess(userId, accountId, 'admin');
+  validateRole(role);
+
+  const member = await findMember(accountId, memberId);
+  requireRoleAuthority(actorRole, member.role, role);
+
+  member.role = role;
+  await member.save();
+  return member;
+};
+
+// Revokes an invitation or removes a member; members may also remove themselves
+export const removeMember = async (userId, accountId, memberId) => {
+  const member = await findMember(accountId, memberId);
+
+  if (!member.user?.equals(userId)) {
+    const { role: actorRole } = await requireAccountAccess(userId, accountId, 'admin');
+    requireRoleAuthority(actorRole, member.role);
+  }
+
+  await member.deleteOne();
+  return member;
+};
+
+// Open invitations addressed to the user's email
+export const listInvitations = (user) =>
+  AccountMember.find({ email: user.email, status: 'pending', expiresAt: { $gt: new Date() } })
+    .select('account role invitedBy expiresAt createdAt')
+    .populate('account', 'name type currency color')
+    .populate('invitedBy', 'name email')
+    .sort({ createdAt: -1 })
+    .lean();
+
+// Invitations go to an address, so only a verified owner of that address can accept one
+export const acceptInvitation = async (user, invitationId) => {
+  if (!user.emailVerified) {
+    throw new AppError('Verify your email address before accepting invitations', 403);
+  }
+
+  const member = await AccountMember.findOneAndUpdate(
+    { _id: invitationId, email: user.email, status: 'pending', expiresAt: { $gt: new Date() } },
+    { $set: { user: user._id, status: 'active', acceptedAt: new Date() }, $unset: { expiresAt: '' } },
+    { new: true }
+  );
+  if (!member) {
+    throw new AppError('Invitation not found or expired', 404);
+  }
+  return member;
+};
+
+export const declineInvitation = async (user, invitationId) => {
+  const result = await AccountMember.deleteOne({ _id: invitationId, email: user.email, status: 'pending' });
+  if (result.deletedCount === 0) {
+    throw new AppError('Invitation not found or expired', 404);
+  }
+};
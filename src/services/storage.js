@@ -0,0 +1,63 @@
+// File storage behind a small adapter so uploads can move off local disk.
+// A driver implements put(key, buffer, { contentType }), get(key) -> readable stream,
+// remove(key) and exists(key). Keys are relative paths such as "avatars/<file>".
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+const SAFE_KEY = /^[a-z0-9][a-z0-9/_.-]*$/i;
+
+const assertKey = (key) => {
+  if (typeof key !== 'string' || !SAFE_KEY.test(key) || key.includes('..')) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return key;
+};
+
+// Files under UPLOAD_DIR (default "uploads")
+const localDriver = () => {
+  const root = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+  const resolve = (key) => path.join(root, assertKey(key));
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(file, buffer);
+      return { key };
+    },
+    get: (key) => fs.createReadStream(resolve(key)),
+    async remove(key) {
+      await fsp.rm(resolve(key), { force: true });
+    },
+    async exists(key) {
+      try {
+        await fsp.access(resolve(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+  };
+};
+
+const drivers = { local: localDriver };
+
+// Extension point for object storage (S3, GCS, ...)
+export const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+let storage = null;
+
+export const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
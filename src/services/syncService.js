@@ -0,0 +1,268 @@
+// Offline sync push: apply per-record changes from a device with conflict detection.
+//
+// Every pushed record carries a device-generated clientId and the time it was modified
+// on the device (updatedAt). That time becomes the record's lastModifiedAt, which is
+// the version compared on the next push:
+//   - same version as stored            -> "unchanged" (replaying a push is a no-op)
+//   - strategy "lww" (last writer wins) -> newer wins, older gets "conflict"
+//   - strategy "reject"                 -> applied only if baseUpdatedAt matches the stored version
+import mongoose from 'mongoose';
+import { Account } from '../models/Account.js';
+import { AccountType } from '../models/AccountType.js';
+import { Transaction } from '../models/Transaction.js';
+import { ChangeLog } from '../models/ChangeLog.js';
+import { sanitizeString } from '../middleware/validation.js';
+import { postTransaction, updateTransaction, deleteTransactions } from './ledgerService.js';
+import { modifiedAt, recordChangesSafely, upsertChange, deleteChange } from './changeLog.js';
+import { categorize } from './ruleService.js';
+import { deleteAccounts } from './accountService.js';
+import { normalizeTags } from '../utils/tags.js';
+
+export const STRATEGIES = ['lww', 'reject'];
+export const ENTITIES = ['accountType', 'account', 'transaction'];
+
+const MAX_CHANGES = 500;
+
+// Parents first, so new accounts exist before transactions that point at them
+const ENTITY_ORDER = { accountType: 0, account: 1, transaction: 2 };
+
+const MODELS = {
+  account: Account,
+  accountType: AccountType,
+  transaction: Transaction
+};
+
+const EDITABLE_FIELDS = {
+  accountType: ['label', 'theme'],
+  // The balance is owned by the ledger; it is only taken from the device when the account is created
+  account: ['name', 'type', 'color', 'cardNumber', 'cardHolder'],
+  transaction: ['accountId', 'amount', 'type', 'category', 'splits', 'tags', 'description', 'date']
+};
+
+const pick = (source, fields) => fields.reduce((acc, field) => {
+  if (source[field] !== undefined) acc[field] = source[field];
+  return acc;
+}, {});
+
+const sanitizeFields = (fields) => {
+  for (const key of ['label', 'name', 'type', 'category', 'description', 'cardHolder']) {
+    if (typeof fields[key] === 'string') {
+      fields[key] = sanitizeString(fields[key]);
+    }
+  }
+  if (Array.isArray(fields.splits)) {
+    fields.splits = fields.splits.map(line => ({
+      category: sanitizeString(line?.category),
+      amount: line?.amount,
+      note: sanitizeString(line?.note)
+    }));
+  }
+  if (fields.tags !== undefined) {
+    fields.tags = normalizeTags(Array.isArray(fields.tags) ? fields.tags.map(sanitizeString) : []);
+  }
+  return fields;
+};
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const sameTime = (a, b) => a && b && new Date(a).getTime() === new Date(b).getTime();
+
+const findRecord = (userId, entity, change) => {
+  const Model = MODELS[entity];
+  if (change.id && mongoose.isValidObjectId(change.id)) {
+    return Model.findOne({ _id: change.id, user: userId });
+  }
+  return Model.findOne({ user: userId, clientId: change.clientId });
+};
+
+const findTombstone = (userId, entity, clientId) =>
+  ChangeLog.findOne({ user: userId, entity, clientId, op: 'delete' }).sort({ seq: -1 }).lean();
+
+// Transactions may reference their account by server ID or by the account's clientId
+const resolveAccountId = async (userId, data) => {
+  if (data.accountClientId) {
+    const account = await Account.findOne({ user: userId, clientId: data.accountClientId }).select('_id').lean();
+    return account ? account._id : null;
+  }
+  if (data.accountId && mongoose.isValidObjectId(data.accountId)) {
+    const account = await Account.exists({ _id: data.accountId, user: userId });
+    return account ? account._id : null;
+  }
+  return null;
+};
+
+/* ---------- per-entity writes ---------- */
+
+const createRecord = async (userId, entity, change, fields) => {
+  const base = { clientId: change.clientId, lastModifiedAt: change.updatedAt };
+
+  if (entity === 'transaction') {
+    return postTransaction(userId, await categorize(userId, fields), base);
+  }
+
+  if (entity === 'account') {
+    const balance = typeof change.data.balance === 'number' ? change.data.balance : 0;
+    // Like the balance, the currency is only taken on creation
+    const currency = change.data.currency || undefined;
+    const account = await Account.create({ ...fields, ...base, balance, openingBalance: balance, currency, user: userId });
+    await recordChangesSafely([upsertChange('account', account)]);
+    return account;
+  }
+
+  const type = await AccountType.create({ ...fields, ...base, user: userId });
+  await recordChangesSafely([upsertChange('accountType', type)]);
+  return type;
+};
+
+const updateRecord = async (userId, entity, record, change, fields) => {
+  const base = { clientId: change.clientId, lastModifiedAt: change.updatedAt };
+
+  if (entity === 'transaction') {
+    return updateTransaction(userId, record._id, fields, base);
+  }
+
+  record.set({ ...fields, ...base });
+  await record.save();
+  await recordChangesSafely([upsertChange(entity, record)]);
+  return record;
+};
+
+const deleteRecord = async (userId, entity, record) => {
+  if (entity === 'transaction') {
+    await deleteTransactions(userId, { _id: record._id });
+    return;
+  }
+
+  if (entity === 'account') {
+    // Same cascade as DELETE /accounts/:id
+    await deleteAccounts(userId, [record]);
+    return;
+  }
+
+  await AccountType.deleteOne({ _id: record._id });
+  await recordChangesSafely([deleteChange('accountType', record)]);
+};
+
+/* ---------- conflict resolution ---------- */
+
+const result = (change, status, extra = {}) => ({
+  entity: change.entity,
+  clientId: change.clientId,
+  status,
+  ...extra
+});
+
+const applyChange = async (userId, change, strategy) => {
+  const { entity } = change;
+  const record = await findRecord(userId, entity, change);
+
+  if (!record) {
+    const tombstone = await findTombstone(userId, entity, change.clientId);
+
+    if (change.op === 'delete') {
+      return result(change, 'unchanged', { message: 'Already deleted' });
+    }
+
+    // Deleted elsewhere: only an edit made after the delete may bring it back
+    if (tombstone && (strategy === 'reject' || change.updatedAt <= tombstone.modifiedAt)) {
+      return result(change, 'conflict', { reason: 'deleted', deletedAt: tombstone.modifiedAt });
+    }
+
+    const fields = sanitizeFields(pick(change.data, EDITABLE_FIELDS[entity]));
+    if (entity === 'transaction') {
+      fields.accountId = await resolveAccountId(userId, change.data);
+      if (!fields.accountId) {
+        return result(change, 'rejected', { message: 'Account not found' });
+      }
+    }
+
+    const created = await createRecord(userId, entity, change, fields);
+    return result(change, 'applied', { id: created._id });
+  }
+
+  const version = modifiedAt(record);
+
+  if (sameTime(version, change.updatedAt)) {
+    return result(change, 'unchanged', { id: record._id });
+  }
+
+  const stale = strategy === 'reject'
+    ? !sameTime(version, change.baseUpdatedAt)
+    : change.updatedAt < version;
+
+  if (stale) {
+    return result(change, 'conflict', { reason: 'modified', id: record._id, server: record.toObject() });
+  }
+
+  if (change.op === 'delete') {
+    await deleteRecord(userId, entity, record);
+    return result(change, 'applied', { id: record._id });
+  }
+
+  const fields = sanitizeFields(pick(change.data, EDITABLE_FIELDS[entity]));
+  if (entity === 'transaction' && (change.data.accountId || change.data.accountClientId)) {
+    fields.accountId = await resolveAccountId(userId, change.data);
+    if (!fields.accountId) {
+      return result(change, 'rejected', { id: record._id, message: 'Account not found' });
+    }
+  }
+
+  const updated = await updateRecord(userId, entity, record, change, fields);
+  return result(change, 'applied', { id: updated._id });
+};
+
+const validateChange = (change) => {
+  if (!change || typeof change !== 'object') return 'Change must be an object';
+  if (!ENTITIES.includes(change.entity)) return `Entity must be one of: ${ENTITIES.join(', ')}`;
+  if (!['upsert', 'delete'].includes(change.op)) return 'Op must be "upsert" or "delete"';
+  if (!change.clientId || typeof change.clientId !== 'string' || change.clientId.length > 100) {
+    return 'A clientId (max 100 characters) is required';
+  }
+  if (!toDate(change.updatedAt)) return 'A valid updatedAt is required';
+  if (change.op === 'upsert' && (!change.data || typeof change.data !== 'object')) return 'Upserts need data';
+  return null;
+};
+
+// Apply a batch of device changes; every record gets its own result and one failure doesn't stop the rest
+export const pushChanges = async (userId, changes, strategy = 'lww') => {
+  if (!Array.isArray(changes)) {
+    return { error: 'Changes must be an array' };
+  }
+  if (changes.length > MAX_CHANGES) {
+    return { error: `At most ${MAX_CHANGES} changes per push` };
+  }
+  if (!STRATEGIES.includes(strategy)) {
+    return { error: `Strategy must be one of: ${STRATEGIES.join(', ')}` };
+  }
+
+  const ordered = changes
+    .map((change, index) => ({ change, index }))
+    .sort((a, b) => (ENTITY_ORDER[a.change?.entity] ?? 9) - (ENTITY_ORDER[b.change?.entity] ?? 9));
+
+  const results = new Array(changes.length);
+
+  for (const { change, index } of ordered) {
+    const problem = validateChange(change);
+    if (problem) {
+      results[index] = { entity: change?.entity, clientId: change?.clientId, status: 'rejected', message: problem };
+      continue;
+    }
+
+    const normalized = {
+      ...change,
+      updatedAt: toDate(change.updatedAt),
+      baseUpdatedAt: toDate(change.baseUpdatedAt)
+    };
+
+    try {
+      results[index] = await applyChange(userId, normalized, strategy);
+    } catch (error) {
+      results[index] = result(normalized, 'rejected', { message: error.message });
+    }
+  }
+
+  return { results };
+};
@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+import validator from 'validator';
+import { Transaction } from '../models/Transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import { sanitizeString } from '../middleware/validation.js';
+import { hasSplits } from '../utils/splits.js';
+import { normalizeTags } from '../utils/tags.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// sort option -> field and direction; _id breaks ties so every position is unique
+const SORTS = {
+  date_desc: { field: 'date', direction: -1 },
+  date_asc: { field: 'date', direction: 1 },
+  amount_desc: { field: 'amount', direction: -1 },
+  amount_asc: { field: 'amount', direction: 1 }
+};
+
+export const SORT_OPTIONS = Object.keys(SORTS);
+
+// Accept both ?x=a&x=b and ?x=a,b
+export const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Categories are stored HTML-escaped (validation.js), so the filter values are escaped the same way
+const categoryFilter = (query) => toList(query.category).map(sanitizeString);
+
+const parseDate = (value, name) => {
+  if (!validator.isISO8601(String(value))) {
+    throw new AppError(`Invalid ${name} date`, 400);
+  }
+  return new Date(value);
+};
+
+const parseAmount = (value, name) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new AppError(`${name} must be a non-negative number`, 400);
+  }
+  return amount;
+};
+
+// Translate query-string filters into a MongoDB filter scoped to the user
+// and, when given, the accounts shared with them
+export const buildSearchFilter = (userId, query, sharedAccountIds = []) => {
+  const filter = sharedAccountIds.length > 0
+    ? { $or: [{ user: userId }, { accountId: { $in: sharedAccountIds } }] }
+    : { user: userId };
+
+  if (query.from || query.to) {
+    filter.date = {};
+    if (query.from) filter.date.$gte = parseDate(query.from, 'from');
+    if (query.to) filter.date.$lte = parseDate(query.to, 'to');
+  }
+
+  const accountIds = toList(query.accountId);
+  if (accountIds.length > 0) {
+    if (!accountIds.every(id => mongoose.isValidObjectId(id))) {
+      throw new AppError('Invalid account ID', 400);
+    }
+    filter.accountId = { $in: accountIds.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  if (query.type) {
+    if (!['income', 'expense'].includes(query.type)) {
+      throw new AppError('Type must be either "income" or "expense"', 400);
+    }
+    filter.type = query.type;
+  }
+
+  // Split transactions match on any of their lines
+  const categories = categoryFilter(query);
+  if (categories.length > 0) {
+    filter.$and = [{ $or: [{ category: { $in: categories } }, { 'splits.category': { $in: categories } }] }];
+  }
+
+  // Transactions carrying every one of the tags
+  const tags = normalizeTags(toList(query.tag).map(sanitizeString));
+  if (tags.length > 0) {
+    filter.tags = { $all: tags };
+  }
+
+  if (query.minAmount !== undefined || query.maxAmount !== undefined) {
+    filter.amount = {};
+    if (query.minAmount !== undefined) filter.amount.$gte = parseAmount(query.minAmount, 'minAmount');
+    if (query.maxAmount !== undefined) filter.amount.$lte = parseAmount(query.maxAmount, 'maxAmount');
+  }
+
+  // Descriptions are stored escaped as well
+  if (query.q && String(query.q).trim()) {
+    const text = sanitizeString(String(query.q).trim().slice(0, 100));
+    filter.description = { $regex: escapeRegex(text), $options: 'i' };
+  }
+
+  return filter;
+};
+
+// Keyset condition for "everything after this row" in the given sort
+const afterCursor = (sort, cursor) => {
+  const op = sort.direction === -1 ? '$lt' : '$gt';
+  const value = sort.field === 'date' ? new Date(cursor.v) : cursor.v;
+  const id = new mongoose.Types.ObjectId(cursor.id);
+
+  return {
+    $or: [
+      { [sort.field]: { [op]: value } },
+      { [sort.field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+// Filtered, sorted transactions with cursor pagination. New transactions never shift
+// existing pages because each page starts strictly after the last row of the previous one.
+export const searchTransactions = async (userId, query, { sharedAccountIds } = {}) => {
+  const sortKey = query.sort || 'date_desc';
+  const sort = SORTS[sortKey];
+  if (!sort) {
+    throw new AppError(`Sort must be one of: ${SORT_OPTIONS.join(', ')}`, 400);
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const filter = buildSearchFilter(userId, query, sharedAccountIds);
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.s !== sortKey || !mongoose.isValidObjectId(cursor.id)) {
+      throw new AppError('Invalid cursor', 400);
+    }
+    filter.$and = [...(filter.$and || []), afterCursor(sort, cursor)];
+  }
+
+  const rows = await Transaction.find(filter)
+    .sort({ [sort.field]: sort.direction, _id: sort.direction })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = rows.length > limit;
+  const transactions = hasMore ? rows.slice(0, limit) : rows;
+  const last = transactions[transactions.length - 1];
+
+  // With a category filter, say how much of each split transaction falls in those categories
+  const categories = categoryFilter(query);
+  if (categories.length > 0) {
+    for (const tx of transactions) {
+      if (hasSplits(tx.splits)) {
+        tx.matchedAmount = Math.round(tx.splits
+          .filter(line => categories.includes(line.category))
+          .reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+      }
+    }
+  }
+
+  return {
+    transactions,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor({ s: sortKey, v: last[sort.field], id: last._id.toString() }) : null
+  };
+};
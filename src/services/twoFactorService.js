@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { User } from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+import { hashToken } from '../utils/tokens.js';
+import { generateSecret, verifyCode, otpauthUri } from '../utils/totp.js';
+import { appName } from './mailer.js';
+
+const RECOVERY_CODE_COUNT = 10;
+// No 0/o, 1/l/i: codes get typed from paper
+const RECOVERY_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const CHALLENGE_PURPOSE = '2fa';
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Ten "xxxxx-xxxxx" codes; only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = Array.from(crypto.randomBytes(10), byte => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]).join('');
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  });
+
+  return { codes, stored: codes.map(code => ({ hash: hashToken(normalizeRecoveryCode(code)) })) };
+};
+
+/* ---------- Enrollment ---------- */
+
+// New pending secret; 2FA stays off until a code from it is confirmed
+export const beginSetup = async (user) => {
+  if (user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': encrypt(secret) });
+
+  return {
+    secret,
+    otpauthUri: otpauthUri({ secret, account: user.email, issuer: appName() })
+  };
+};
+
+// Returns the recovery codes; this is the only time they are shown
+export const enableTwoFactor = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+  if (user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+
+  const step = verifyCode(decrypt(user.twoFactor.pendingSecret), code);
+  if (step === null) {
+    throw new AppError('Invalid two-factor code', 400);
+  }
+
+  const { codes, stored } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.secret': user.twoFactor.pendingSecret,
+      'twoFactor.recoveryCodes': stored,
+      'twoFactor.lastUsedStep': step
+    },
+    $unset: { 'twoFactor.pendingSecret': '' }
+  });
+
+  return codes;
+};
+
+export const disableTwoFactor = (userId) => User.updateOne({ _id: userId }, {
+  $set: { 'twoFactor.enabled': false },
+  $unset: {
+    'twoFactor.enabledAt': '',
+    'twoFactor.secret': '',
+    'twoFactor.pendingSecret': '',
+    'twoFactor.recoveryCodes': '',
+    'twoFactor.lastUsedStep': ''
+  }
+});
+
+export const regenerateRecoveryCodes = async (userId) => {
+  const { codes, stored } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, { 'twoFactor.recoveryCodes': stored });
+  return codes;
+};
+
+export const twoFactorStatus = async (userId) => {
+  const user = await User.findById(userId).select('twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes').lean();
+  const twoFactor = user?.twoFactor || {};
+
+  return {
+    enabled: !!twoFactor.enabled,
+    enabledAt: twoFactor.enabledAt,
+    recoveryCodesRemaining: (twoFactor.recoveryCodes || []).filter(code => !code.usedAt).length
+  };
+};
+
+/* ---------- Verification ---------- */
+
+// Check an authenticator code or a recovery code. Both are single-use: recovery codes are
+// marked used and a TOTP code is only accepted for a time step newer than the last one.
+export const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await User.findById(userId).select('twoFactor.enabled +twoFactor.secret');
+  if (!user?.twoFactor?.enabled) return false;
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const step = verifyCode(decrypt(user.twoFactor.secret), code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    { _id: userId, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  return result.modifiedCount === 1;
+};
+
+/* ---------- Login challenge ---------- */
+
+// Proves the password step passed; useless on its own since `protect` requires a session ID
+export const signChallenge = (userId) =>
+  jwt.sign({ id: userId, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL_SECONDS });
+
+export const challengeTtlSeconds = () => CHALLENGE_TTL_SECONDS;
+
+// User ID from a challenge token, or null
+export const verifyChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
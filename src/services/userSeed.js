@@ -0,0 +1,42 @@
+// Starter data every new user gets, whether they sign up with a password or a social login
+import { Account } from '../models/Account.js';
+import { AccountType } from '../models/AccountType.js';
+import { seedDefaultCategories } from './categoryService.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_ACCOUNT_TYPES = [
+  { label: 'Family', theme: 'indigo' },
+  { label: 'Salary', theme: 'emerald' },
+  { label: 'Current', theme: 'blue' },
+  { label: 'Savings', theme: 'orange' }
+];
+
+const DEFAULT_ACCOUNTS = [
+  { name: 'Family Vault', type: 'Family', cardNumber: '**** **** **** 1001', color: 'indigo' },
+  { name: 'Salary Account', type: 'Salary', cardNumber: '**** **** **** 2002', color: 'emerald' },
+  { name: 'Current Account', type: 'Current', cardNumber: '**** **** **** 3003', color: 'blue' },
+  { name: 'Savings Goal', type: 'Savings', cardNumber: '**** **** **** 4004', color: 'orange' }
+];
+
+// Non-blocking: a failure is logged and the signup still succeeds
+export const seedDefaultData = async (user) => {
+  try {
+    await AccountType.insertMany(
+      DEFAULT_ACCOUNT_TYPES.map(t => ({ user: user._id, ...t }))
+    );
+
+    await Account.insertMany(
+      DEFAULT_ACCOUNTS.map(a => ({
+        user: user._id,
+        balance: 0,
+        openingBalance: 0,
+        cardHolder: user.name.toUpperCase(),
+        ...a
+      }))
+    );
+
+    await seedDefaultCategories(user._id);
+  } catch (error) {
+    logger.error('Seeding error', { userId: user._id.toString(), error: error.message });
+  }
+};
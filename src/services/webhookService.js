@@ -0,0 +1,270 @@
+// User-registered webhooks. Each finance event is POSTed as JSON to the user's enabled webhooks
+// that subscribe to it, signed with the webhook's secret. A failed delivery is retried with
+// exponential backoff by the webhook job (jobs/webhookJob.js); every attempt is logged on the
+// WebhookDelivery.
+//
+// Receivers verify X-Webhook-Signature: "sha256=" + hex HMAC-SHA256 of
+// `${X-Webhook-Timestamp}.${raw body}` with their secret, and should reject old timestamps.
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import mongoose from 'mongoose';
+import { Webhook } from '../models/Webhook.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+import { generateToken } from '../utils/tokens.js';
+import { appName } from './mailer.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_WEBHOOKS = 10;
+const REQUEST_TIMEOUT_MS = 10000;
+// Retries wait 30s, 1m, 2m, 4m, ... after each failure
+const RETRY_BASE_MS = 30 * 1000;
+// An attempt in flight holds its delivery this long, so no other run sends it at the same time
+const LEASE_MS = 60 * 1000;
+const BATCH_SIZE = 100;
+
+export const maxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+
+// Loopback, private, link-local and carrier-grade NAT ranges
+const PRIVATE_RANGES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16]].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Private addresses are refused in production, so a webhook can't reach the server's own
+// network; set WEBHOOK_ALLOW_PRIVATE_URLS=true for self-hosted setups (e.g. home automation)
+const allowPrivateUrls = () => (process.env.WEBHOOK_ALLOW_PRIVATE_URLS
+  ? process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+  : process.env.NODE_ENV !== 'production');
+
+const assertPublicHost = async (url) => {
+  if (allowPrivateUrls()) return;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await dns.lookup(hostname, { all: true });
+  if (addresses.some(({ address, family }) => PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw new Error('Webhook URL resolves to a private address');
+  }
+};
+
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const newSecret = () => `whsec_${generateToken(24)}`;
+
+const findWebhook = async (userId, id) => {
+  const webhook = mongoose.isValidObjectId(id) && await Webhook.findOne({ _id: id, user: userId });
+  if (!webhook) {
+    throw new AppError('Webhook not found', 404);
+  }
+  return webhook;
+};
+
+export const listWebhooks = (userId) => Webhook.find({ user: userId }).sort({ createdAt: 1 }).lean();
+
+// The secret is only returned here and by rotateSecret
+export const createWebhook = async (userId, { url, description, events }) => {
+  if (await Webhook.countDocuments({ user: userId }) >= MAX_WEBHOOKS) {
+    throw new AppError(`You can have at most ${MAX_WEBHOOKS} webhooks`, 400);
+  }
+
+  const secret = newSecret();
+  const webhook = await Webhook.create({ user: userId, url, description, events, secret: encrypt(secret) });
+  return { ...webhook.toObject(), secret };
+};
+
+export const updateWebhook = async (userId, id, body) => {
+  const webhook = await findWebhook(userId, id);
+  ['url', 'description', 'events', 'enabled'].forEach(field => {
+    if (body[field] !== undefined) webhook[field] = body[field];
+  });
+  await webhook.save();
+  return webhook;
+};
+
+export const deleteWebhook = async (userId, id) => {
+  const webhook = await findWebhook(userId, id);
+  await Promise.all([
+    webhook.deleteOne(),
+    WebhookDelivery.deleteMany({ webhook: webhook._id })
+  ]);
+};
+
+export const rotateSecret = async (userId, id) => {
+  const webhook = await findWebhook(userId, id);
+  const secret = newSecret();
+  await Webhook.updateOne({ _id: webhook._id }, { secret: encrypt(secret) });
+  return { _id: webhook._id, secret };
+};
+
+/* ---------- delivery ---------- */
+
+const post = async (webhook, delivery) => {
+  await assertPublicHost(webhook.url);
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': `${appName()}-Webhooks`,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery._id.toString(),
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${signPayload(decrypt(webhook.secret), timestamp, delivery.body)}`
+    },
+    body: delivery.body,
+    // A redirect could point anywhere, including the private network
+    redirect: 'manual',
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  // Only the status matters; drop the body without reading it
+  response.body?.cancel().catch(() => {});
+  return response.status;
+};
+
+const giveUp = (delivery, error) => WebhookDelivery.updateOne(
+  { _id: delivery._id },
+  { status: 'failed', $push: { attempts: { at: new Date(), error } } }
+);
+
+// Claim a due delivery and make one attempt; resolves to its new status, or null when
+// it wasn't due (already sent, or another run holds it)
+export const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + LEASE_MS) },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.enabled) {
+    await giveUp(delivery, 'Webhook was deleted or disabled');
+    return 'failed';
+  }
+
+  let status;
+  let error;
+  try {
+    status = await post(webhook, delivery);
+    if (status < 200 || status >= 300) error = `HTTP ${status}`;
+  } catch (failure) {
+    error = failure.name === 'TimeoutError' ? 'Timed out' : failure.message;
+  }
+
+  const count = delivery.attempts.length + 1;
+  const update = { $push: { attempts: { at: now, status, error, durationMs: Date.now() - now.getTime() } } };
+  if (!error) {
+    update.status = 'delivered';
+    update.deliveredAt = new Date();
+  } else if (count >= maxAttempts()) {
+    update.status = 'failed';
+  } else {
+    update.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (count - 1));
+  }
+
+  await Promise.all([
+    WebhookDelivery.updateOne({ _id: delivery._id }, update),
+    Webhook.updateOne({ _id: webhook._id }, { lastDeliveryAt: now, lastStatus: error || String(status) })
+  ]);
+
+  if (error) {
+    logger.warn('Webhook delivery failed', {
+      deliveryId: delivery._id.toString(),
+      webhookId: webhook._id.toString(),
+      attempt: count,
+      error
+    });
+  }
+  return update.status || 'pending';
+};
+
+// First attempt right away; a failure is left to the retry job
+const queue = async (userId, webhooks, event, data) => {
+  if (webhooks.length === 0) return [];
+
+  const createdAt = new Date();
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => {
+    const _id = new mongoose.Types.ObjectId();
+    return {
+      _id,
+      user: userId,
+      webhook: webhook._id,
+      event,
+      body: JSON.stringify({ id: _id, event, createdAt, data })
+    };
+  }));
+
+  deliveries.forEach(delivery => attemptDelivery(delivery._id).catch(error =>
+    logger.error('Webhook delivery crashed', { deliveryId: delivery._id.toString(), error: error.message })));
+  return deliveries;
+};
+
+// Send an event to every enabled webhook of the user that subscribes to it
+export const dispatchEvent = async (userId, event, data) => {
+  const webhooks = await Webhook.find({
+    user: userId,
+    enabled: true,
+    $or: [{ events: { $size: 0 } }, { events: event }]
+  }).select('_id').lean();
+  return queue(userId, webhooks, event, data);
+};
+
+// A `ping` event to check the receiver and its signature verification
+export const sendTestEvent = async (userId, id) => {
+  const webhook = await findWebhook(userId, id);
+  if (!webhook.enabled) {
+    throw new AppError('Enable the webhook before testing it', 400);
+  }
+  const [delivery] = await queue(userId, [webhook], 'ping', { message: 'Test event', webhookId: webhook._id });
+  return delivery;
+};
+
+export const listDeliveries = async (userId, webhookId, { limit } = {}) => {
+  const webhook = await findWebhook(userId, webhookId);
+  return WebhookDelivery.find({ webhook: webhook._id })
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 50, 200))
+    .lean();
+};
+
+// Give a failed delivery one more attempt now
+export const redeliver = async (userId, webhookId, deliveryId) => {
+  const webhook = await findWebhook(userId, webhookId);
+  const delivery = mongoose.isValidObjectId(deliveryId) && await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, webhook: webhook._id, status: 'failed' },
+    { status: 'pending', nextAttemptAt: new Date() },
+    { new: true }
+  );
+  if (!delivery) {
+    throw new AppError('Failed delivery not found', 404);
+  }
+
+  await attemptDelivery(delivery._id);
+  return WebhookDelivery.findById(delivery._id).lean();
+};
+
+// Retry every due delivery (jobs/webhookJob.js)
+export const runDueDeliveries = async () => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .select('_id')
+    .lean();
+
+  const summary = { attempted: 0, delivered: 0, failed: 0 };
+  for (const { _id } of due) {
+    const status = await attemptDelivery(_id);
+    if (!status) continue;
+    summary.attempted++;
+    if (status === 'delivered') summary.delivered++;
+    if (status === 'failed') summary.failed++;
+  }
+  return summary;
+};
@@ -0,0 +1,39 @@
+import { accessTokenTtlMs, refreshTokenTtlMs } from '../services/sessionService.js';
+
+export const cookieOptions = (maxAge, extra = {}) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production', // Set to true in production
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  maxAge,
+  ...extra
+});
+
+// The refresh cookie is only sent to the auth routes
+const REFRESH_COOKIE_OPTIONS = { path: '/api/auth' };
+
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie('token', accessToken, cookieOptions(accessTokenTtlMs()));
+  res.cookie('refreshToken', refreshToken, cookieOptions(refreshTokenTtlMs(), REFRESH_COOKIE_OPTIONS));
+};
+
+export const clearAuthCookies = (res) => {
+  // Must use the same options as when cookie was set for proper clearing
+  res.cookie('token', '', cookieOptions(0, { expires: new Date(0) }));
+  res.cookie('refreshToken', '', cookieOptions(0, { expires: new Date(0), ...REFRESH_COOKIE_OPTIONS }));
+};
+
+// Ties an OAuth flow to the browser that started it; only sent to the OAuth routes
+const OAUTH_NONCE_COOKIE_OPTIONS = { path: '/api/auth/oauth' };
+
+// A login starts with a top-level navigation to the API, so Lax is enough. Linking starts with
+// a request from the web app, which needs the same cross-site setting as the session cookies.
+export const setOAuthNonceCookie = (res, nonce, maxAge, { crossSite = false } = {}) => {
+  res.cookie('oauthNonce', nonce, cookieOptions(maxAge, {
+    ...OAUTH_NONCE_COOKIE_OPTIONS,
+    ...(!crossSite && { sameSite: 'lax' })
+  }));
+};
+
+export const clearOAuthNonceCookie = (res) => {
+  res.cookie('oauthNonce', '', cookieOptions(0, { expires: new Date(0), ...OAUTH_NONCE_COOKIE_OPTIONS }));
+};
@@ -0,0 +1,19 @@
+// ISO 4217 currency helpers
+
+const SUPPORTED = new Set(Intl.supportedValuesOf('currency'));
+
+// Read lazily: modules load before dotenv runs
+export const defaultCurrency = () => (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+export const normalizeCurrency = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : code);
+
+export const isValidCurrency = (code) => typeof code === 'string' && SUPPORTED.has(code);
+
+// Minor units differ per currency (JPY has none, KWD has three)
+export const currencyDigits = (code) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+
+export const roundAmount = (value, code) => {
+  const factor = 10 ** currencyDigits(code);
+  return Math.round(value * factor) / factor;
+};
@@ -0,0 +1,13 @@
+// Opaque pagination cursors: base64url-encoded JSON, not meant to be read by clients
+
+export const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Returns null for anything that isn't a cursor we produced
+export const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
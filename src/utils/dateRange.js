@@ -0,0 +1,25 @@
+// Calendar helpers for period-based reporting (UTC)
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+// Parse "YYYY-MM" into { year, month } (month is 0-based). Defaults to the current month.
+export const parseMonth = (value, now = new Date()) => {
+  if (!value) {
+    return { year: now.getUTCFullYear(), month: now.getUTCMonth() };
+  }
+
+  const match = MONTH_PATTERN.exec(value);
+  if (!match) return null;
+
+  return { year: parseInt(match[1]), month: parseInt(match[2]) - 1 };
+};
+
+export const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Start (inclusive) and end (exclusive) of a calendar month
+export const monthRange = (year, month) => ({
+  start: new Date(Date.UTC(year, month, 1)),
+  end: new Date(Date.UTC(year, month + 1, 1))
+});
+
+export const formatMonth = (year, month) => `${year}-${String(month + 1).padStart(2, '0')}`;
@@ -0,0 +1,26 @@
+// AES-256-GCM for secrets that must be readable again (unlike passwords and tokens, which are hashed)
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+
+// ENCRYPTION_KEY (any string) or, failing that, JWT_SECRET; hashed to the 32 bytes AES-256 needs
+const key = () => {
+  const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) throw new Error('ENCRYPTION_KEY or JWT_SECRET must be set');
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+// Output: "<iv>.<auth tag>.<ciphertext>", each base64url
+export const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+export const decrypt = (payload) => {
+  const [iv, tag, ciphertext] = String(payload).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
@@ -0,0 +1,98 @@
+// OFX statement reading. Handles both SGML (OFX 1.x, unclosed tags) and XML (OFX 2.x) files.
+
+// OFX dates look like 20240105, 20240105120000 or 20240105120000.000[-5:EST]
+export const parseOfxDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?/.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month, day, hour = '12', minute = '00', second = '00'] = match;
+  return new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), parseInt(hour), parseInt(minute), parseInt(second)));
+};
+
+export const formatOfxDate = (date) => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}`;
+};
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+export const escapeOfx = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Value of a leaf element; works whether or not the closing tag is present
+const readTag = (block, tag) => {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  return match ? decodeEntities(match[1].trim()) : null;
+};
+
+export const parseOfx = (text) => {
+  const transactions = [];
+  const blocks = text.split(/<STMTTRN>/i).slice(1);
+
+  for (const raw of blocks) {
+    const block = raw.split(/<\/STMTTRN>/i)[0];
+    const amount = parseFloat(readTag(block, 'TRNAMT'));
+    const date = parseOfxDate(readTag(block, 'DTPOSTED'));
+    if (!Number.isFinite(amount) || !date) continue;
+
+    const name = readTag(block, 'NAME');
+    const memo = readTag(block, 'MEMO');
+
+    transactions.push({
+      date,
+      amount,
+      description: (name && memo && memo.startsWith(name) ? memo : [name, memo].filter(Boolean).join(' - ')) || null,
+      externalId: readTag(block, 'FITID')
+    });
+  }
+
+  return {
+    currency: readTag(text, 'CURDEF'),
+    accountNumber: readTag(text, 'ACCTID'),
+    transactions
+  };
+};
+
+/* ---------- writing (OFX 2.x XML) ---------- */
+
+export const ofxHeader = ({ accountId, currency, start, end }) => [
+  '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+  '<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+  '<OFX>',
+  '<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+  `<DTSERVER>${formatOfxDate(new Date())}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+  '<BANKMSGSRSV1><STMTTRNRS><TRNUID>0</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+  `<STMTRS><CURDEF>${escapeOfx(currency)}</CURDEF>`,
+  `<BANKACCTFROM><BANKID>CITRUS</BANKID><ACCTID>${escapeOfx(accountId)}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`,
+  `<BANKTRANLIST><DTSTART>${formatOfxDate(start)}</DTSTART><DTEND>${formatOfxDate(end)}</DTEND>`,
+  ''
+].join('\n');
+
+export const ofxTransaction = (tx) => [
+  '<STMTTRN>',
+  `<TRNTYPE>${tx.type === 'income' ? 'CREDIT' : 'DEBIT'}</TRNTYPE>`,
+  `<DTPOSTED>${formatOfxDate(tx.date)}</DTPOSTED>`,
+  `<TRNAMT>${(tx.type === 'income' ? tx.amount : -tx.amount).toFixed(2)}</TRNAMT>`,
+  `<FITID>${escapeOfx(tx.externalId || tx._id)}</FITID>`,
+  `<NAME>${escapeOfx((tx.description || tx.category).slice(0, 32))}</NAME>`,
+  // NAME is limited to 32 characters, the full text goes in MEMO
+  tx.description && tx.description.length > 32 ? `<MEMO>${escapeOfx(tx.description)}</MEMO>` : null,
+  '</STMTTRN>',
+  ''
+].filter(line => line !== null).join('\n');
+
+export const ofxFooter = ({ balance }) => [
+  '</BANKTRANLIST>',
+  `<LEDGERBAL><BALAMT>${Number(balance).toFixed(2)}</BALAMT><DTASOF>${formatOfxDate(new Date())}</DTASOF></LEDGERBAL>`,
+  '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+  '</OFX>',
+  ''
+].join('\n');
@@ -0,0 +1,69 @@
+// QIF (Quicken Interchange Format) bank register reading
+
+// QIF dates: 01/31/2024, 1/31/24, 1/31'24, 31/01/2024 (with dayFirst), 2024-01-31
+export const parseQifDate = (value, { dayFirst = false } = {}) => {
+  const text = (value || '').trim().replace(/'/g, '/').replace(/\s/g, '');
+
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  if (iso) return new Date(Date.UTC(parseInt(iso[1]), parseInt(iso[2]) - 1, parseInt(iso[3])));
+
+  const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/.exec(text);
+  if (!match) return null;
+
+  let [first, second, year] = [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])];
+  if (year < 100) year += year < 70 ? 2000 : 1900;
+
+  const [month, day] = dayFirst ? [second, first] : [first, second];
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+export const parseQif = (text, options = {}) => {
+  const transactions = [];
+  let current = {};
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('!')) continue;
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    switch (code) {
+      case 'D':
+        current.date = parseQifDate(value, options);
+        break;
+      case 'T':
+      case 'U':
+        current.amount = parseFloat(value.replace(/,/g, ''));
+        break;
+      case 'P':
+        current.payee = value;
+        break;
+      case 'M':
+        current.memo = value;
+        break;
+      case 'L':
+        // Transfers are written as [Account Name]; only keep real categories
+        if (!value.startsWith('[')) current.category = value.split(':')[0];
+        break;
+      case '^':
+        if (current.date && Number.isFinite(current.amount)) {
+          transactions.push({
+            date: current.date,
+            amount: current.amount,
+            description: [current.payee, current.memo].filter(Boolean).join(' - ') || null,
+            category: current.category || null
+          });
+        }
+        current = {};
+        break;
+      // N is the check number, often just "ATM", "DEP" or "POS", so it is no bank reference
+      default:
+        break;
+    }
+  }
+
+  return { transactions };
+};
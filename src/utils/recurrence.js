@@ -0,0 +1,116 @@
+// Recurrence rule evaluation for scheduled transactions (UTC)
+//
+// Supported rules:
+//   { frequency: 'daily', interval }
+//   { frequency: 'weekly', interval, dayOfWeek }            dayOfWeek: 0 (Sun) - 6 (Sat)
+//   { frequency: 'monthly', interval, dayOfMonth }          clamped to the last day of short months
+//   { frequency: 'nthWeekday', interval, weekOfMonth, dayOfWeek }   weekOfMonth: 1-4, or -1 for the last one
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'nthWeekday'];
+
+const timeOfDay = (date) => date.getTime() % DAY_MS;
+
+const utcDate = (year, month, day, time) => new Date(Date.UTC(year, month, day) + time);
+
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const nthWeekdayOfMonth = (year, month, weekOfMonth, dayOfWeek) => {
+  if (weekOfMonth === -1) {
+    const lastDay = lastDayOfMonth(year, month);
+    const lastDow = new Date(Date.UTC(year, month, lastDay)).getUTCDay();
+    return lastDay - ((lastDow - dayOfWeek + 7) % 7);
+  }
+
+  const firstDow = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return 1 + ((dayOfWeek - firstDow + 7) % 7) + (weekOfMonth - 1) * 7;
+};
+
+// Date of the occurrence for a month offset from the start date's month
+const monthlyCandidate = (rule, start, monthOffset) => {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + monthOffset;
+  const y = year + Math.floor(month / 12);
+  const m = ((month % 12) + 12) % 12;
+
+  const day = rule.frequency === 'monthly'
+    ? Math.min(rule.dayOfMonth ?? start.getUTCDate(), lastDayOfMonth(y, m))
+    : nthWeekdayOfMonth(y, m, rule.weekOfMonth, rule.dayOfWeek);
+
+  return utcDate(y, m, day, timeOfDay(start));
+};
+
+// The n-th occurrence (0-based) of a rule. Occurrence 0 is the first one on or after the start date.
+export const occurrenceAt = (rule, startDate, index) => {
+  const start = new Date(startDate);
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case 'daily':
+      return new Date(start.getTime() + index * interval * DAY_MS);
+
+    case 'weekly': {
+      const dayOfWeek = rule.dayOfWeek ?? start.getUTCDay();
+      const shift = (dayOfWeek - start.getUTCDay() + 7) % 7;
+      return new Date(start.getTime() + (shift + index * interval * 7) * DAY_MS);
+    }
+
+    case 'monthly':
+    case 'nthWeekday': {
+      // Skip the start month if its occurrence falls before the start date
+      const firstOffset = monthlyCandidate(rule, start, 0) < start ? 1 : 0;
+      return monthlyCandidate(rule, start, firstOffset + index * interval);
+    }
+
+    default:
+      throw new Error(`Unsupported recurrence frequency: ${rule.frequency}`);
+  }
+};
+
+// Smallest occurrence index whose date is strictly after `after` (or the first one when `after` is empty)
+export const nextOccurrenceIndex = (rule, startDate, after) => {
+  if (!after) return 0;
+
+  let index = 0;
+  while (occurrenceAt(rule, startDate, index) <= after) {
+    index++;
+  }
+  return index;
+};
+
+// Human-friendly validation used by the routes; returns a list of problems
+export const validateRule = (rule) => {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object') {
+    return ['Recurrence rule is required'];
+  }
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    errors.push(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365)) {
+    errors.push('Interval must be a whole number between 1 and 365');
+  }
+
+  if (rule.dayOfWeek !== undefined && (!Number.isInteger(rule.dayOfWeek) || rule.dayOfWeek < 0 || rule.dayOfWeek > 6)) {
+    errors.push('Day of week must be between 0 (Sunday) and 6 (Saturday)');
+  }
+
+  if (rule.dayOfMonth !== undefined && (!Number.isInteger(rule.dayOfMonth) || rule.dayOfMonth < 1 || rule.dayOfMonth > 31)) {
+    errors.push('Day of month must be between 1 and 31');
+  }
+
+  if (rule.frequency === 'nthWeekday') {
+    if (![1, 2, 3, 4, -1].includes(rule.weekOfMonth)) {
+      errors.push('Week of month must be 1-4, or -1 for the last week');
+    }
+    if (rule.dayOfWeek === undefined) {
+      errors.push('Day of week is required for nth weekday rules');
+    }
+  }
+
+  return errors;
+};
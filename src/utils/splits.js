@@ -0,0 +1,31 @@
+// Split lines: parts of one transaction booked to different categories
+
+const toCents = (value) => Math.round(Number(value) * 100);
+
+export const hasSplits = (splits) => Array.isArray(splits) && splits.length > 0;
+
+// Error message when the lines don't add up to `amount` (to the cent), otherwise null
+export const splitTotalError = (amount, splits) => {
+  if (!hasSplits(splits)) return null;
+  const total = splits.reduce((sum, line) => sum + toCents(line.amount), 0);
+  return total === toCents(amount) ? null : 'Split amounts must add up to the transaction amount';
+};
+
+// Aggregation stages that turn every transaction into one document per split line, with that
+// line's `category` and `amount`; transactions without splits pass through unchanged
+export const splitLineStages = () => [
+  {
+    $addFields: {
+      lines: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+          '$splits',
+          [{ category: '$category', amount: '$amount' }]
+        ]
+      }
+    }
+  },
+  { $unwind: '$lines' },
+  { $addFields: { category: '$lines.category', amount: '$lines.amount' } },
+  { $project: { lines: 0, splits: 0 } }
+];
@@ -0,0 +1,30 @@
+// Free-form transaction tags ("work", "holiday-2024"): lowercase, unique, kept short
+
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 30;
+
+// Error message for a tags value that isn't a list of short strings, otherwise null
+export const tagsError = (tags) => {
+  if (tags === undefined || tags === null) return null;
+  if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+    return 'Tags must be a list of strings';
+  }
+  if (tags.length > MAX_TAGS) {
+    return `A transaction can have at most ${MAX_TAGS} tags`;
+  }
+  if (tags.some(tag => tag.trim().length > MAX_TAG_LENGTH)) {
+    return `Tags must be less than ${MAX_TAG_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Trimmed, lowercased and de-duplicated, in their original order
+export const normalizeTags = (tags) => [...new Set(
+  (Array.isArray(tags) ? tags : [])
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean)
+)];
+
+// Tags of `base` followed by any new ones from `extra`, capped at MAX_TAGS
+export const mergeTags = (base, extra) => normalizeTags([...(base || []), ...(extra || [])]).slice(0, MAX_TAGS);
@@ -0,0 +1,57 @@
+// IANA timezone helpers built on Intl (no external tz database needed)
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Offset of `timeZone` from UTC at a given instant, in milliseconds
+const offsetAt = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const get = (type) => parseInt(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Midnight of a calendar day in the given timezone, as a UTC instant
+export const startOfLocalDay = (year, month, day, timeZone) => {
+  const guess = Date.UTC(year, month, day);
+  const first = guess - offsetAt(new Date(guess), timeZone);
+  // Re-check in case a DST change happens between the guess and the real instant
+  const second = guess - offsetAt(new Date(first), timeZone);
+  return new Date(second);
+};
+
+// Parse a query date. Plain YYYY-MM-DD is a local calendar day; `endOfDay` moves it to the next local midnight.
+export const parseLocalDate = (value, timeZone, { endOfDay = false } = {}) => {
+  const match = DATE_ONLY.exec(value);
+  if (match) {
+    const [year, month, day] = [parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])];
+    return startOfLocalDay(year, month, day + (endOfDay ? 1 : 0), timeZone);
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Calendar day (YYYY-MM-DD) of an instant in the given timezone
+export const localDateString = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
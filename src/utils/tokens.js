@@ -0,0 +1,6 @@
+import crypto from 'crypto';
+
+// Opaque tokens handed to clients; only their hash is stored
+export const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');